@@ -0,0 +1,337 @@
+import * as THREE from 'three';
+import document from 'global/document';
+import window from 'global/window';
+import videojs from 'video.js';
+
+// Cards sit in front of the hotspots. They are laid out in the HUD's units
+// (metres at 1.5m) and scaled up, so a card looks as big as the HUD would
+// at that distance.
+const DISTANCE = 180;
+const SCALE = DISTANCE / 1.5;
+const CARD_WIDTH = 0.6;
+const PADDING = 0.03;
+const CORNER_RADIUS = 0.04;
+const CANVAS_WIDTH = 512;
+const IMAGE_HEIGHT = 288;
+const LINE_HEIGHT = 36;
+
+/**
+ * Rounded rectangle, as the HUD and gallery draw their panels.
+ *
+ * @param {number} width
+ *        Width of the rectangle.
+ * @param {number} height
+ *        Height of the rectangle.
+ * @param {number} radius
+ *        Corner radius.
+ *
+ * @return {THREE.Shape}
+ *         The shape, with its bottom left corner at the origin.
+ */
+const createRoundedRectShape = (width, height, radius) => {
+  const shape = new THREE.Shape();
+
+  shape.moveTo(radius, 0);
+  shape.lineTo(width - radius, 0);
+  shape.quadraticCurveTo(width, 0, width, radius);
+  shape.lineTo(width, height - radius);
+  shape.quadraticCurveTo(width, height, width - radius, height);
+  shape.lineTo(radius, height);
+  shape.quadraticCurveTo(0, height, 0, height - radius);
+  shape.lineTo(0, radius);
+  shape.quadraticCurveTo(0, 0, radius, 0);
+
+  return shape;
+};
+
+/**
+ * A dark glassmorphic panel with a faint border, like the HUD's control
+ * panel, centred on the origin.
+ *
+ * @param {number} width
+ *        Width of the panel.
+ * @param {number} height
+ *        Height of the panel.
+ *
+ * @return {THREE.Mesh}
+ *         The panel, with the border as a child.
+ */
+const createPanel = (width, height) => {
+  const geometry = new THREE.ShapeGeometry(createRoundedRectShape(width, height, CORNER_RADIUS));
+
+  geometry.translate(-width / 2, -height / 2, 0);
+
+  const panel = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+    color: 0x1a1a1a,
+    opacity: 0.85,
+    transparent: true,
+    side: THREE.DoubleSide,
+    depthTest: false,
+    depthWrite: false
+  }));
+  const borderGeometry = new THREE.ShapeGeometry(createRoundedRectShape(width + 0.02, height + 0.02, CORNER_RADIUS + 0.01));
+
+  borderGeometry.translate(-(width + 0.02) / 2, -(height + 0.02) / 2, 0);
+
+  const border = new THREE.Mesh(borderGeometry, new THREE.MeshBasicMaterial({
+    color: 0xffffff,
+    opacity: 0.1,
+    transparent: true,
+    side: THREE.DoubleSide,
+    depthTest: false,
+    depthWrite: false
+  }));
+
+  border.position.z = -0.001;
+  panel.add(border);
+
+  return panel;
+};
+
+/**
+ * Split text into lines that fit a width.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ *        Context with the font set.
+ * @param {string} text
+ *        The text; newlines start a new line.
+ * @param {number} maxWidth
+ *        Width in pixels.
+ *
+ * @return {string[]}
+ *         The lines.
+ */
+const wrapText = (ctx, text, maxWidth) => {
+  const lines = [];
+
+  String(text).split('\n').forEach((paragraph) => {
+    let line = '';
+
+    paragraph.split(' ').forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+
+      if (line && ctx.measureText(candidate).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+  });
+
+  return lines;
+};
+
+/**
+ * Cards pinned on the sphere from the cues of a metadata text track. Each
+ * cue's text is a JSON object with `yaw` and `pitch` in degrees, as taken
+ * by setViewDirection, a `text` and/or an `image` URL, and optionally a
+ * `scale` for the card's size. A cue's card is
+ * shown while the cue is active and turns to face the camera.
+ */
+class Annotations {
+  /**
+   * Create an empty set of cards.
+   */
+  constructor() {
+    this.group = new THREE.Group();
+    this.group.name = 'vr-annotations';
+    // cue -> card, or null for a cue that could not be read
+    this.cards_ = new Map();
+    this.cameraPosition_ = new THREE.Vector3();
+  }
+
+  /**
+   * Build the card for a cue.
+   *
+   * @param {TextTrackCue} cue
+   *        The cue.
+   *
+   * @return {THREE.Group|null}
+   *         The card, or null if the cue isn't an annotation.
+   */
+  createCard_(cue) {
+    let data;
+
+    try {
+      data = JSON.parse(cue.text);
+    } catch (e) {
+      data = null;
+    }
+
+    if (!data || typeof data.yaw !== 'number' || typeof data.pitch !== 'number' || (!data.text && !data.image)) {
+      videojs.log.error(`videojs-vr: annotation cue at ${cue.startTime}s needs JSON with yaw, pitch and text or image`);
+      return null;
+    }
+
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    const font = '28px Arial';
+
+    ctx.font = font;
+
+    const lines = data.text ? wrapText(ctx, data.text, CANVAS_WIDTH) : [];
+    const imageHeight = data.image ? IMAGE_HEIGHT : 0;
+    const gap = data.image && lines.length ? 16 : 0;
+
+    canvas.width = CANVAS_WIDTH;
+    canvas.height = imageHeight + gap + lines.length * LINE_HEIGHT;
+
+    const draw = (image) => {
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+      if (image) {
+        // fit the image inside its area, keeping its aspect ratio
+        const scale = Math.min(CANVAS_WIDTH / image.width, IMAGE_HEIGHT / image.height);
+        const width = image.width * scale;
+        const height = image.height * scale;
+
+        ctx.drawImage(image, (CANVAS_WIDTH - width) / 2, (IMAGE_HEIGHT - height) / 2, width, height);
+      }
+
+      ctx.font = font;
+      ctx.fillStyle = '#ffffff';
+      ctx.textBaseline = 'middle';
+      lines.forEach((line, i) => {
+        ctx.fillText(line, 0, imageHeight + gap + (i + 0.5) * LINE_HEIGHT);
+      });
+    };
+
+    draw();
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const contentWidth = CARD_WIDTH - PADDING * 2;
+    const contentHeight = contentWidth * canvas.height / CANVAS_WIDTH;
+    const content = new THREE.Mesh(
+      new THREE.PlaneGeometry(contentWidth, contentHeight),
+      new THREE.MeshBasicMaterial({map: texture, transparent: true, depthTest: false, depthWrite: false})
+    );
+    const card = new THREE.Group();
+    const yaw = THREE.MathUtils.degToRad(data.yaw);
+    const pitch = THREE.MathUtils.degToRad(data.pitch);
+
+    content.position.z = 0.002;
+    card.add(createPanel(CARD_WIDTH, contentHeight + PADDING * 2));
+    card.add(content);
+    card.name = `annotation-${cue.startTime}`;
+    card.scale.setScalar(SCALE * (data.scale > 0 ? data.scale : 1));
+    card.position.set(Math.sin(yaw) * Math.cos(pitch), Math.sin(pitch), -Math.cos(yaw) * Math.cos(pitch))
+      .multiplyScalar(DISTANCE);
+    card.traverse((object) => {
+      // over the heatmap, under the fade veil
+      object.renderOrder = -2;
+      object.layers.set(0);
+      object.layers.enable(1);
+      object.layers.enable(2);
+    });
+
+    if (data.image) {
+      const image = new window.Image();
+
+      image.crossOrigin = 'anonymous';
+      image.onload = () => {
+        draw(image);
+        texture.needsUpdate = true;
+      };
+      image.onerror = () => {
+        videojs.log.error(`videojs-vr: could not load the image of the annotation cue at ${cue.startTime}s`);
+      };
+      image.src = data.image;
+    }
+
+    this.group.add(card);
+
+    return card;
+  }
+
+  /**
+   * Show the cards of the active cues, turned to the camera. Cards are
+   * built the first time their cue is active, and dropped when their cue
+   * leaves the list.
+   *
+   * @param {TextTrackCueList|Object[]} cues
+   *        The track's cues, or an empty list.
+   * @param {number} time
+   *        Current time of the source in seconds.
+   * @param {THREE.Camera} camera
+   *        The camera to face.
+   * @param {THREE.Quaternion} rotation
+   *        Rotation from the source's directions to the scene's, to follow
+   *        the orientation offset of the movie screen.
+   */
+  update(cues, time, camera, rotation) {
+    const current = new Set();
+
+    this.group.quaternion.copy(rotation);
+    this.group.updateMatrixWorld();
+    camera.getWorldPosition(this.cameraPosition_);
+
+    for (let i = 0; i < cues.length; i++) {
+      const cue = cues[i];
+      const active = time >= cue.startTime && time < cue.endTime;
+
+      current.add(cue);
+
+      if (active && !this.cards_.has(cue)) {
+        this.cards_.set(cue, this.createCard_(cue));
+      }
+
+      const card = this.cards_.get(cue);
+
+      if (card) {
+        card.visible = active;
+
+        if (active) {
+          card.lookAt(this.cameraPosition_);
+        }
+      }
+    }
+
+    this.cards_.forEach((card, cue) => {
+      if (!current.has(cue)) {
+        this.removeCard_(cue);
+      }
+    });
+  }
+
+  /**
+   * Remove a cue's card and free its GPU resources.
+   *
+   * @param {TextTrackCue} cue
+   *        The cue.
+   */
+  removeCard_(cue) {
+    const card = this.cards_.get(cue);
+
+    this.cards_.delete(cue);
+
+    if (!card) {
+      return;
+    }
+
+    this.group.remove(card);
+    card.traverse((object) => {
+      if (object.isMesh) {
+        object.geometry.dispose();
+        if (object.material.map) {
+          object.material.map.dispose();
+        }
+        object.material.dispose();
+      }
+    });
+  }
+
+  /**
+   * Remove every card and take the group out of the scene.
+   */
+  dispose() {
+    Array.from(this.cards_.keys()).forEach((cue) => this.removeCard_(cue));
+
+    if (this.group.parent) {
+      this.group.parent.remove(this.group);
+    }
+  }
+}
+
+export default Annotations;
@@ -0,0 +1,496 @@
+import * as THREE from 'three';
+import videojs from 'video.js';
+import Hotspots from './hotspots';
+
+// A press that moves less than this many pixels is a click, not a drag of
+// the view
+const CLICK_DISTANCE = 5;
+const MIN_SCALE = 0.25;
+const MAX_SCALE = 4;
+
+/**
+ * Round an angle to a hundredth of a degree, finer than a pixel at any fov.
+ *
+ * @param {number} degrees
+ *        The angle.
+ *
+ * @return {number}
+ *         The rounded angle.
+ */
+const round = (degrees) => Math.round(degrees * 100) / 100;
+
+/**
+ * Format a time as a WebVTT timestamp.
+ *
+ * @param {number} seconds
+ *        The time in seconds.
+ *
+ * @return {string}
+ *         `hh:mm:ss.ttt`.
+ */
+const formatTimestamp = (seconds) => {
+  const ms = Math.round(Math.max(0, seconds) * 1000);
+  const pad = (value, width) => ('00' + value).slice(-width);
+
+  return `${pad(Math.floor(ms / 3600000), 2)}:${pad(Math.floor(ms / 60000) % 60, 2)}:` +
+    `${pad(Math.floor(ms / 1000) % 60, 2)}.${pad(ms % 1000, 3)}`;
+};
+
+/**
+ * Editor for placing markers on the video in flat playback. A click on the
+ * sphere reports the yaw, pitch and time under the cursor and drops a
+ * marker there. Markers can be dragged to move them and scrolled over to
+ * resize them, then exported as hotspots (JSON) or annotation cues
+ * (WebVTT).
+ *
+ * Clicks are raycast against the movie screen itself, so the reported
+ * direction is the one the source shows at that pixel whatever the
+ * projection and view mode, and the orientation offset set from the HUD
+ * is taken back out.
+ */
+class Authoring {
+  /**
+   * Create an editor for a player's scene.
+   *
+   * @param {VR} vr
+   *        The plugin, for its canvas, camera, movie screen and events.
+   */
+  constructor(vr) {
+    this.vr = vr;
+    this.enabled = false;
+    this.duration_ = 5;
+    this.drop_ = true;
+    this.markers_ = new Hotspots();
+    this.markers_.group.name = 'vr-authoring';
+    this.nextId_ = 1;
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+    this.canvas_ = null;
+    // the press being handled: where it started and the marker it grabbed
+    this.press_ = null;
+
+    this.onPointerDown_ = this.onPointerDown_.bind(this);
+    this.onPointerMove_ = this.onPointerMove_.bind(this);
+    this.onPointerUp_ = this.onPointerUp_.bind(this);
+    this.onWheel_ = this.onWheel_.bind(this);
+  }
+
+  /**
+   * Start editing.
+   *
+   * @param {Object} [options]
+   *        Editor options, see VR#enableAuthoring.
+   */
+  enable(options = {}) {
+    this.enabled = true;
+
+    if (typeof options.duration === 'number') {
+      this.duration_ = options.duration;
+    }
+    if (typeof options.drop === 'boolean') {
+      this.drop_ = options.drop;
+    }
+
+    (options.markers || []).forEach((marker) => this.add(marker));
+  }
+
+  /**
+   * Stop editing. The markers are kept for exporting or editing again.
+   */
+  disable() {
+    this.enabled = false;
+    this.press_ = null;
+    this.attach_(null);
+
+    if (this.markers_.group.parent) {
+      this.markers_.group.parent.remove(this.markers_.group);
+    }
+  }
+
+  /**
+   * Add a marker, replacing any marker with the same id.
+   *
+   * @param {Object} marker
+   *        `{id, yaw, pitch, startTime, endTime, scale, label}`; the id
+   *        defaults to `marker-1`, `marker-2` and so on.
+   *
+   * @return {Object|undefined}
+   *         The marker as added, or undefined if it has no yaw or pitch.
+   */
+  add(marker) {
+    if (!marker || typeof marker.yaw !== 'number' || typeof marker.pitch !== 'number') {
+      videojs.log.error('videojs-vr: authored markers need yaw and pitch in degrees');
+      return;
+    }
+
+    let id = marker.id;
+
+    while (typeof id !== 'string' && typeof id !== 'number') {
+      const candidate = `marker-${this.nextId_++}`;
+
+      if (!this.markers_.get(candidate)) {
+        id = candidate;
+      }
+    }
+
+    this.markers_.add(Object.assign({}, marker, {id}));
+
+    return this.markers_.get(id);
+  }
+
+  /**
+   * Change a marker.
+   *
+   * @param {string|number} id
+   *        The marker's id.
+   * @param {Object} changes
+   *        Any of the fields taken by add, other than the id.
+   *
+   * @return {boolean}
+   *         Whether there was such a marker.
+   */
+  edit(id, changes) {
+    const marker = this.markers_.get(id);
+
+    if (!marker) {
+      return false;
+    }
+
+    this.markers_.add(Object.assign({}, marker, changes, {id}));
+    return true;
+  }
+
+  /**
+   * Remove a marker.
+   *
+   * @param {string|number} id
+   *        The marker's id.
+   *
+   * @return {boolean}
+   *         Whether there was such a marker.
+   */
+  remove(id) {
+    const found = !!this.markers_.get(id);
+
+    this.markers_.remove(id);
+    return found;
+  }
+
+  /**
+   * Get the markers.
+   *
+   * @return {Object[]}
+   *         The markers, in the order they were added.
+   */
+  getAll() {
+    return this.markers_.getAll();
+  }
+
+  /**
+   * The markers as hotspots for VR#addHotspot. Not named toJSON, as
+   * JSON.stringify would then encode the string a second time.
+   *
+   * @return {string}
+   *         A JSON array.
+   */
+  toHotspotJSON() {
+    return JSON.stringify(this.getAll().map((marker) => {
+      const hotspot = Object.assign({
+        id: marker.id,
+        yaw: marker.yaw,
+        pitch: marker.pitch,
+        startTime: marker.startTime,
+        endTime: marker.endTime,
+        scale: marker.scale
+      }, marker);
+
+      // JSON has no Infinity, and leaving endTime out means the same
+      if (hotspot.endTime === Infinity) {
+        delete hotspot.endTime;
+      }
+      return hotspot;
+    }), null, 2);
+  }
+
+  /**
+   * The markers as cues for a metadata track of annotation cards.
+   *
+   * @param {number} duration
+   *        Length of the source in seconds, where markers without an end
+   *        stop.
+   *
+   * @return {string}
+   *         A WebVTT file.
+   */
+  toVTT(duration) {
+    const cues = this.getAll()
+      .slice()
+      .sort((a, b) => a.startTime - b.startTime)
+      .map((marker) => {
+        const end = isFinite(marker.endTime) ? marker.endTime : duration;
+        const payload = {yaw: marker.yaw, pitch: marker.pitch, text: marker.label || String(marker.id)};
+
+        if (marker.scale !== 1) {
+          payload.scale = marker.scale;
+        }
+
+        // a cue's text can't contain the timing arrow
+        return `${formatTimestamp(marker.startTime)} --> ${formatTimestamp(isFinite(end) ? end : 359999.999)}\n` +
+          JSON.stringify(payload).replace(/-->/g, '--\\u003e');
+      });
+
+    return ['WEBVTT'].concat(cues).join('\n\n') + '\n';
+  }
+
+  /**
+   * Set the raycaster from a pointer position on the canvas.
+   *
+   * @param {MouseEvent} event
+   *        The pointer or wheel event.
+   */
+  setPointer_(event) {
+    const rect = this.canvas_.getBoundingClientRect();
+
+    this.pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    this.pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    this.raycaster.setFromCamera(this.pointer, this.vr.camera);
+  }
+
+  /**
+   * Find the direction of the source under the pointer.
+   *
+   * @param {MouseEvent} event
+   *        The pointer event.
+   *
+   * @return {Object|null}
+   *         `{yaw, pitch}` in degrees, as taken by setViewDirection, or
+   *         null if the pointer is off the movie screen.
+   */
+  pick(event) {
+    const vr = this.vr;
+    const screens = [vr.movieScreen, vr.movieScreenLeft, vr.movieScreenRight].filter(Boolean);
+
+    this.setPointer_(event);
+
+    const hit = this.raycaster.intersectObjects(screens, false)[0];
+
+    if (!hit) {
+      return null;
+    }
+
+    // every projection centres its screen on the origin, so the hit shows
+    // the source in the direction of its position
+    const direction = hit.point.clone().normalize().applyQuaternion(vr.getSourceRotation_().invert());
+
+    return {
+      yaw: round(THREE.MathUtils.radToDeg(Math.atan2(direction.x, -direction.z))),
+      pitch: round(THREE.MathUtils.radToDeg(Math.asin(THREE.MathUtils.clamp(direction.y, -1, 1))))
+    };
+  }
+
+  /**
+   * Find the marker under the pointer.
+   *
+   * @param {MouseEvent} event
+   *        The pointer or wheel event.
+   *
+   * @return {string|number|null}
+   *         The marker's id, or null.
+   */
+  hitMarker_(event) {
+    this.setPointer_(event);
+
+    const hit = this.raycaster.intersectObjects(this.markers_.getMeshes().filter((mesh) => mesh.visible), false)[0];
+
+    return hit ? hit.object.userData.hotspotId : null;
+  }
+
+  /**
+   * Tell listeners the markers changed.
+   */
+  change_() {
+    this.vr.trigger('vr-authoring-change', {markers: this.getAll()});
+  }
+
+  /**
+   * Grab a marker, or remember where a click may have started.
+   *
+   * @param {PointerEvent} event
+   *        The pointerdown event.
+   */
+  onPointerDown_(event) {
+    if (event.button !== 0 || this.vr.isPresenting()) {
+      return;
+    }
+
+    const id = this.hitMarker_(event);
+
+    this.press_ = {x: event.clientX, y: event.clientY, id, moved: false};
+
+    if (id !== null) {
+      // this listener runs in the capture phase, ahead of the orbit
+      // controls, which would otherwise turn the view with the drag
+      event.stopImmediatePropagation();
+      this.canvas_.setPointerCapture(event.pointerId);
+    }
+  }
+
+  /**
+   * Drag the grabbed marker along the sphere.
+   *
+   * @param {PointerEvent} event
+   *        The pointermove event.
+   */
+  onPointerMove_(event) {
+    const press = this.press_;
+
+    if (!press || press.id === null) {
+      return;
+    }
+
+    const direction = this.pick(event);
+
+    if (direction) {
+      this.markers_.move(press.id, direction);
+      press.moved = true;
+    }
+  }
+
+  /**
+   * Drop the grabbed marker, or report a click on the sphere and drop a
+   * new marker there.
+   *
+   * @param {PointerEvent} event
+   *        The pointerup event.
+   */
+  onPointerUp_(event) {
+    const press = this.press_;
+
+    this.press_ = null;
+
+    if (!press) {
+      return;
+    }
+
+    if (press.id !== null) {
+      if (this.canvas_.hasPointerCapture(event.pointerId)) {
+        this.canvas_.releasePointerCapture(event.pointerId);
+      }
+      if (press.moved) {
+        this.change_();
+      }
+      return;
+    }
+
+    if (Math.hypot(event.clientX - press.x, event.clientY - press.y) >= CLICK_DISTANCE) {
+      return;
+    }
+
+    const direction = this.pick(event);
+
+    if (!direction) {
+      return;
+    }
+
+    const time = this.vr.player.currentTime();
+
+    this.vr.trigger('vr-authoring-pick', {yaw: direction.yaw, pitch: direction.pitch, time});
+
+    if (this.drop_) {
+      this.add({yaw: direction.yaw, pitch: direction.pitch, startTime: time, endTime: time + this.duration_});
+      this.change_();
+    }
+  }
+
+  /**
+   * Resize the marker under the pointer instead of zooming.
+   *
+   * @param {WheelEvent} event
+   *        The wheel event.
+   */
+  onWheel_(event) {
+    if (this.vr.isPresenting()) {
+      return;
+    }
+
+    const id = this.hitMarker_(event);
+
+    if (id === null) {
+      return;
+    }
+
+    event.preventDefault();
+    event.stopImmediatePropagation();
+
+    // same wheel units as the orbit controls' zoom
+    const delta = event.deltaMode === 0 ? event.deltaY : event.deltaY * 16;
+    const scale = this.markers_.get(id).scale * Math.exp(-delta * 0.001);
+
+    this.markers_.move(id, {scale: Math.round(THREE.MathUtils.clamp(scale, MIN_SCALE, MAX_SCALE) * 100) / 100});
+    this.change_();
+  }
+
+  /**
+   * Listen to a canvas, dropping the previous one.
+   *
+   * @param {HTMLCanvasElement|null} canvas
+   *        The player's canvas, or null.
+   */
+  attach_(canvas) {
+    if (canvas === this.canvas_) {
+      return;
+    }
+
+    if (this.canvas_) {
+      this.canvas_.removeEventListener('pointerdown', this.onPointerDown_, true);
+      this.canvas_.removeEventListener('pointermove', this.onPointerMove_);
+      this.canvas_.removeEventListener('pointerup', this.onPointerUp_);
+      this.canvas_.removeEventListener('pointercancel', this.onPointerUp_);
+      this.canvas_.removeEventListener('wheel', this.onWheel_, true);
+    }
+
+    this.canvas_ = canvas;
+
+    if (canvas) {
+      canvas.addEventListener('pointerdown', this.onPointerDown_, true);
+      canvas.addEventListener('pointermove', this.onPointerMove_);
+      canvas.addEventListener('pointerup', this.onPointerUp_);
+      canvas.addEventListener('pointercancel', this.onPointerUp_);
+      canvas.addEventListener('wheel', this.onWheel_, {capture: true, passive: false});
+    }
+  }
+
+  /**
+   * Follow the player's canvas and scene, and show the markers of the
+   * current time turned to the camera. Call once per frame.
+   */
+  update() {
+    const vr = this.vr;
+    const group = this.markers_.group;
+
+    if (!this.enabled) {
+      return;
+    }
+
+    // the canvas and scene are rebuilt when the player resets
+    this.attach_(vr.renderedCanvas || null);
+
+    if (group.parent !== vr.scene) {
+      vr.scene.add(group);
+    }
+
+    // the editor is for flat playback
+    group.visible = !vr.isPresenting();
+    this.markers_.update(vr.camera, vr.getSourceRotation_(), vr.player.currentTime());
+  }
+
+  /**
+   * Stop editing and remove every marker.
+   */
+  dispose() {
+    this.disable();
+    this.markers_.dispose();
+  }
+}
+
+export default Authoring;
@@ -0,0 +1,123 @@
+import videojs from 'video.js';
+
+/**
+ * A keyframed camera path ("director's cut") for flat playback. Keyframes
+ * are `{time, yaw, pitch, fov}`, with time in seconds of the source and the
+ * angles in degrees as taken by `setViewDirection`. Between keyframes the
+ * view follows a Catmull-Rom spline, so it eases through each keyframe
+ * instead of turning sharply.
+ */
+class CameraPath {
+  /**
+   * Create a path from a list of keyframes.
+   *
+   * @param {Object[]} keyframes
+   *        `{time, yaw, pitch, fov}` objects, in any order. yaw and pitch
+   *        that are left out repeat the previous keyframe's; fov is only
+   *        animated if every keyframe has one.
+   */
+  constructor(keyframes) {
+    const sorted = keyframes
+      .filter((keyframe) => keyframe && typeof keyframe.time === 'number' && isFinite(keyframe.time))
+      .sort((a, b) => a.time - b.time);
+
+    if (sorted.length !== keyframes.length) {
+      videojs.log.error('videojs-vr: camera path keyframes need a time in seconds, ignoring the others');
+    }
+
+    const hasFov = sorted.length > 0 && sorted.every((keyframe) => typeof keyframe.fov === 'number');
+    let previous = {yaw: 0, pitch: 0};
+
+    this.keyframes = sorted.map((keyframe) => {
+      const yaw = typeof keyframe.yaw === 'number' ? keyframe.yaw : previous.yaw;
+      // unwrap the yaw so the path turns the shorter way between keyframes
+      const delta = ((yaw - previous.yaw) % 360 + 540) % 360 - 180;
+      const point = {
+        time: keyframe.time,
+        yaw: previous.time === undefined ? yaw : previous.yaw + delta,
+        pitch: typeof keyframe.pitch === 'number' ? keyframe.pitch : previous.pitch,
+        fov: hasFov ? keyframe.fov : undefined
+      };
+
+      previous = point;
+      return point;
+    });
+  }
+
+  /**
+   * Build a path from the cues of a metadata text track. Each cue's text
+   * is a JSON object with `yaw`, `pitch` and `fov`; its start time is the
+   * keyframe time.
+   *
+   * @param {TextTrackCueList|Object[]} cues
+   *        The track's cues.
+   *
+   * @return {CameraPath}
+   *         The path.
+   */
+  static fromCues(cues) {
+    const keyframes = [];
+
+    for (let i = 0; i < cues.length; i++) {
+      try {
+        keyframes.push(Object.assign({}, JSON.parse(cues[i].text), {time: cues[i].startTime}));
+      } catch (e) {
+        videojs.log.error(`videojs-vr: camera path cue at ${cues[i].startTime}s is not JSON`);
+      }
+    }
+
+    return new CameraPath(keyframes);
+  }
+
+  /**
+   * Where the camera should look at a point in time. Before the first
+   * keyframe and after the last the view holds still.
+   *
+   * @param {number} time
+   *        Time in seconds.
+   *
+   * @return {Object|null}
+   *         `{yaw, pitch, fov}` in degrees, with fov undefined if the path
+   *         doesn't set it, or null for an empty path.
+   */
+  sample(time) {
+    const keyframes = this.keyframes;
+    const last = keyframes.length - 1;
+
+    if (last < 0) {
+      return null;
+    }
+
+    let i = 0;
+
+    while (i < last && keyframes[i + 1].time <= time) {
+      i++;
+    }
+
+    const p1 = keyframes[i];
+
+    if (i === last || time <= p1.time) {
+      return {yaw: p1.yaw, pitch: p1.pitch, fov: p1.fov};
+    }
+
+    const p0 = keyframes[i - 1] || p1;
+    const p2 = keyframes[i + 1];
+    const p3 = keyframes[i + 2] || p2;
+    const t = (time - p1.time) / (p2.time - p1.time);
+    const spline = (name) => {
+      if (typeof p1[name] !== 'number') {
+        return;
+      }
+      return 0.5 * (
+        2 * p1[name] +
+        (p2[name] - p0[name]) * t +
+        (2 * p0[name] - 5 * p1[name] + 4 * p2[name] - p3[name]) * t * t +
+        (3 * p1[name] - p0[name] - 3 * p2[name] + p3[name]) * t * t * t
+      );
+    };
+
+    return {yaw: spline('yaw'), pitch: spline('pitch'), fov: spline('fov')};
+  }
+}
+
+export default CameraPath;
@@ -10,12 +10,14 @@ import videojs from 'video.js';
  *    show the control bar. Moving around the scene in the canvas should not.
  */
 class CanvasPlayerControls extends videojs.EventTarget {
-  constructor(player, canvas, options) {
+  constructor(player, canvas, options, isInteractive) {
     super();
 
     this.player = player;
     this.canvas = canvas;
     this.options = options;
+    // whether an event is on something in the scene that handles clicks itself
+    this.isInteractive = isInteractive || (() => false);
 
     this.onMoveEnd = videojs.bind(this, this.onMoveEnd);
     this.onMoveStart = videojs.bind(this, this.onMoveStart);
@@ -62,7 +64,8 @@ class CanvasPlayerControls extends videojs.EventTarget {
     // if the player does not have a controlbar or
     // the move was a mouse click but not left click do not
     // toggle play.
-    if (this.options.disableTogglePlay || !this.player.controls() || (e.type === 'mousedown' && !videojs.dom.isSingleLeftClick(e))) {
+    if (this.options.disableTogglePlay || !this.player.controls() || (e.type === 'mousedown' && !videojs.dom.isSingleLeftClick(e)) ||
+        this.isInteractive(e)) {
       this.shouldTogglePlay = false;
       return;
     }
@@ -0,0 +1,117 @@
+import * as THREE from 'three';
+import window from 'global/window';
+
+/**
+ * A black sphere around the camera that fades the scene out and back in,
+ * for changing sources without a visible cut. The HUD sits inside it and
+ * stays visible.
+ */
+class FadeVeil {
+  /**
+   * Create a transparent veil.
+   */
+  constructor() {
+    this.mesh = new THREE.Mesh(
+      new THREE.SphereGeometry(10, 16, 8),
+      new THREE.MeshBasicMaterial({
+        color: 0x000000,
+        side: THREE.BackSide,
+        transparent: true,
+        opacity: 0,
+        depthTest: false,
+        depthWrite: false
+      })
+    );
+    this.mesh.name = 'vr-fade-veil';
+    this.mesh.visible = false;
+    // over the movie screen, heatmap, hotspots and annotations, under the
+    // HUD and gallery
+    this.mesh.renderOrder = -1;
+    this.mesh.layers.set(0);
+    this.mesh.layers.enable(1);
+    this.mesh.layers.enable(2);
+
+    this.fade_ = null;
+    this.cameraPosition_ = new THREE.Vector3();
+  }
+
+  /**
+   * Fade to an opacity.
+   *
+   * @param {number} opacity
+   *        1 for black, 0 for the scene.
+   * @param {number} duration
+   *        Length of the fade in ms.
+   *
+   * @return {Promise}
+   *         Resolves with true when the fade ends, or false if another fade
+   *         replaces it.
+   */
+  fadeTo(opacity, duration) {
+    if (this.fade_) {
+      this.fade_.resolve(false);
+      this.fade_ = null;
+    }
+
+    // without a duration there's nothing to wait a frame for
+    if (!(duration > 0)) {
+      this.mesh.material.opacity = opacity;
+      this.mesh.visible = opacity > 0;
+      return Promise.resolve(true);
+    }
+
+    return new Promise((resolve) => {
+      this.fade_ = {
+        from: this.mesh.material.opacity,
+        to: opacity,
+        start: window.performance.now(),
+        duration,
+        resolve
+      };
+    });
+  }
+
+  /**
+   * Advance the fade and keep the veil around the camera. Call once per
+   * frame.
+   *
+   * @param {THREE.Camera} camera
+   *        The camera the veil surrounds.
+   */
+  update(camera) {
+    const fade = this.fade_;
+    const material = this.mesh.material;
+
+    if (fade) {
+      const k = Math.min(1, (window.performance.now() - fade.start) / fade.duration);
+
+      material.opacity = fade.from + (fade.to - fade.from) * k;
+
+      if (k === 1) {
+        this.fade_ = null;
+        fade.resolve(true);
+      }
+    }
+
+    this.mesh.visible = material.opacity > 0;
+    this.mesh.position.copy(camera.getWorldPosition(this.cameraPosition_));
+  }
+
+  /**
+   * Free the veil's GPU resources and settle a running fade.
+   */
+  dispose() {
+    if (this.fade_) {
+      this.fade_.resolve(false);
+      this.fade_ = null;
+    }
+
+    if (this.mesh.parent) {
+      this.mesh.parent.remove(this.mesh);
+    }
+    this.mesh.geometry.dispose();
+    this.mesh.material.dispose();
+  }
+}
+
+export default FadeVeil;
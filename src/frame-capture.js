@@ -0,0 +1,342 @@
+import * as THREE from 'three';
+import document from 'global/document';
+import videojs from 'video.js';
+
+// Default edge of each cube face rendered for reprojection, in pixels
+const FACE_SIZE = 1024;
+
+// Output of each frame format, in cube faces across and down
+const FORMATS = {
+  equirect: {columns: 4, rows: 2},
+  cubemap: {columns: 3, rows: 2},
+  sbs: {columns: 8, rows: 2}
+};
+
+// Faces of the cubemap format in the cells of the 3x2 cubeLayout, r(ight)
+// l(eft) u(p) d(own) f(ront) b(ack), so a capture plays back as 360_CUBE.
+// Each face is the direction it looks in and the directions of the right
+// and top edges of its cell, as the 360_CUBE projection maps them.
+const CUBE_FACES = [
+  {forward: [1, 0, 0], right: [0, 0, -1], up: [0, 1, 0]},
+  {forward: [-1, 0, 0], right: [0, 0, 1], up: [0, 1, 0]},
+  {forward: [0, 1, 0], right: [-1, 0, 0], up: [0, 0, 1]},
+  {forward: [0, -1, 0], right: [-1, 0, 0], up: [0, 0, -1]},
+  {forward: [0, 0, -1], right: [-1, 0, 0], up: [0, 1, 0]},
+  {forward: [0, 0, 1], right: [1, 0, 0], up: [0, 1, 0]}
+];
+
+const reprojectVertexShader = `
+  varying vec2 vUv;
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }`;
+
+// Looks each pixel's direction up in a cube render of the scene: by yaw and
+// pitch across the whole cell for equirect, or across one cube face. The
+// directions are the ones getCellDirection works out.
+const reprojectFragmentShader = `
+  #define PI 3.1415926535897932384626433832795
+  uniform samplerCube cube;
+  uniform bool equirect;
+  uniform vec3 forward;
+  uniform vec3 right;
+  uniform vec3 up;
+  varying vec2 vUv;
+  void main() {
+    vec3 direction;
+    if (equirect) {
+      float yaw = (vUv.x - 0.5) * 2.0 * PI;
+      float pitch = (vUv.y - 0.5) * PI;
+      direction = vec3(sin(yaw) * cos(pitch), sin(pitch), -cos(yaw) * cos(pitch));
+    } else {
+      direction = forward + right * (vUv.x * 2.0 - 1.0) + up * (vUv.y * 2.0 - 1.0);
+    }
+    gl_FragColor = textureCube(cube, direction);
+    #include <colorspace_fragment>
+  }`;
+
+/**
+ * Lay out the cells of a capture format.
+ *
+ * @param {string} format
+ *        `'equirect'`, `'cubemap'` or `'sbs'`.
+ * @param {number} faceSize
+ *        Edge of each cube face in pixels.
+ *
+ * @return {Object[]}
+ *         The cells to draw, `{eye, face, x, y, width, height}` in pixels
+ *         from the bottom left of the image. `face` is the cube face of a
+ *         cubemap cell, as in CUBE_FACES; the other formats' cells span
+ *         the whole sphere.
+ */
+export const getCaptureCells = (format, faceSize) => {
+  if (format === 'cubemap') {
+    return CUBE_FACES.map((face, i) => ({
+      eye: 'left',
+      face,
+      x: (i % 3) * faceSize,
+      y: (1 - Math.floor(i / 3)) * faceSize,
+      width: faceSize,
+      height: faceSize
+    }));
+  }
+
+  const cells = [{eye: 'left', x: 0, y: 0, width: faceSize * 4, height: faceSize * 2}];
+
+  if (format === 'sbs') {
+    cells.push({eye: 'right', x: faceSize * 4, y: 0, width: faceSize * 4, height: faceSize * 2});
+  }
+
+  return cells;
+};
+
+/**
+ * Get the direction of the scene a point of a cell shows.
+ *
+ * @param {Object} cell
+ *        A cell from getCaptureCells.
+ * @param {number} u
+ *        Across the cell from its left edge, 0 to 1.
+ * @param {number} v
+ *        Up the cell from its bottom edge, 0 to 1.
+ *
+ * @return {THREE.Vector3}
+ *         The direction, not normalized.
+ */
+export const getCellDirection = (cell, u, v) => {
+  if (cell.face) {
+    return new THREE.Vector3().fromArray(cell.face.forward)
+      .addScaledVector(new THREE.Vector3().fromArray(cell.face.right), u * 2 - 1)
+      .addScaledVector(new THREE.Vector3().fromArray(cell.face.up), v * 2 - 1);
+  }
+
+  const yaw = (u - 0.5) * 2 * Math.PI;
+  const pitch = (v - 0.5) * Math.PI;
+
+  return new THREE.Vector3(Math.sin(yaw) * Math.cos(pitch), Math.sin(pitch), -Math.cos(yaw) * Math.cos(pitch));
+};
+
+/**
+ * Upload the video's current frame, in case it changed since the last
+ * animation frame.
+ *
+ * @param {VR} vr
+ *        The plugin.
+ */
+const refreshVideoTexture = (vr) => {
+  const video = vr.getVideoEl_();
+
+  if (vr.videoTexture && video && video.readyState >= video.HAVE_CURRENT_DATA) {
+    vr.videoTexture.needsUpdate = true;
+  }
+};
+
+/**
+ * Draw into a render target outside of any XR session, then point the
+ * renderer back at what it was drawing to.
+ *
+ * @param {THREE.WebGLRenderer} renderer
+ *        The renderer.
+ * @param {THREE.WebGLRenderTarget} target
+ *        The target to draw into.
+ * @param {Function} draw
+ *        Does the drawing.
+ */
+const renderTo = (renderer, target, draw) => {
+  const previousTarget = renderer.getRenderTarget();
+  const xrEnabled = renderer.xr.enabled;
+
+  // with XR enabled three.js would draw the headset's views instead
+  renderer.xr.enabled = false;
+  renderer.setRenderTarget(target);
+  draw();
+  renderer.setRenderTarget(previousTarget);
+  renderer.xr.enabled = xrEnabled;
+};
+
+/**
+ * Read a render target back as an image.
+ *
+ * @param {THREE.WebGLRenderer} renderer
+ *        The renderer that drew it.
+ * @param {THREE.WebGLRenderTarget} target
+ *        An 8 bit RGBA target.
+ * @param {Object} options
+ *        `type` and `quality`, as taken by `canvas.toBlob`.
+ *
+ * @return {Promise<Blob|null>}
+ *         The image, or null if the browser could not encode it.
+ */
+const readImage = (renderer, target, options) => {
+  const width = target.width;
+  const height = target.height;
+  const rowSize = width * 4;
+  const pixels = new Uint8Array(rowSize * height);
+  const canvas = document.createElement('canvas');
+
+  renderer.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+  canvas.width = width;
+  canvas.height = height;
+
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(width, height);
+
+  // WebGL rows start at the bottom
+  for (let y = 0; y < height; y++) {
+    image.data.set(pixels.subarray((height - y - 1) * rowSize, (height - y) * rowSize), y * rowSize);
+  }
+
+  // overlays blend into the alpha channel, but the view is always opaque
+  for (let i = 3; i < image.data.length; i += 4) {
+    image.data[i] = 255;
+  }
+
+  ctx.putImageData(image, 0, 0);
+
+  return new Promise((resolve) => {
+    canvas.toBlob(resolve, options.type || 'image/png', options.quality);
+  });
+};
+
+/**
+ * Render what the player's camera sees, overlays included, at any size.
+ * The player's canvas is left as it is.
+ *
+ * @param {VR} vr
+ *        The plugin, for its renderer, scene and camera.
+ * @param {Object} options
+ *        `width` and `height` in pixels, the canvas's by default, and the
+ *        image `type` and `quality`.
+ *
+ * @return {Promise<Blob|null>}
+ *         The image.
+ */
+export const renderViewport = (vr, options) => {
+  const renderer = vr.renderer;
+  const camera = vr.camera;
+  const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+  const maxSize = renderer.capabilities.maxTextureSize;
+  const width = Math.min(maxSize, Math.round(options.width > 0 ? options.width : size.x));
+  const height = Math.min(maxSize, Math.round(options.height > 0 ? options.height : size.y));
+  // sRGB, so the target stores what the canvas would show; antialiased
+  // like the canvas
+  const target = new THREE.WebGLRenderTarget(width, height, {colorSpace: THREE.SRGBColorSpace, samples: 4});
+  const aspect = camera.aspect;
+
+  refreshVideoTexture(vr);
+  camera.aspect = width / height;
+  camera.updateProjectionMatrix();
+  renderTo(renderer, target, () => renderer.render(vr.scene, camera));
+  camera.aspect = aspect;
+  camera.updateProjectionMatrix();
+
+  const image = readImage(renderer, target, options);
+
+  target.dispose();
+
+  return image;
+};
+
+/**
+ * Reproject the video's current frame, whatever its projection, by
+ * rendering the movie screen into a cube around the centre of the scene and
+ * unwrapping that cube. Only the movie screen is drawn, and the orientation
+ * offset set from the HUD is taken back out, so the image is laid out as
+ * the source is.
+ *
+ * @param {VR} vr
+ *        The plugin, for its renderer, scene and movie screen.
+ * @param {Object} options
+ *        `format` (`'equirect'`, `'cubemap'` or `'sbs'`), `size` of each
+ *        cube face in pixels and the image `type` and `quality`.
+ *
+ * @return {Promise<Blob|null>}
+ *         The image, or null for an unknown format.
+ */
+export const reprojectFrame = (vr, options) => {
+  const format = options.format || 'equirect';
+
+  if (!FORMATS[format]) {
+    videojs.log.error(`videojs-vr: unknown capture format ${format}, expected one of ${Object.keys(FORMATS).join(', ')}`);
+    return Promise.resolve(null);
+  }
+
+  const renderer = vr.renderer;
+  const scene = vr.scene;
+  const layout = FORMATS[format];
+  const faceSize = Math.min(
+    Math.round(options.size > 0 ? options.size : FACE_SIZE),
+    renderer.capabilities.maxCubemapSize,
+    Math.floor(renderer.capabilities.maxTextureSize / layout.columns)
+  );
+  const cubeTarget = new THREE.WebGLCubeRenderTarget(faceSize, {colorSpace: THREE.SRGBColorSpace});
+  const cubeCamera = new THREE.CubeCamera(vr.camera.near, vr.camera.far, cubeTarget);
+  const target = new THREE.WebGLRenderTarget(faceSize * layout.columns, faceSize * layout.rows, {
+    colorSpace: THREE.SRGBColorSpace
+  });
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      cube: {value: cubeTarget.texture},
+      equirect: {value: format !== 'cubemap'},
+      forward: {value: new THREE.Vector3()},
+      right: {value: new THREE.Vector3()},
+      up: {value: new THREE.Vector3()}
+    },
+    vertexShader: reprojectVertexShader,
+    fragmentShader: reprojectFragmentShader,
+    depthTest: false,
+    depthWrite: false
+  });
+  const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+  const quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+  const screens = [vr.movieScreen, vr.movieScreenLeft, vr.movieScreenRight];
+  const hidden = scene.children.filter((child) => child.visible && screens.indexOf(child) === -1);
+  const autoClear = renderer.autoClear;
+  const cells = getCaptureCells(format, faceSize);
+
+  refreshVideoTexture(vr);
+  hidden.forEach((child) => {
+    child.visible = false;
+  });
+  cubeCamera.quaternion.copy(vr.getSourceRotation_());
+  renderTo(renderer, target, () => renderer.clear());
+
+  let eye = null;
+
+  cells.forEach((cell) => {
+    if (cell.eye !== eye) {
+      eye = cell.eye;
+      // the layers each eye of an XR session sees, which also picks the eye
+      // of single mesh stereo screens
+      cubeCamera.layers.set(0);
+      cubeCamera.layers.enable(eye === 'left' ? 1 : 2);
+      renderer.autoClear = true;
+      cubeCamera.update(renderer, scene);
+    }
+
+    if (cell.face) {
+      material.uniforms.forward.value.fromArray(cell.face.forward);
+      material.uniforms.right.value.fromArray(cell.face.right);
+      material.uniforms.up.value.fromArray(cell.face.up);
+    }
+
+    target.viewport.set(cell.x, cell.y, cell.width, cell.height);
+    renderer.autoClear = false;
+    renderTo(renderer, target, () => renderer.render(quad, quadCamera));
+  });
+
+  renderer.autoClear = autoClear;
+  hidden.forEach((child) => {
+    child.visible = true;
+  });
+
+  const image = readImage(renderer, target, options);
+
+  target.dispose();
+  cubeTarget.dispose();
+  quad.geometry.dispose();
+  material.dispose();
+
+  return image;
+};
@@ -0,0 +1,135 @@
+import * as THREE from 'three';
+import videojs from 'video.js';
+
+// Unit vector for a view direction in degrees, yaw to the right of the
+// centre of the source and pitch above the horizon (as setViewDirection).
+const toVector = (yaw, pitch) => {
+  const y = THREE.MathUtils.degToRad(yaw);
+  const p = THREE.MathUtils.degToRad(pitch);
+
+  return new THREE.Vector3(Math.sin(y) * Math.cos(p), Math.sin(p), -Math.cos(y) * Math.cos(p));
+};
+
+/**
+ * Regions of interest on the sphere and whether the viewer is looking at
+ * them. A region is a circle of `radius` degrees around `yaw`/`pitch`,
+ * active between `startTime` and `endTime` seconds of the source.
+ */
+class GazeRegions {
+  /**
+   * Create an empty set of regions.
+   */
+  constructor() {
+    this.entries_ = [];
+  }
+
+  /**
+   * Add a region, replacing any region with the same id.
+   *
+   * @param {Object} region
+   *        `{id, yaw, pitch, radius, startTime, endTime}`. Angles are in
+   *        degrees; the times default to the whole source.
+   *
+   * @return {Object|null}
+   *         The region that was replaced and was being looked at, or null.
+   */
+  add(region) {
+    const replaced = this.remove(region.id);
+
+    this.entries_.push({
+      region: Object.assign({startTime: 0, endTime: Infinity}, region),
+      vector: toVector(region.yaw, region.pitch),
+      inside: false
+    });
+
+    return replaced;
+  }
+
+  /**
+   * Remove a region.
+   *
+   * @param {string|number} id
+   *        The region's id.
+   *
+   * @return {Object|null}
+   *         The region if it was being looked at, so it can be left, or
+   *         null.
+   */
+  remove(id) {
+    const index = this.entries_.findIndex((entry) => entry.region.id === id);
+
+    if (index === -1) {
+      return null;
+    }
+
+    const entry = this.entries_.splice(index, 1)[0];
+
+    return entry.inside ? entry.region : null;
+  }
+
+  /**
+   * Get every region.
+   *
+   * @return {Object[]}
+   *         The regions, in the order they were added.
+   */
+  getAll() {
+    return this.entries_.map((entry) => entry.region);
+  }
+
+  /**
+   * Check the regions against where the viewer is looking.
+   *
+   * @param {Object} direction
+   *        `{yaw, pitch}` in degrees.
+   * @param {number} time
+   *        Current time of the source in seconds.
+   *
+   * @return {Object}
+   *         `{entered, left}` lists of the regions the gaze moved into and
+   *         out of since the last call.
+   */
+  update(direction, time) {
+    const gaze = toVector(direction.yaw, direction.pitch);
+    const entered = [];
+    const left = [];
+
+    this.entries_.forEach((entry) => {
+      const region = entry.region;
+      const inside = time >= region.startTime && time < region.endTime &&
+        THREE.MathUtils.radToDeg(gaze.angleTo(entry.vector)) <= region.radius;
+
+      if (inside !== entry.inside) {
+        entry.inside = inside;
+        (inside ? entered : left).push(region);
+      }
+    });
+
+    return {entered, left};
+  }
+}
+
+/**
+ * Check a region passed to addRegion.
+ *
+ * @param {Object} region
+ *        The region.
+ *
+ * @return {boolean}
+ *         Whether it can be added. Logs the reason if not.
+ */
+export const isValidRegion = function(region) {
+  if (!region || (typeof region.id !== 'string' && typeof region.id !== 'number')) {
+    videojs.log.error('videojs-vr: regions need a string or number id');
+    return false;
+  }
+
+  if (['yaw', 'pitch', 'radius'].some((key) => typeof region[key] !== 'number' || isNaN(region[key]))) {
+    videojs.log.error(`videojs-vr: region ${region.id} needs yaw, pitch and radius in degrees`);
+    return false;
+  }
+
+  return true;
+};
+
+export default GazeRegions;
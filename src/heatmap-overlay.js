@@ -0,0 +1,127 @@
+import * as THREE from 'three';
+
+const vertexShader = `
+  varying vec3 vDir;
+
+  void main() {
+    vDir = position;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }`;
+
+const fragmentShader = `
+  precision highp float;
+  uniform sampler2D heatmap;
+  uniform float opacity;
+  varying vec3 vDir;
+
+  const float PI = 3.1415926535897932384626433832795;
+
+  void main() {
+    vec3 d = normalize(vDir);
+    // the mesh is turned with the source, so this is the yaw / pitch
+    // setViewDirection takes
+    float u = atan(d.x, -d.z) / (2.0 * PI) + 0.5;
+    float v = asin(clamp(d.y, -1.0, 1.0)) / PI + 0.5;
+    float value = texture2D(heatmap, vec2(u, v)).r;
+
+    // blue for a glance, through green and yellow, to red for the most watched
+    vec3 color = mix(vec3(0.0, 0.2, 1.0), vec3(0.0, 1.0, 0.2), smoothstep(0.0, 0.35, value));
+
+    color = mix(color, vec3(1.0, 0.9, 0.0), smoothstep(0.35, 0.65, value));
+    color = mix(color, vec3(1.0, 0.0, 0.0), smoothstep(0.65, 1.0, value));
+
+    gl_FragColor = vec4(color, opacity * smoothstep(0.02, 0.3, value));
+    #include <colorspace_fragment>
+  }`;
+
+/**
+ * A translucent sphere drawn over the movie screen that colours each
+ * direction by how much it was watched, from an equirectangular grid such
+ * as ViewHeatmap#getGrid returns.
+ */
+class HeatmapOverlay {
+  /**
+   * Create the overlay and add it to a scene.
+   *
+   * @param {THREE.Scene} scene
+   *        The player's scene.
+   * @param {Object} options
+   *        Overlay options.
+   * @param {number} options.width
+   *        Columns of the grids passed to setGrid.
+   * @param {number} options.height
+   *        Rows of the grids passed to setGrid.
+   * @param {number} options.radius
+   *        Radius of the sphere, the same as the movie screen's so the
+   *        overlay lines up in every view mode.
+   */
+  constructor(scene, options) {
+    this.scene = scene;
+    this.data_ = new Uint8Array(options.width * options.height);
+    this.texture = new THREE.DataTexture(this.data_, options.width, options.height, THREE.RedFormat);
+    this.texture.wrapS = THREE.RepeatWrapping;
+    this.texture.minFilter = THREE.LinearFilter;
+    this.texture.magFilter = THREE.LinearFilter;
+
+    this.mesh = new THREE.Mesh(
+      new THREE.SphereGeometry(options.radius, 64, 32),
+      new THREE.ShaderMaterial({
+        uniforms: {
+          heatmap: {value: this.texture},
+          opacity: {value: 0.6}
+        },
+        vertexShader,
+        fragmentShader,
+        side: THREE.BackSide,
+        transparent: true,
+        depthTest: false,
+        depthWrite: false
+      })
+    );
+    this.mesh.name = 'vr-heatmap';
+    // the movie screen is opaque and drawn before every transparent object;
+    // draw this first of those so it stays under the hotspots, annotations,
+    // fade veil, HUD and gallery
+    this.mesh.renderOrder = -3;
+    this.mesh.layers.set(0);
+    this.mesh.layers.enable(1);
+    this.mesh.layers.enable(2);
+
+    scene.add(this.mesh);
+  }
+
+  /**
+   * Show a new grid.
+   *
+   * @param {Float32Array} values
+   *        Row-major values from 0 to 1, the first row at pitch -90.
+   */
+  setGrid(values) {
+    for (let i = 0; i < this.data_.length; i++) {
+      this.data_[i] = Math.round(values[i] * 255);
+    }
+    this.texture.needsUpdate = true;
+  }
+
+  /**
+   * Turn the overlay with the movie screen, e.g. for an orientation offset.
+   *
+   * @param {THREE.Quaternion} quaternion
+   *        Rotation from the source's directions to the scene's.
+   */
+  setRotation(quaternion) {
+    this.mesh.quaternion.copy(quaternion);
+  }
+
+  /**
+   * Remove the overlay from the scene and free its GPU resources.
+   */
+  dispose() {
+    this.scene.remove(this.mesh);
+    this.mesh.geometry.dispose();
+    this.mesh.material.dispose();
+    this.texture.dispose();
+  }
+}
+
+export default HeatmapOverlay;
@@ -0,0 +1,286 @@
+import * as THREE from 'three';
+import document from 'global/document';
+import window from 'global/window';
+import videojs from 'video.js';
+
+// Markers sit inside the 256 unit video sphere, about 7 degrees across
+const DISTANCE = 200;
+const SIZE = 24;
+const CANVAS_WIDTH = 256;
+const CANVAS_HEIGHT = 320;
+
+/**
+ * Draw a hotspot's icon (or a default ring) with its label underneath.
+ *
+ * @param {HTMLCanvasElement} canvas
+ *        The marker's canvas.
+ * @param {Object} hotspot
+ *        The hotspot.
+ * @param {HTMLImageElement} [image]
+ *        The loaded icon.
+ */
+const drawMarker = (canvas, hotspot, image) => {
+  const ctx = canvas.getContext('2d');
+
+  ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+  if (image) {
+    ctx.drawImage(image, 64, 16, 128, 128);
+  } else {
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+    ctx.beginPath();
+    ctx.arc(128, 80, 56, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 10;
+    ctx.beginPath();
+    ctx.arc(128, 80, 50, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.fillStyle = '#ffffff';
+    ctx.beginPath();
+    ctx.arc(128, 80, 18, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  if (hotspot.label) {
+    ctx.font = 'bold 32px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    const width = Math.min(CANVAS_WIDTH, ctx.measureText(hotspot.label).width + 32);
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect((CANVAS_WIDTH - width) / 2, 176, width, 56);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(hotspot.label, 128, 204, CANVAS_WIDTH - 16);
+  }
+};
+
+/**
+ * Put a marker at its hotspot's direction and size.
+ *
+ * @param {THREE.Mesh} mesh
+ *        The marker.
+ * @param {Object} hotspot
+ *        The hotspot, with its scale filled in.
+ */
+const placeMarker = (mesh, hotspot) => {
+  const yaw = THREE.MathUtils.degToRad(hotspot.yaw);
+  const pitch = THREE.MathUtils.degToRad(hotspot.pitch);
+
+  mesh.position.set(Math.sin(yaw) * Math.cos(pitch), Math.sin(pitch), -Math.cos(yaw) * Math.cos(pitch))
+    .multiplyScalar(DISTANCE);
+  mesh.scale.setScalar(hotspot.scale);
+};
+
+/**
+ * Clickable markers on the video sphere. Each hotspot is a billboard that
+ * faces the camera, shown between its `startTime` and `endTime`. The
+ * plugin picks them under the mouse or a tap in flat playback, and the VR
+ * HUD raycasts the meshes together with its own buttons so XR controllers
+ * can select them.
+ */
+class Hotspots {
+  /**
+   * Create an empty set of hotspots.
+   */
+  constructor() {
+    this.group = new THREE.Group();
+    this.group.name = 'vr-hotspots';
+    this.entries_ = [];
+    this.cameraPosition_ = new THREE.Vector3();
+  }
+
+  /**
+   * Add a hotspot, replacing any hotspot with the same id in its place.
+   *
+   * @param {Object} hotspot
+   *        `{id, yaw, pitch, startTime, endTime, scale, icon, label,
+   *        onSelect}`, see VR#addHotspot.
+   */
+  add(hotspot) {
+    const index = this.entries_.findIndex((entry) => entry.hotspot.id === hotspot.id);
+
+    this.remove(hotspot.id);
+    hotspot = Object.assign({startTime: 0, endTime: Infinity, scale: 1}, hotspot);
+
+    const canvas = document.createElement('canvas');
+
+    canvas.width = CANVAS_WIDTH;
+    canvas.height = CANVAS_HEIGHT;
+    drawMarker(canvas, hotspot);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const geometry = new THREE.PlaneGeometry(SIZE, SIZE * CANVAS_HEIGHT / CANVAS_WIDTH);
+
+    // centre the icon, not the whole marker, on the hotspot's direction
+    geometry.translate(0, -SIZE * (CANVAS_HEIGHT / 2 - 80) / CANVAS_WIDTH, 0);
+
+    const mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+      map: texture,
+      transparent: true,
+      depthTest: false,
+      depthWrite: false
+    }));
+
+    mesh.name = `hotspot-${hotspot.id}`;
+    placeMarker(mesh, hotspot);
+    mesh.userData.interactive = true;
+    mesh.userData.type = 'hotspot';
+    mesh.userData.hotspotId = hotspot.id;
+    // over the heatmap, under the fade veil so a tour's fade covers it
+    mesh.renderOrder = -2;
+    mesh.layers.set(0);
+    mesh.layers.enable(1);
+    mesh.layers.enable(2);
+
+    if (hotspot.icon) {
+      const image = new window.Image();
+
+      image.crossOrigin = 'anonymous';
+      image.onload = () => {
+        drawMarker(canvas, hotspot, image);
+        texture.needsUpdate = true;
+      };
+      image.onerror = () => {
+        videojs.log.error(`videojs-vr: could not load the icon of hotspot ${hotspot.id}`);
+      };
+      image.src = hotspot.icon;
+    }
+
+    this.group.add(mesh);
+    this.entries_.splice(index === -1 ? this.entries_.length : index, 0, {hotspot, mesh});
+  }
+
+  /**
+   * Move or resize a hotspot without redrawing its marker.
+   *
+   * @param {string|number} id
+   *        The hotspot's id.
+   * @param {Object} changes
+   *        Any of `{yaw, pitch, scale}`.
+   */
+  move(id, changes) {
+    const entry = this.entries_.find((e) => e.hotspot.id === id);
+
+    if (!entry) {
+      return;
+    }
+
+    ['yaw', 'pitch', 'scale'].forEach((key) => {
+      if (typeof changes[key] === 'number') {
+        entry.hotspot[key] = changes[key];
+      }
+    });
+    placeMarker(entry.mesh, entry.hotspot);
+  }
+
+  /**
+   * Remove a hotspot.
+   *
+   * @param {string|number} id
+   *        The hotspot's id.
+   */
+  remove(id) {
+    const index = this.entries_.findIndex((entry) => entry.hotspot.id === id);
+
+    if (index === -1) {
+      return;
+    }
+
+    const mesh = this.entries_.splice(index, 1)[0].mesh;
+
+    this.group.remove(mesh);
+    mesh.geometry.dispose();
+    mesh.material.map.dispose();
+    mesh.material.dispose();
+  }
+
+  /**
+   * Get a hotspot.
+   *
+   * @param {string|number} id
+   *        The hotspot's id.
+   *
+   * @return {Object|undefined}
+   *         The hotspot, with its times and scale filled in.
+   */
+  get(id) {
+    const entry = this.entries_.find((e) => e.hotspot.id === id);
+
+    return entry && entry.hotspot;
+  }
+
+  /**
+   * Get every hotspot.
+   *
+   * @return {Object[]}
+   *         The hotspots, in the order they were added.
+   */
+  getAll() {
+    return this.entries_.map((entry) => entry.hotspot);
+  }
+
+  /**
+   * Get the markers to raycast.
+   *
+   * @return {THREE.Mesh[]}
+   *         One mesh per hotspot, hidden outside of its time range.
+   */
+  getMeshes() {
+    return this.entries_.map((entry) => entry.mesh);
+  }
+
+  /**
+   * Find the marker a ray hits.
+   *
+   * @param {THREE.Raycaster} raycaster
+   *        The ray.
+   *
+   * @return {string|number|null}
+   *         The id of the nearest shown hotspot it hits, or null.
+   */
+  hit(raycaster) {
+    const hit = raycaster.intersectObjects(this.getMeshes().filter((mesh) => mesh.visible), false)[0];
+
+    return hit ? hit.object.userData.hotspotId : null;
+  }
+
+  /**
+   * Show the hotspots of the current time and turn them to the camera.
+   *
+   * @param {THREE.Camera} camera
+   *        The camera to face.
+   * @param {THREE.Quaternion} rotation
+   *        Rotation from the source's directions to the scene's, to follow
+   *        the orientation offset of the movie screen.
+   * @param {number} time
+   *        Current time of the source in seconds.
+   */
+  update(camera, rotation, time) {
+    this.group.quaternion.copy(rotation);
+    this.group.updateMatrixWorld();
+    camera.getWorldPosition(this.cameraPosition_);
+
+    this.entries_.forEach(({hotspot, mesh}) => {
+      mesh.visible = time >= hotspot.startTime && time < hotspot.endTime;
+
+      if (mesh.visible) {
+        mesh.lookAt(this.cameraPosition_);
+      }
+    });
+  }
+
+  /**
+   * Remove every hotspot and take the markers out of the scene.
+   */
+  dispose() {
+    this.getAll().forEach((hotspot) => this.remove(hotspot.id));
+
+    if (this.group.parent) {
+      this.group.parent.remove(this.group);
+    }
+  }
+}
+
+export default Hotspots;
@@ -1,5 +1,9 @@
 import videojs from 'video.js';
 
+// Safari uses the different AAC decoder than FFMPEG. The channel order is
+// The default 4ch AAC channel layout for FFMPEG AAC channel ordering.
+export const decoderChannelMap = videojs.browser.IS_SAFARI ? [2, 0, 1, 3] : [0, 1, 2, 3];
+
 /**
  * This class manages ambisonic decoding and binaural rendering via Omnitone library.
  */
@@ -17,9 +21,7 @@ class OmnitoneController extends videojs.EventTarget {
     super();
 
     const settings = videojs.mergeOptions({
-      // Safari uses the different AAC decoder than FFMPEG. The channel order is
-      // The default 4ch AAC channel layout for FFMPEG AAC channel ordering.
-      channelMap: videojs.browser.IS_SAFARI ? [2, 0, 1, 3] : [0, 1, 2, 3],
+      channelMap: decoderChannelMap,
       ambisonicOrder: 1
     }, options);
 
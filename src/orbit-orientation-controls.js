@@ -1,3 +1,4 @@
+import window from 'global/window';
 import * as THREE from 'three';
 import OrbitControls from '../vendor/three/OrbitControls.js';
 import DeviceOrientationControls from '../vendor/three/DeviceOrientationControls.js';
@@ -39,6 +40,14 @@ function Quat2Angle(x, y, z, w) {
   return new THREE.Vector3(pitch, roll, yaw);
 }
 
+// Easing curves for animateTo, mapping 0..1 to 0..1.
+export const EASINGS = {
+  linear: (t) => t,
+  easeIn: (t) => t * t,
+  easeOut: (t) => t * (2 - t),
+  easeInOut: (t) => t * t * (3 - 2 * t)
+};
+
 class OrbitOrientationControls {
   constructor(options) {
     this.object = options.camera;
@@ -69,8 +78,464 @@ class OrbitOrientationControls {
       this.orbit.maxAzimuthAngle = Math.PI / 4;
     }
 
+    // if the source only covers part of the sphere
+    // keep the view inside the covered area, see updateCoverageLimits_
+    this.coverage_ = options.coverage || null;
+
     // Store initial camera orientation for reset
     this.initialQuaternion = this.object.quaternion.clone();
+
+    // last view passed to setView and its running transition
+    this.view_ = null;
+    this.viewTransition_ = null;
+
+    // fov zoom: the fov the camera eases towards, null when it is there
+    this.fovTarget_ = null;
+    this.minFov_ = options.minFov;
+    this.maxFov_ = options.maxFov;
+    this.canZoom_ = options.canZoom || (() => true);
+    this.onFovChange_ = options.onFovChange || (() => {});
+    this.pinchDistance_ = null;
+    this.pinchFov_ = null;
+
+    // when the user last dragged or zoomed, see getIdleTime
+    this.interacting_ = false;
+    this.lastInteraction_ = -Infinity;
+    this.onInteractionStart_ = () => {
+      this.interacting_ = true;
+    };
+    this.onInteractionEnd_ = () => {
+      this.interacting_ = false;
+      this.lastInteraction_ = window.performance.now();
+    };
+    this.orbit.addEventListener('start', this.onInteractionStart_);
+    this.orbit.addEventListener('end', this.onInteractionEnd_);
+
+    if (options.zoom !== false) {
+      this.onWheel_ = this.onWheel_.bind(this);
+      this.onTouchStart_ = this.onTouchStart_.bind(this);
+      this.onTouchMove_ = this.onTouchMove_.bind(this);
+
+      this.domElement.addEventListener('wheel', this.onWheel_, {passive: false});
+      this.domElement.addEventListener('touchstart', this.onTouchStart_);
+      this.domElement.addEventListener('touchmove', this.onTouchMove_, {passive: false});
+    }
+  }
+
+  /**
+   * Change the zoom limits. A fov outside them is left as it is until the
+   * next zoom.
+   *
+   * @param {number} minFov
+   *        Narrowest vertical fov in degrees.
+   * @param {number} maxFov
+   *        Widest vertical fov in degrees.
+   */
+  setFovLimits(minFov, maxFov) {
+    this.minFov_ = minFov;
+    this.maxFov_ = maxFov;
+  }
+
+  /**
+   * Zoom to a camera fov, easing towards it over the next frames.
+   *
+   * @param {number} fov
+   *        Vertical field of view in degrees, clamped to the zoom limits.
+   */
+  setFov(fov) {
+    fov = Math.max(this.minFov_, Math.min(this.maxFov_, fov));
+
+    if (fov === this.getFov()) {
+      return;
+    }
+
+    this.fovTarget_ = fov;
+    this.onFovChange_(fov);
+  }
+
+  /**
+   * Zoom the way the user asked for, which also counts as interacting.
+   *
+   * @param {number} fov
+   *        Vertical field of view in degrees.
+   */
+  zoomTo_(fov) {
+    this.lastInteraction_ = window.performance.now();
+    this.setFov(fov);
+  }
+
+  /**
+   * Get the fov the camera is at, or zooming towards.
+   *
+   * @return {number}
+   *         Vertical field of view in degrees.
+   */
+  getFov() {
+    return this.fovTarget_ === null ? this.object.fov : this.fovTarget_;
+  }
+
+  /**
+   * Zoom with the mouse wheel or a trackpad pinch.
+   *
+   * @param {WheelEvent} event
+   *        The wheel event.
+   */
+  onWheel_(event) {
+    if (!this.canZoom_()) {
+      return;
+    }
+    event.preventDefault();
+
+    // line and page deltas come from mouse wheels, roughly 16px a line;
+    // trackpad pinches arrive as wheel events with ctrlKey set and small
+    // deltas, so they get a larger factor
+    const delta = event.deltaMode === 0 ? event.deltaY : event.deltaY * 16;
+    const factor = event.ctrlKey ? 0.01 : 0.001;
+
+    this.zoomTo_(this.getFov() * Math.exp(delta * factor));
+  }
+
+  /**
+   * Start a pinch when a second finger touches.
+   *
+   * @param {TouchEvent} event
+   *        The touchstart event.
+   */
+  onTouchStart_(event) {
+    if (event.touches.length === 2) {
+      this.pinchDistance_ = this.getPinchDistance_(event);
+      this.pinchFov_ = this.getFov();
+    } else {
+      this.pinchDistance_ = null;
+    }
+  }
+
+  /**
+   * Zoom by the change in distance between the two fingers.
+   *
+   * @param {TouchEvent} event
+   *        The touchmove event.
+   */
+  onTouchMove_(event) {
+    if (event.touches.length !== 2 || !this.pinchDistance_ || !this.canZoom_()) {
+      return;
+    }
+    event.preventDefault();
+
+    // spreading the fingers zooms in
+    this.zoomTo_(this.pinchFov_ * this.pinchDistance_ / this.getPinchDistance_(event));
+  }
+
+  /**
+   * Distance between the first two touches.
+   *
+   * @param {TouchEvent} event
+   *        A touch event with two touches.
+   *
+   * @return {number}
+   *         Distance in CSS pixels, at least 1.
+   */
+  getPinchDistance_(event) {
+    const a = event.touches[0];
+    const b = event.touches[1];
+
+    return Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY) || 1;
+  }
+
+  /**
+   * Move to a new view: a camera fov, a distance of the camera from the
+   * orbit target and optionally a pitch. Moving the camera back from the
+   * centre of the sphere along its view direction turns the rectilinear
+   * view into a stereographic one once it reaches the sphere's surface;
+   * the orbit keeps the distance while the user drags, and recenter
+   * comes back to this view.
+   *
+   * @param {Object} view
+   *        `{fov, distance, pitch}`, with fov and pitch in degrees. A
+   *        missing pitch leaves the pitch as it is.
+   * @param {number} [duration=0]
+   *        Length of the transition in ms.
+   */
+  setView(view, duration = 0) {
+    this.view_ = view;
+    this.animateTo(view, duration);
+  }
+
+  /**
+   * Animate the camera to a view direction, fov and/or distance. Values
+   * that are left out keep their current value. Yaw is in degrees to the
+   * right of the centre of the source, pitch in degrees above the horizon.
+   * Yaw takes the shorter way around.
+   *
+   * @param {Object} target
+   *        `{yaw, pitch, fov, distance}`.
+   * @param {number} [duration=0]
+   *        Length of the animation in ms.
+   * @param {string|Function} [easing='easeInOut']
+   *        A name from EASINGS or a function mapping 0..1 to 0..1.
+   *
+   * @return {Promise}
+   *         Resolves with true once the camera arrives, or with false if
+   *         another animation replaces this one first or the controls are
+   *         disposed.
+   */
+  animateTo(target, duration = 0, easing = 'easeInOut') {
+    const from = this.getState_();
+    const to = this.getTargetState_(target, from);
+
+    if (this.viewTransition_) {
+      this.viewTransition_.resolve(false);
+    }
+
+    return new Promise((resolve) => {
+      this.viewTransition_ = {
+        start: window.performance.now(),
+        duration,
+        easing: typeof easing === 'function' ? easing : EASINGS[easing] || EASINGS.easeInOut,
+        from,
+        to,
+        resolve
+      };
+
+      this.updateView_();
+    });
+  }
+
+  /**
+   * Move the camera to a view straight away, without an animation. Unlike
+   * animateTo this leaves a running animation alone; the next frame of it
+   * overrides the jump.
+   *
+   * @param {Object} target
+   *        `{yaw, pitch, fov, distance}`, as taken by animateTo.
+   */
+  jumpTo(target) {
+    this.applyState_(this.getTargetState_(target, this.getState_()));
+  }
+
+  /**
+   * Whether an animation started by animateTo or setView is running.
+   *
+   * @return {boolean}
+   *         True while the camera is animating.
+   */
+  isAnimating() {
+    return !!this.viewTransition_;
+  }
+
+  /**
+   * Time since the user last dragged or zoomed the view.
+   *
+   * @return {number}
+   *         Milliseconds, 0 during a drag and Infinity if the user hasn't
+   *         touched the view yet.
+   */
+  getIdleTime() {
+    if (this.interacting_) {
+      return 0;
+    }
+    return window.performance.now() - this.lastInteraction_;
+  }
+
+  /**
+   * The orbit state the camera is in: fov, distance from the target and
+   * the spherical angles of the camera around it.
+   *
+   * @return {Object}
+   *         `{fov, distance, phi, theta}`.
+   */
+  getState_() {
+    const offset = this.object.position.clone().sub(this.orbit.target);
+    const spherical = new THREE.Spherical().setFromVector3(offset);
+
+    return {fov: this.object.fov, distance: spherical.radius, phi: spherical.phi, theta: spherical.theta};
+  }
+
+  /**
+   * The orbit state for an animateTo target, starting from `from`.
+   *
+   * @param {Object} target
+   *        `{yaw, pitch, fov, distance}`.
+   * @param {Object} from
+   *        The current state, see getState_.
+   *
+   * @return {Object}
+   *         `{fov, distance, phi, theta}`.
+   */
+  getTargetState_(target, from) {
+    const to = Object.assign({}, from);
+
+    if (typeof target.fov === 'number') {
+      to.fov = target.fov;
+      // setting the fov drops any zoom in progress
+      this.fovTarget_ = null;
+    }
+    if (typeof target.distance === 'number') {
+      to.distance = target.distance;
+    }
+    // the camera looks at the target, so it sits opposite its view
+    // direction: looking straight down puts it straight above (phi 0)
+    if (typeof target.pitch === 'number') {
+      to.phi = Math.PI / 2 + THREE.MathUtils.degToRad(target.pitch);
+    }
+    if (typeof target.yaw === 'number') {
+      const delta = -THREE.MathUtils.degToRad(target.yaw) - from.theta;
+
+      to.theta = from.theta + Math.atan2(Math.sin(delta), Math.cos(delta));
+    }
+
+    return to;
+  }
+
+  /**
+   * Put the camera in an orbit state.
+   *
+   * @param {Object} state
+   *        `{fov, distance, phi, theta}`.
+   */
+  applyState_(state) {
+    const spherical = new THREE.Spherical(state.distance, state.phi, state.theta);
+
+    spherical.makeSafe();
+    this.object.position.setFromSpherical(spherical).add(this.orbit.target);
+
+    if (this.object.fov !== state.fov) {
+      this.object.fov = state.fov;
+      this.object.updateProjectionMatrix();
+    }
+  }
+
+  /**
+   * Get where the orbit is looking.
+   *
+   * @return {Object}
+   *         `{yaw, pitch}` in degrees, as taken by animateTo.
+   */
+  getViewDirection() {
+    const offset = this.object.position.clone().sub(this.orbit.target);
+    const spherical = new THREE.Spherical().setFromVector3(offset);
+
+    return {
+      yaw: THREE.MathUtils.radToDeg(-spherical.theta),
+      pitch: THREE.MathUtils.radToDeg(spherical.phi - Math.PI / 2)
+    };
+  }
+
+  /**
+   * Get where the camera looks once the orientation offset is applied on
+   * top of the orbit. Unlike the camera's own direction this is up to date
+   * before the next update.
+   *
+   * @return {THREE.Vector3}
+   *         Unit vector in world space.
+   */
+  getLookDirection() {
+    const view = this.getViewDirection();
+    const offset = new THREE.Quaternion().setFromEuler(this.orientationOffset);
+
+    return new THREE.Vector3(0, 0, -1).applyQuaternion(offset).applyEuler(new THREE.Euler(
+      THREE.MathUtils.degToRad(view.pitch),
+      THREE.MathUtils.degToRad(-view.yaw),
+      0,
+      'YXZ'
+    ));
+  }
+
+  /**
+   * Find the orbit direction that points the camera along a direction once
+   * the orientation offset is applied on top of the orbit.
+   *
+   * @param {THREE.Vector3} direction
+   *        Unit vector in world space.
+   *
+   * @return {Object}
+   *         `{yaw, pitch}` in degrees, as taken by animateTo.
+   */
+  getOrbitDirectionFor(direction) {
+    const offset = new THREE.Quaternion().setFromEuler(this.orientationOffset);
+    const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(offset);
+    const radius = Math.hypot(forward.y, forward.z);
+    const phase = Math.atan2(forward.z, forward.y);
+    const height = Math.acos(THREE.MathUtils.clamp(direction.y / radius, -1, 1));
+    const wrap = (angle) => THREE.MathUtils.euclideanModulo(angle + Math.PI, Math.PI * 2) - Math.PI;
+
+    // pitching the orbit lifts the offset forward vector to the direction's
+    // height at one of two angles; take the one the orbit can reach
+    let pitch = wrap(-height - phase);
+
+    if (Math.abs(pitch) > Math.PI / 2) {
+      pitch = wrap(height - phase);
+    }
+
+    // then yawing turns it to the direction's heading
+    forward.applyAxisAngle(new THREE.Vector3(1, 0, 0), pitch);
+
+    const yaw = wrap(Math.atan2(direction.x, -direction.z) - Math.atan2(forward.x, -forward.z));
+
+    return {
+      yaw: THREE.MathUtils.radToDeg(yaw),
+      pitch: THREE.MathUtils.radToDeg(pitch)
+    };
+  }
+
+  /**
+   * Step the animation started by animateTo.
+   */
+  updateView_() {
+    const transition = this.viewTransition_;
+    const elapsed = window.performance.now() - transition.start;
+    const t = transition.duration > 0 ? Math.min(1, elapsed / transition.duration) : 1;
+    const k = transition.easing(t);
+    const lerp = (name) => transition.from[name] + (transition.to[name] - transition.from[name]) * k;
+
+    this.applyState_({fov: lerp('fov'), distance: lerp('distance'), phi: lerp('phi'), theta: lerp('theta')});
+
+    if (t === 1) {
+      this.viewTransition_ = null;
+      transition.resolve(true);
+    }
+  }
+
+  /**
+   * Clamp the orbit so the edges of a partial panorama are never passed.
+   * The coverage is given as `{top, bottom, left, right}` fractions of the
+   * full sphere that are cropped away. Depends on the camera fov and
+   * aspect, so it runs on every update.
+   */
+  updateCoverageLimits_() {
+    const coverage = this.coverage_;
+    const halfVertical = THREE.MathUtils.degToRad(this.object.fov) / 2;
+    const halfHorizontal = Math.atan(Math.tan(halfVertical) * this.object.aspect);
+
+    // Looking down -z at azimuth 0, the image centre. Azimuth grows to the
+    // left and polar angle grows upwards, both measured from the view centre.
+    const limit = (min, max, margin) => {
+      if (max - min <= margin * 2) {
+        return [(min + max) / 2, (min + max) / 2];
+      }
+      return [min + margin, max - margin];
+    };
+
+    const polar = limit(coverage.bottom * Math.PI, (1 - coverage.top) * Math.PI, halfVertical);
+
+    this.orbit.minPolarAngle = polar[0];
+    this.orbit.maxPolarAngle = polar[1];
+
+    const minAzimuth = (coverage.right - 0.5) * Math.PI * 2;
+    const maxAzimuth = (0.5 - coverage.left) * Math.PI * 2;
+
+    // OrbitControls can't clamp across the seam behind the viewer, which
+    // only a crop that wraps around it or covers the full circle reaches
+    if (maxAzimuth - minAzimuth >= Math.PI * 2 || minAzimuth < -Math.PI || maxAzimuth > Math.PI) {
+      this.orbit.minAzimuthAngle = -Infinity;
+      this.orbit.maxAzimuthAngle = Infinity;
+      return;
+    }
+
+    const azimuth = limit(minAzimuth, maxAzimuth, halfHorizontal);
+
+    this.orbit.minAzimuthAngle = azimuth[0];
+    this.orbit.maxAzimuthAngle = azimuth[1];
   }
 
   /**
@@ -138,8 +603,12 @@ class OrbitOrientationControls {
       // Set offset to negate current orientation
       this.orientationOffset.y = -currentAngle.z;
     } else {
-      // Reset orbit controls to center
+      // Reset orbit controls to center, keeping the current view mode
       this.orbit.reset();
+
+      if (this.view_) {
+        this.setView(this.view_);
+      }
     }
   }
 
@@ -167,6 +636,16 @@ class OrbitOrientationControls {
       this.lastAngle_ = currentAngle;
     }
 
+    if (this.viewTransition_) {
+      this.updateView_();
+    } else if (this.fovTarget_ !== null) {
+      this.updateZoom_();
+    }
+
+    if (this.coverage_) {
+      this.updateCoverageLimits_();
+    }
+
     this.orbit.update();
 
     // Apply user orientation offset after orbit update
@@ -182,9 +661,38 @@ class OrbitOrientationControls {
     }
   }
 
+  /**
+   * Ease the camera fov towards the zoom target.
+   */
+  updateZoom_() {
+    let fov = this.object.fov + (this.fovTarget_ - this.object.fov) * 0.2;
+
+    if (Math.abs(this.fovTarget_ - fov) < 0.01) {
+      fov = this.fovTarget_;
+      this.fovTarget_ = null;
+    }
+
+    this.object.fov = fov;
+    this.object.updateProjectionMatrix();
+  }
+
   dispose() {
+    // settle a running animation, as nothing will finish it now
+    if (this.viewTransition_) {
+      this.viewTransition_.resolve(false);
+      this.viewTransition_ = null;
+    }
+
+    this.orbit.removeEventListener('start', this.onInteractionStart_);
+    this.orbit.removeEventListener('end', this.onInteractionEnd_);
     this.orbit.dispose();
 
+    if (this.onWheel_) {
+      this.domElement.removeEventListener('wheel', this.onWheel_);
+      this.domElement.removeEventListener('touchstart', this.onTouchStart_);
+      this.domElement.removeEventListener('touchmove', this.onTouchMove_);
+    }
+
     if (this.orientation) {
       this.orientation.dispose();
     }
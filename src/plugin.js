@@ -7,10 +7,30 @@ import videojs from 'video.js';
 import * as THREE from 'three';
 import VRControls from '../vendor/three/VRControls.js';
 import VREffect from '../vendor/three/VREffect.js';
-import OrbitOrientationContols from './orbit-orientation-controls.js';
+import OrbitOrientationContols, {EASINGS} from './orbit-orientation-controls.js';
 import * as utils from './utils';
+import {getProjection, getProjectionNames, registerProjection, unregisterProjection} from './projection-registry';
 import CanvasPlayerControls from './canvas-player-controls';
-import OmnitoneController from './omnitone-controller';
+import CameraPath from './camera-path';
+import GazeRegions, {isValidRegion} from './gaze-regions';
+import ViewHeatmap from './view-heatmap';
+import HeatmapOverlay from './heatmap-overlay';
+import Hotspots from './hotspots';
+import Tour from './tour';
+import FadeVeil from './fade-veil';
+import Annotations from './annotations';
+import Authoring from './authoring';
+import {parseShareHash, formatShareHash} from './share-state';
+import Preferences from './preferences';
+import {renderViewport, reprojectFrame} from './frame-capture';
+import Reframe from './reframe';
+import OmnitoneController, {decoderChannelMap} from './omnitone-controller';
+import {
+  fetchGPano,
+  fetchSpatialMetadata,
+  getGPanoCoverage,
+  getProjectionFromMetadata
+} from './spatial-metadata';
 import VRHUD from './vr-hud';
 import VRGallery from './vr-gallery';
 
@@ -18,6 +38,14 @@ import VRGallery from './vr-gallery';
 import './cardboard-button';
 import './big-vr-play-button';
 
+// import the built-in projections so they get registered
+import './projections';
+
+// Frame shapes (width / height) of spatial video: mono 360 and side by side
+// VR180, top/bottom 360 and VR180, 3x2 cubemaps and EAC, side by side 360 and
+// top/bottom mono 180
+const SPATIAL_ASPECTS = [2, 1, 1.5, 4, 0.5];
+
 // Default options for the plugin.
 const defaults = {
   debug: false,
@@ -25,7 +53,58 @@ const defaults = {
   forceCardboard: false,
   omnitoneOptions: {},
   projection: 'AUTO',
+  // Read Spherical Video V2 / SA3D boxes from MP4 sources when projection is
+  // AUTO. 'auto' only spends the range request on frames shaped like spatial
+  // video (see SPATIAL_ASPECTS), true reads every source and false none
+  spatialMetadata: 'auto',
+  // GPano crop of a partial panorama, e.g. {FullPanoWidthPixels: 8000, ...};
+  // read from the poster's XMP when not set
+  gpano: null,
+  // Lens calibration for the FISHEYE_* projections, see projections.js
+  fisheyeOptions: {},
+  // Face packing for the 360_CUBE projections, see CUBE_LAYOUTS in projections.js
+  cubeLayout: '3x2',
+  // Stereo sources with the right eye first (RL / BT)
+  swapEyes: false,
+  // Draw stereo sources with one mesh whose eye is picked per draw
+  singleMeshStereo: false,
   sphereDetail: 32,
+  // Sample 360/360_LR/360_TB per fragment instead of through sphere UVs
+  equirectShader: false,
+  // Flat playback view: 'perspective', 'stereographic' or 'littlePlanet'
+  viewMode: 'perspective',
+  // Mouse wheel / pinch fov zoom in flat playback, within minFov..maxFov
+  enableZoom: true,
+  minFov: 30,
+  maxFov: 120,
+  // Keyframed camera path for flat playback: {time, yaw, pitch, fov}
+  // keyframes, a metadata TextTrack, or the label of one; see setCameraPath
+  cameraPath: null,
+  // ms without dragging or zooming before the camera path takes over again
+  cameraPathIdleTimeout: 3000,
+  // Metadata TextTrack of annotation cards, or its label or id; see
+  // setAnnotationTrack
+  annotations: 'annotations',
+  // Minimum ms between vr-viewchange events
+  viewChangeInterval: 250,
+  // Record where viewers look during playback, see exportHeatmap
+  heatmap: false,
+  // Seconds of the source per heatmap bucket, and ms between samples
+  heatmapBucketSize: 1,
+  heatmapSampleInterval: 200,
+  // Seconds around the current time the heatmap overlay shows, 0 for all
+  heatmapWindow: 5,
+  // Branching tour to start with, see loadTour
+  tour: null,
+  // ms to fade out and back in when a tour changes scene
+  tourTransitionDuration: 1000,
+  // Keep the time and view in the page URL's hash, see getShareState
+  urlHashSync: false,
+  // Remember force mono, the HUD orientation offset, the HUD projection and
+  // the gallery scroll position, see getPreferences
+  preferences: false,
+  // Storage with getItem, setItem and removeItem; localStorage if null
+  preferencesStorage: null,
   disableTogglePlay: false,
   // New VR HUD options
   enableVRHUD: true,
@@ -44,6 +123,31 @@ const defaults = {
   mediaItems: []
 };
 
+// Presets for setViewMode. `distance` is how far the camera sits behind
+// the centre of the sphere, as a fraction of its radius: 0 is the usual
+// rectilinear view, 1 puts it on the sphere for a stereographic view.
+const viewModes = {
+  perspective: {fov: 75, distance: 0},
+  stereographic: {fov: 110, distance: 1},
+  littlePlanet: {fov: 130, distance: 1, pitch: -90}
+};
+
+// Radius of the sphere the projections build.
+const SPHERE_RADIUS = 256;
+
+// A press on a hotspot that moves less than this many pixels selects it,
+// more turns the view
+const HOTSPOT_CLICK_DISTANCE = 5;
+
+// ms a tour scene's source gets to load before the scene is shown anyway:
+// preload="none" sources, and iOS before a user gesture, only load once
+// they play
+const SCENE_LOAD_TIMEOUT = 5000;
+
+// Equirectangular grid the heatmap overlay is drawn from
+const HEATMAP_WIDTH = 64;
+const HEATMAP_HEIGHT = 32;
+
 const errors = {
   'web-vr-out-of-date': {
     headline: '360 is out of date',
@@ -62,6 +166,20 @@ const errors = {
   }
 };
 
+/**
+ * Get the page's localStorage, which throws where storage is blocked.
+ *
+ * @return {Storage|null}
+ *         localStorage, or null if it can't be used.
+ */
+const getLocalStorage = () => {
+  try {
+    return window.localStorage || null;
+  } catch (e) {
+    return null;
+  }
+};
+
 const Plugin = videojs.getPlugin('plugin');
 const Component = videojs.getComponent('Component');
 
@@ -104,8 +222,63 @@ class VR extends Plugin {
     this.handleResize_ = videojs.bind(this, this.handleResize_);
     this.animate_ = videojs.bind(this, this.animate_);
 
+    this.swapEyes_ = !!this.options_.swapEyes;
+    this.viewMode_ = 'perspective';
+    this.view_ = null;
+    this.cameraPathSource_ = this.options_.cameraPath;
+    this.cameraPath_ = null;
+    this.cameraPathFrom_ = null;
+    this.cameraPathCues_ = 0;
+    this.gazeRegions_ = new GazeRegions();
+    this.lastViewChange_ = null;
+    this.heatmap_ = new ViewHeatmap({bucketSize: this.options_.heatmapBucketSize});
+    this.heatmapRecording_ = !!this.options_.heatmap;
+    this.heatmapShown_ = null;
+    this.heatmapOverlay_ = null;
+    this.heatmapDrawn_ = null;
+    this.lastHeatmapSample_ = 0;
+    this.lastHeatmapDraw_ = 0;
+    this.hotspots_ = new Hotspots();
+    this.hotspotRaycaster_ = new THREE.Raycaster();
+    // the hotspot a press on the canvas started on, and where
+    this.hotspotPress_ = null;
+    this.onHotspotPointerDown_ = videojs.bind(this, this.onHotspotPointerDown_);
+    this.onHotspotPointerUp_ = videojs.bind(this, this.onHotspotPointerUp_);
+    // added to renderer.xr when a stored force mono is restored
+    this.onForceMonoSessionStart_ = videojs.bind(this, this.onForceMonoSessionStart_);
+    this.fadeVeil_ = new FadeVeil();
+    this.annotations_ = new Annotations();
+    this.annotationTrack_ = this.options_.annotations;
+    this.authoring_ = new Authoring(this);
+    this.reframe_ = new Reframe(this);
+    this.pendingShareState_ = null;
+    this.hashWriteTimeout_ = null;
+    this.preferences_ = this.options_.preferences ?
+      new Preferences(this.options_.preferencesStorage || getLocalStorage()) :
+      null;
+    this.tour_ = null;
+    this.tourScene_ = null;
+    this.tourHotspots_ = [];
+    this.sceneTransition_ = null;
+    // settles the wait for a tour scene's source and screen
+    this.sceneWait_ = null;
+    // the heading of a tour scene whose source loaded before init finished
+    this.pendingSceneHeading_ = null;
+
+    if (this.options_.viewMode !== 'perspective') {
+      this.setViewMode(this.options_.viewMode, {duration: 0});
+    }
+
     this.setProjection(this.options_.projection);
 
+    if (this.options_.tour) {
+      this.loadTour(this.options_.tour);
+    }
+
+    if (this.options_.urlHashSync) {
+      this.startHashSync_();
+    }
+
     // any time the video element is recycled for ads
     // we have to reset the vr state and re-init after ad
     this.on(player, 'adstart', () => player.setTimeout(() => {
@@ -131,8 +304,6 @@ class VR extends Plugin {
       projection = 'NONE';
     }
 
-    const position = {x: 0, y: 0, z: 0 };
-
     if (this.scene) {
       this.scene.remove(this.movieScreen);
       // Also remove stereo eye meshes if they exist
@@ -153,611 +324,48 @@ class VR extends Plugin {
 
         return this.changeProjection_(autoProjection);
       }
-      return this.changeProjection_('NONE');
-    } else if (projection === '360') {
-      this.movieGeometry = new THREE.SphereGeometry(256, this.options_.sphereDetail, this.options_.sphereDetail);
-      this.movieMaterial = new THREE.MeshBasicMaterial({ map: this.videoTexture, side: THREE.BackSide });
-
-      this.movieScreen = new THREE.Mesh(this.movieGeometry, this.movieMaterial);
-      this.movieScreen.position.set(position.x, position.y, position.z);
-
-      this.movieScreen.scale.x = -1;
-      this.movieScreen.quaternion.setFromAxisAngle({x: 0, y: 1, z: 0}, -Math.PI / 2);
-      this.scene.add(this.movieScreen);
-    } else if (projection === '360_LR' || projection === '360_TB') {
-      // Left eye view - use SphereGeometry and modify UVs directly
-      const leftGeometry = new THREE.SphereGeometry(
-        256,
-        this.options_.sphereDetail,
-        this.options_.sphereDetail
-      );
-
-      // Get UV attribute from buffer geometry
-      let uvAttribute = leftGeometry.getAttribute('uv');
-      let uvArray = uvAttribute.array;
-
-      // Modify UVs for left eye
-      for (let i = 0; i < uvArray.length; i += 2) {
-        if (projection === '360_LR') {
-          uvArray[i] *= 0.5; // x coordinate
-        } else {
-          uvArray[i + 1] = uvArray[i + 1] * 0.5 + 0.5; // y coordinate
-        }
-      }
-      uvAttribute.needsUpdate = true;
-
-      const leftMaterial = new THREE.MeshBasicMaterial({ map: this.videoTexture, side: THREE.BackSide });
-
-      this.movieScreenLeft = new THREE.Mesh(leftGeometry, leftMaterial);
-      this.movieScreenLeft.scale.x = -1;
-      this.movieScreenLeft.quaternion.setFromAxisAngle({x: 0, y: 1, z: 0}, -Math.PI / 2);
-      // display in left eye only
-      this.movieScreenLeft.layers.set(1);
-      this.scene.add(this.movieScreenLeft);
-
-      // Right eye view - use SphereGeometry and modify UVs directly
-      const rightGeometry = new THREE.SphereGeometry(
-        256,
-        this.options_.sphereDetail,
-        this.options_.sphereDetail
-      );
-
-      // Get UV attribute from buffer geometry
-      uvAttribute = rightGeometry.getAttribute('uv');
-      uvArray = uvAttribute.array;
-
-      // Modify UVs for right eye
-      for (let i = 0; i < uvArray.length; i += 2) {
-        if (projection === '360_LR') {
-          uvArray[i] = uvArray[i] * 0.5 + 0.5; // x coordinate
-        } else {
-          uvArray[i + 1] *= 0.5; // y coordinate
-        }
-      }
-      uvAttribute.needsUpdate = true;
-
-      const rightMaterial = new THREE.MeshBasicMaterial({ map: this.videoTexture, side: THREE.BackSide });
-
-      this.movieScreenRight = new THREE.Mesh(rightGeometry, rightMaterial);
-      this.movieScreenRight.scale.x = -1;
-      this.movieScreenRight.quaternion.setFromAxisAngle({x: 0, y: 1, z: 0}, -Math.PI / 2);
-      // display in right eye only
-      this.movieScreenRight.layers.set(2);
-      this.scene.add(this.movieScreenRight);
-
-      // Store references for cleanup and mono toggle
-      this.movieScreen = this.movieScreenLeft;
-      this.movieGeometry = leftGeometry;
-      this.movieMaterial = leftMaterial;
-    } else if (projection === '360_CUBE') {
-      // Use BoxGeometry instead of deprecated BoxGeometry
-      this.movieGeometry = new THREE.BoxGeometry(256, 256, 256);
-      this.movieMaterial = new THREE.MeshBasicMaterial({ map: this.videoTexture, side: THREE.BackSide });
-
-      // Define UV coordinates for each face
-      const left = [new THREE.Vector2(0, 0.5), new THREE.Vector2(0.333, 0.5), new THREE.Vector2(0.333, 1), new THREE.Vector2(0, 1)];
-      const right = [new THREE.Vector2(0.333, 0.5), new THREE.Vector2(0.666, 0.5), new THREE.Vector2(0.666, 1), new THREE.Vector2(0.333, 1)];
-      const top = [new THREE.Vector2(0.666, 0.5), new THREE.Vector2(1, 0.5), new THREE.Vector2(1, 1), new THREE.Vector2(0.666, 1)];
-      const bottom = [new THREE.Vector2(0, 0), new THREE.Vector2(0.333, 0), new THREE.Vector2(0.333, 0.5), new THREE.Vector2(0, 0.5)];
-      const front = [new THREE.Vector2(0.333, 0), new THREE.Vector2(0.666, 0), new THREE.Vector2(0.666, 0.5), new THREE.Vector2(0.333, 0.5)];
-      const back = [new THREE.Vector2(0.666, 0), new THREE.Vector2(1, 0), new THREE.Vector2(1, 0.5), new THREE.Vector2(0.666, 0.5)];
-
-      // BoxGeometry has 24 vertices (4 per face, 6 faces)
-      // UV attribute has 48 values (2 per vertex)
-      // Face order in BoxGeometry: +X, -X, +Y, -Y, +Z, -Z (right, left, top, bottom, front, back)
-      const uvAttribute = this.movieGeometry.getAttribute('uv');
-      const uvArray = uvAttribute.array;
-
-      // Helper to set UVs for a face (4 vertices, 8 UV values starting at faceIndex*8)
-      const setFaceUVs = (faceIndex, corners) => {
-        const baseIdx = faceIndex * 8;
-        // Vertex order for each face in BoxGeometry: 0,1,2,3 -> corners[3],corners[2],corners[0],corners[1]
-
-        uvArray[baseIdx] = corners[3].x; uvArray[baseIdx + 1] = corners[3].y;
-        uvArray[baseIdx + 2] = corners[2].x; uvArray[baseIdx + 3] = corners[2].y;
-        uvArray[baseIdx + 4] = corners[0].x; uvArray[baseIdx + 5] = corners[0].y;
-        uvArray[baseIdx + 6] = corners[1].x; uvArray[baseIdx + 7] = corners[1].y;
-      };
-
-      // Set UVs for each face
-      setFaceUVs(0, right); // +X face
-      setFaceUVs(1, left); // -X face
-      setFaceUVs(2, top); // +Y face
-      setFaceUVs(3, bottom); // -Y face
-      setFaceUVs(4, front); // +Z face
-      setFaceUVs(5, back); // -Z face
-
-      uvAttribute.needsUpdate = true;
-
-      this.movieScreen = new THREE.Mesh(this.movieGeometry, this.movieMaterial);
-      this.movieScreen.position.set(position.x, position.y, position.z);
-      this.movieScreen.rotation.y = -Math.PI;
-
-      this.scene.add(this.movieScreen);
-    } else if (projection === '180_MONO') {
-      // 180 MONO: Single mesh showing full video, visible to both eyes
-      const geometry = new THREE.SphereGeometry(
-        256,
-        this.options_.sphereDetail,
-        this.options_.sphereDetail,
-        Math.PI, // phiStart
-        Math.PI // phiLength
-      );
-
-      geometry.scale(-1, 1, 1);
-
-      this.movieGeometry = geometry;
-      this.movieMaterial = new THREE.MeshBasicMaterial({
-        map: this.videoTexture
-      });
-      this.movieScreen = new THREE.Mesh(this.movieGeometry, this.movieMaterial);
-      // Visible to all layers (mono)
-      this.movieScreen.layers.enable(0);
-      this.movieScreen.layers.enable(1);
-      this.movieScreen.layers.enable(2);
-      this.scene.add(this.movieScreen);
-    } else if (projection === '180' || projection === '180_LR') {
-      // 180 Stereo: Left eye view
-      const leftGeometry = new THREE.SphereGeometry(
-        256,
-        this.options_.sphereDetail,
-        this.options_.sphereDetail,
-        Math.PI, // phiStart
-        Math.PI // phiLength
-      );
-
-      leftGeometry.scale(-1, 1, 1);
-
-      // Modify UVs for left eye (left half of video)
-      let uvAttribute = leftGeometry.getAttribute('uv');
-      let uvArray = uvAttribute.array;
-
-      for (let i = 0; i < uvArray.length; i += 2) {
-        uvArray[i] *= 0.5; // x coordinate
-      }
-      uvAttribute.needsUpdate = true;
-
-      const leftMaterial = new THREE.MeshBasicMaterial({
-        map: this.videoTexture
-      });
-
-      this.movieScreenLeft = new THREE.Mesh(leftGeometry, leftMaterial);
-      this.movieScreenLeft.layers.set(1); // Left eye only
-      this.scene.add(this.movieScreenLeft);
-
-      // Right eye view
-      const rightGeometry = new THREE.SphereGeometry(
-        256,
-        this.options_.sphereDetail,
-        this.options_.sphereDetail,
-        Math.PI, // phiStart
-        Math.PI // phiLength
-      );
-
-      rightGeometry.scale(-1, 1, 1);
-
-      // Modify UVs for right eye (right half of video)
-      uvAttribute = rightGeometry.getAttribute('uv');
-      uvArray = uvAttribute.array;
-      for (let i = 0; i < uvArray.length; i += 2) {
-        uvArray[i] = uvArray[i] * 0.5 + 0.5; // x coordinate
-      }
-      uvAttribute.needsUpdate = true;
-
-      const rightMaterial = new THREE.MeshBasicMaterial({
-        map: this.videoTexture
-      });
-
-      this.movieScreenRight = new THREE.Mesh(rightGeometry, rightMaterial);
-      this.movieScreenRight.layers.set(2); // Right eye only
-      this.scene.add(this.movieScreenRight);
-
-      // Store references for cleanup and mono toggle
-      this.movieScreen = this.movieScreenLeft;
-      this.movieGeometry = leftGeometry;
-      this.movieMaterial = leftMaterial;
-    } else if (projection === 'EAC' || projection === 'EAC_LR') {
-      const makeScreen = (mapMatrix, scaleMatrix) => {
-        // "Continuity correction?": because of discontinuous faces and aliasing,
-        // we truncate the 2-pixel-wide strips on all discontinuous edges,
-        const contCorrect = 2;
-
-        // Use BoxGeometry instead of deprecated BoxGeometry
-        this.movieGeometry = new THREE.BoxGeometry(256, 256, 256);
-        this.movieMaterial = new THREE.ShaderMaterial({
-          side: THREE.BackSide,
-          uniforms: {
-            mapped: {value: this.videoTexture},
-            mapMatrix: {value: mapMatrix},
-            contCorrect: {value: contCorrect},
-            faceWH: {value: new THREE.Vector2(1 / 3, 1 / 2).applyMatrix3(scaleMatrix)},
-            vidWH: {value: new THREE.Vector2(this.videoTexture.image.videoWidth, this.videoTexture.image.videoHeight).applyMatrix3(scaleMatrix)}
-          },
-          vertexShader: `
-varying vec2 vUv;
-uniform mat3 mapMatrix;
-
-void main() {
-  vUv = (mapMatrix * vec3(uv, 1.)).xy;
-  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.);
-}`,
-          fragmentShader: `
-varying vec2 vUv;
-uniform sampler2D mapped;
-uniform vec2 faceWH;
-uniform vec2 vidWH;
-uniform float contCorrect;
-
-const float PI = 3.1415926535897932384626433832795;
-
-void main() {
-  vec2 corner = vUv - mod(vUv, faceWH) + vec2(0, contCorrect / vidWH.y);
-
-  vec2 faceWHadj = faceWH - vec2(0, contCorrect * 2. / vidWH.y);
-
-  vec2 p = (vUv - corner) / faceWHadj - .5;
-  vec2 q = 2. / PI * atan(2. * p) + .5;
-
-  vec2 eUv = corner + q * faceWHadj;
-
-  gl_FragColor = texture2D(mapped, eUv);
-}`
-        });
-
-        const right = [new THREE.Vector2(0, 1 / 2), new THREE.Vector2(1 / 3, 1 / 2), new THREE.Vector2(1 / 3, 1), new THREE.Vector2(0, 1)];
-        const front = [new THREE.Vector2(1 / 3, 1 / 2), new THREE.Vector2(2 / 3, 1 / 2), new THREE.Vector2(2 / 3, 1), new THREE.Vector2(1 / 3, 1)];
-        const left = [new THREE.Vector2(2 / 3, 1 / 2), new THREE.Vector2(1, 1 / 2), new THREE.Vector2(1, 1), new THREE.Vector2(2 / 3, 1)];
-        const bottom = [new THREE.Vector2(1 / 3, 0), new THREE.Vector2(1 / 3, 1 / 2), new THREE.Vector2(0, 1 / 2), new THREE.Vector2(0, 0)];
-        const back = [new THREE.Vector2(1 / 3, 1 / 2), new THREE.Vector2(1 / 3, 0), new THREE.Vector2(2 / 3, 0), new THREE.Vector2(2 / 3, 1 / 2)];
-        const top = [new THREE.Vector2(1, 0), new THREE.Vector2(1, 1 / 2), new THREE.Vector2(2 / 3, 1 / 2), new THREE.Vector2(2 / 3, 0)];
-
-        for (const face of [right, front, left, bottom, back, top]) {
-          const height = this.videoTexture.image.videoHeight;
-          let lowY = 1;
-          let highY = 0;
-
-          for (const vector of face) {
-            if (vector.y < lowY) {
-              lowY = vector.y;
-            }
-            if (vector.y > highY) {
-              highY = vector.y;
-            }
-          }
-
-          for (const vector of face) {
-            if (Math.abs(vector.y - lowY) < Number.EPSILON) {
-              vector.y += contCorrect / height;
-            }
-            if (Math.abs(vector.y - highY) < Number.EPSILON) {
-              vector.y -= contCorrect / height;
-            }
-
-            vector.x = vector.x / height * (height - contCorrect * 2) + contCorrect / height;
-          }
-        }
-
-        // Set UVs using BufferGeometry API
-        const uvAttribute = this.movieGeometry.getAttribute('uv');
-        const uvArray = uvAttribute.array;
-
-        // Helper to set UVs for a face (4 vertices, 8 UV values starting at faceIndex*8)
-        const setFaceUVs = (faceIndex, corners) => {
-          const baseIdx = faceIndex * 8;
-          // Vertex order for each face in BoxGeometry: 0,1,2,3 -> corners[3],corners[2],corners[0],corners[1]
-
-          uvArray[baseIdx] = corners[3].x; uvArray[baseIdx + 1] = corners[3].y;
-          uvArray[baseIdx + 2] = corners[2].x; uvArray[baseIdx + 3] = corners[2].y;
-          uvArray[baseIdx + 4] = corners[0].x; uvArray[baseIdx + 5] = corners[0].y;
-          uvArray[baseIdx + 6] = corners[1].x; uvArray[baseIdx + 7] = corners[1].y;
-        };
-
-        // Set UVs for each face - EAC has different face mapping
-        setFaceUVs(0, right); // +X face
-        setFaceUVs(1, left); // -X face
-        setFaceUVs(2, top); // +Y face
-        setFaceUVs(3, bottom); // -Y face
-        setFaceUVs(4, front); // +Z face
-        setFaceUVs(5, back); // -Z face
-
-        uvAttribute.needsUpdate = true;
-
-        this.movieScreen = new THREE.Mesh(this.movieGeometry, this.movieMaterial);
-        this.movieScreen.position.set(position.x, position.y, position.z);
-        this.movieScreen.rotation.y = -Math.PI;
-        return this.movieScreen;
-      };
-
-      if (projection === 'EAC') {
-        this.scene.add(makeScreen(new THREE.Matrix3(), new THREE.Matrix3()));
-      } else {
-        // EAC_LR: Stereo equi-angular cubemap
-        const scaleMatrix = new THREE.Matrix3().set(
-          0, 0.5, 0,
-          1, 0, 0,
-          0, 0, 1
-        );
-
-        // Left eye mesh
-        this.movieScreenLeft = makeScreen(new THREE.Matrix3().set(
-          0, -0.5, 0.5,
-          1, 0, 0,
-          0, 0, 1
-        ), scaleMatrix);
-        this.movieScreenLeft.layers.set(1); // Left eye only
-        this.scene.add(this.movieScreenLeft);
-
-        // Right eye mesh
-        this.movieScreenRight = makeScreen(new THREE.Matrix3().set(
-          0, -0.5, 1,
-          1, 0, 0,
-          0, 0, 1
-        ), scaleMatrix);
-        this.movieScreenRight.layers.set(2); // Right eye only
-        this.scene.add(this.movieScreenRight);
-
-        // Store reference for cleanup
-        this.movieScreen = this.movieScreenLeft;
-      }
-    } else if (projection === 'SBS_MONO') {
-      // SBS_MONO: Flat screen projection for side-by-side video
-      // In WebXR: Left half in left eye, right half in right eye (stereo)
-      // In browser: Left half only (mono)
-      const distance = 3;
-
-      // Content aspect ratio: for SBS, each eye sees half the video width.
-      const video = this.getVideoEl_();
-      const halfWidth = (video.videoWidth || 3840) / 2;
-      const fullHeight = video.videoHeight || 1920;
-      const contentAspect = halfWidth / fullHeight;
-
-      // camera.aspect MUST equal playerWidth/playerHeight (set in handleResize_).
-      const playerAspect = this.camera.aspect;
 
-      // Choose plane dimensions with the content aspect ratio.
-      // Use an arbitrary reference height; only the ratio matters for FOV calc.
-      const planeHeight = 2;
-      const planeWidth = planeHeight * contentAspect;
-
-      // Aspect-FILL: make the plane cover the entire view with no black
-      // borders. Content extends beyond the view in one dimension (cropped).
-      // If content is wider than player: match height → content overflows
-      //   horizontally (but UV only shows left half so overflow is invisible).
-      // If content is taller: match width → content overflows vertically.
-      let vertFovDeg;
-
-      if (contentAspect > playerAspect) {
-        // Content wider — match height so no vertical bars.
-        vertFovDeg = 2 * Math.atan((planeHeight / 2) / distance) * (180 / Math.PI);
-      } else {
-        // Content taller — match width so no horizontal bars.
-        const horzFovRad = 2 * Math.atan((planeWidth / 2) / distance);
+      // fall back to the spatial metadata embedded in the file
+      const metadata = this.getSpatialMetadata();
 
-        vertFovDeg = 2 * Math.atan(Math.tan(horzFovRad / 2) / playerAspect) * (180 / Math.PI);
+      if (metadata && metadata.projection) {
+        return this.changeProjection_(metadata.projection);
       }
+      return this.changeProjection_('NONE');
+    }
 
-      this.camera.fov = vertFovDeg;
-      this.camera.updateProjectionMatrix();
-
-      // Check if we're in WebXR mode
-      const isInWebXR = this.renderer && this.renderer.xr && this.renderer.xr.isPresenting;
-
-      if (isInWebXR) {
-        // WebXR mode: Create two separate meshes for left and right eyes
-        // Left eye mesh (layer 1) - shows left half of video
-        const leftGeometry = new THREE.PlaneGeometry(planeWidth, planeHeight);
-        const leftUvAttribute = leftGeometry.getAttribute('uv');
-        const leftUvArray = leftUvAttribute.array;
-
-        for (let i = 0; i < leftUvArray.length; i += 2) {
-          leftUvArray[i] *= 0.5; // U: 0 to 0.5 (left half)
-        }
-        leftUvAttribute.needsUpdate = true;
-
-        const leftMaterial = new THREE.MeshBasicMaterial({
-          map: this.videoTexture,
-          side: THREE.FrontSide
-        });
-
-        this.movieScreenLeft = new THREE.Mesh(leftGeometry, leftMaterial);
-        this.movieScreenLeft.position.set(0, 0, -distance);
-        this.movieScreenLeft.layers.set(1); // Only visible to left eye
-        this.scene.add(this.movieScreenLeft);
-
-        // Right eye mesh (layer 2) - shows right half of video
-        const rightGeometry = new THREE.PlaneGeometry(planeWidth, planeHeight);
-        const rightUvAttribute = rightGeometry.getAttribute('uv');
-        const rightUvArray = rightUvAttribute.array;
-
-        for (let i = 0; i < rightUvArray.length; i += 2) {
-          rightUvArray[i] = 0.5 + rightUvArray[i] * 0.5; // U: 0.5 to 1.0 (right half)
-        }
-        rightUvAttribute.needsUpdate = true;
-
-        const rightMaterial = new THREE.MeshBasicMaterial({
-          map: this.videoTexture,
-          side: THREE.FrontSide
-        });
-
-        this.movieScreenRight = new THREE.Mesh(rightGeometry, rightMaterial);
-        this.movieScreenRight.position.set(0, 0, -distance);
-        this.movieScreenRight.layers.set(2); // Only visible to right eye
-        this.scene.add(this.movieScreenRight);
-
-        // Store reference for cleanup
-        this.movieScreen = this.movieScreenLeft;
-        this.movieGeometry = leftGeometry;
-        this.movieMaterial = leftMaterial;
-      } else {
-        // Browser mode: Show left half only (mono)
-        this.movieGeometry = new THREE.PlaneGeometry(planeWidth, planeHeight);
-
-        // Map UVs to left half of video only (U: 0 to 0.5)
-        const uvAttribute = this.movieGeometry.getAttribute('uv');
-        const uvArray = uvAttribute.array;
-
-        for (let i = 0; i < uvArray.length; i += 2) {
-          uvArray[i] *= 0.5; // Left half only
-        }
-        uvAttribute.needsUpdate = true;
-
-        this.movieMaterial = new THREE.MeshBasicMaterial({
-          map: this.videoTexture,
-          side: THREE.FrontSide
-        });
-
-        this.movieScreen = new THREE.Mesh(this.movieGeometry, this.movieMaterial);
-        this.movieScreen.position.set(0, 0, -distance);
-
-        this.movieScreen.layers.enable(0);
-        this.movieScreen.layers.enable(1);
-        this.movieScreen.layers.enable(2);
-
-        this.scene.add(this.movieScreen);
-      }
+    const meshes = getProjection(projection).build({
+      vr: this,
+      player: this.player_,
+      scene: this.scene,
+      camera: this.camera,
+      renderer: this.renderer,
+      videoTexture: this.videoTexture,
+      video: this.getVideoEl_(),
+      options: this.options_,
+      projection
+    }) || {};
 
-      // Reset camera rotation to look straight ahead at centered plane
-      this.camera.rotation.set(0, 0, 0);
-      this.camera.lookAt(0, 0, -distance);
-
-      this.sbsMonoActive_ = true;
-    } else if (/^FISHEYE_(180|200|220|360)(_LR)?$/.test(projection)) {
-      // Equidistant fisheye projection. The camera sits at the sphere's
-      // origin; the fragment shader converts each fragment's view-direction
-      // into fisheye polar coordinates and samples the texture from a
-      // circular disc instead of an equirectangular grid. FISHEYE_360 is
-      // the dual-hemisphere case (Ricoh Theta and friends): front
-      // hemisphere on the left half of the texture, back on the right.
-      const m = projection.match(/^FISHEYE_(180|200|220|360)(_LR)?$/);
-      const fovDeg = parseInt(m[1], 10);
-      const isLR = !!m[2];
-      const isDualHemisphere = fovDeg === 360;
-      const fovRad = (fovDeg * Math.PI) / 180;
-
-      const fisheyeVertexShader = `
-        varying vec3 vDir;
-        void main() {
-          // Sphere is centered at origin; vertex 'position' IS the
-          // direction from origin. Pass it through to the fragment.
-          vDir = position;
-          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-        }`;
-
-      const fisheyeFragmentShader = `
-        precision highp float;
-        uniform sampler2D tex;
-        uniform float halfFov;        // half FOV in radians (e.g. PI for 180)
-        uniform vec2 uvScale;         // 1.0 for mono, 0.5 on the split axis for LR
-        uniform vec2 uvOffset;        // 0.0 for left/mono, 0.5 for right eye
-        uniform int isDualHemisphere; // 1 for FISHEYE_360 (front+back discs)
-        varying vec3 vDir;
-
-        void main() {
-          vec3 d = normalize(vDir);
-          // We rotate the sphere so the fisheye optical axis points at -Z,
-          // matching the camera's default look direction. The vertex shader
-          // already gave us the per-fragment direction in object space.
-          float phi = atan(d.y, d.x);
-
-          vec2 uv;
-          if (isDualHemisphere == 1) {
-            // 360 dual fisheye: front hemisphere → left disc (cx = .25),
-            // back hemisphere → right disc (cx = .75).
-            // Each disc covers a full 180° hemisphere.
-            float halfH = 3.14159265358979 * 0.5;
-            if (-d.z >= 0.0) {
-              float theta = acos(-d.z);
-              float r = clamp(theta / halfH, 0.0, 1.0);
-              uv = vec2(0.25 + 0.25 * r * cos(phi),
-                        0.5  + 0.5  * r * sin(phi));
-            } else {
-              float theta = acos(d.z);
-              // Flip phi so the back hemisphere wraps the right way around.
-              float backPhi = 3.14159265358979 - phi;
-              float r = clamp(theta / halfH, 0.0, 1.0);
-              uv = vec2(0.75 + 0.25 * r * cos(backPhi),
-                        0.5  + 0.5  * r * sin(backPhi));
-            }
-          } else {
-            float theta = acos(-d.z);
-            // Drop fragments outside the fisheye disc — they're black in
-            // the source. discard keeps the canvas alpha clean for the
-            // letterbox area beyond the lens.
-            if (theta > halfFov) {
-              discard;
-            }
-            float r = theta / halfFov;
-            uv = vec2(0.5 + 0.5 * r * cos(phi),
-                      0.5 + 0.5 * r * sin(phi));
-          }
+    // Stereo builders return one mesh per eye; the left eye doubles as
+    // the main screen for cleanup and the mono toggle.
+    this.movieScreenLeft = meshes.left || null;
+    this.movieScreenRight = meshes.right || null;
+    this.movieScreen = meshes.screen || meshes.left || null;
 
-          // LR / per-eye crop. uvScale.x is 0.5 for split-horizontal
-          // sources, uvOffset.x picks left (0) vs right (0.5).
-          uv = uv * uvScale + uvOffset;
-          gl_FragColor = texture2D(tex, uv);
-        }`;
-
-      const makeFisheyeMaterial = (eye) => new THREE.ShaderMaterial({
-        side: THREE.BackSide,
-        uniforms: {
-          tex: { value: this.videoTexture },
-          halfFov: { value: fovRad * 0.5 },
-          uvScale: { value: new THREE.Vector2(isLR ? 0.5 : 1.0, 1.0) },
-          uvOffset: { value: new THREE.Vector2(isLR && eye === 'right' ? 0.5 : 0.0, 0.0) },
-          isDualHemisphere: { value: isDualHemisphere ? 1 : 0 }
-        },
-        vertexShader: fisheyeVertexShader,
-        fragmentShader: fisheyeFragmentShader
-      });
+    if (this.swapEyes_) {
+      this.swapEyeMeshes_();
+    }
 
-      const buildSphere = () => new THREE.SphereGeometry(
-        256,
-        this.options_.sphereDetail,
-        this.options_.sphereDetail
-      );
+    if (this.movieScreen) {
+      this.movieGeometry = this.movieScreen.geometry;
+      this.movieMaterial = this.movieScreen.material;
+    }
 
-      if (isLR) {
-        // Per-eye meshes. The default camera renders layer 0; WebXR
-        // routes left-eye rendering through layer 1 and right-eye
-        // through layer 2. We add the LEFT mesh to BOTH 0 and 1 so
-        // a non-XR (flat browser) viewer sees the left eye rather
-        // than a black scene; the right mesh stays on layer 2 only
-        // so it never shows up twice in 2D mode.
-        const leftGeometry = buildSphere();
-        const leftMaterial = makeFisheyeMaterial('left');
-
-        this.movieScreenLeft = new THREE.Mesh(leftGeometry, leftMaterial);
-        this.movieScreenLeft.scale.x = -1;
-        this.movieScreenLeft.layers.enable(0);
-        this.movieScreenLeft.layers.enable(1);
-        this.scene.add(this.movieScreenLeft);
-
-        const rightGeometry = buildSphere();
-        const rightMaterial = makeFisheyeMaterial('right');
-
-        this.movieScreenRight = new THREE.Mesh(rightGeometry, rightMaterial);
-        this.movieScreenRight.scale.x = -1;
-        this.movieScreenRight.layers.set(2);
-        this.scene.add(this.movieScreenRight);
-
-        this.movieScreen = this.movieScreenLeft;
-        this.movieGeometry = leftGeometry;
-        this.movieMaterial = leftMaterial;
-      } else {
-        this.movieGeometry = buildSphere();
-        this.movieMaterial = makeFisheyeMaterial('left');
-        this.movieScreen = new THREE.Mesh(this.movieGeometry, this.movieMaterial);
-        this.movieScreen.position.set(position.x, position.y, position.z);
-        // Match the equirectangular sphere's mirror so the fragment
-        // direction math points the way we expect from inside.
-        this.movieScreen.scale.x = -1;
-        // Show on every layer so non-XR + both XR eyes pick it up.
-        this.movieScreen.layers.enable(0);
-        this.movieScreen.layers.enable(1);
-        this.movieScreen.layers.enable(2);
-        this.scene.add(this.movieScreen);
+    [this.movieScreen, this.movieScreenLeft, this.movieScreenRight].forEach((mesh) => {
+      if (mesh && mesh.parent !== this.scene) {
+        this.scene.add(mesh);
       }
-    }
+    });
 
     this.currentProjection_ = projection;
 
@@ -899,14 +507,32 @@ void main() {
       }
     }
 
+    if (this.pendingShareState_) {
+      this.applyPendingShareState_();
+    }
+
+    if (this.pendingSceneHeading_) {
+      this.settleSceneHeading_(true);
+    }
+
     // Only update controls if they exist
     if (this.controls3d) {
+      this.followCameraPath_();
       this.controls3d.update();
     }
     if (this.omniController) {
       this.omniController.update(this.camera);
     }
 
+    this.updateHotspots_();
+    this.updateAnnotations_();
+    this.authoring_.update();
+
+    if (this.fadeVeil_.mesh.parent !== this.scene) {
+      this.scene.add(this.fadeVeil_.mesh);
+    }
+    this.fadeVeil_.update(this.camera);
+
     // Update VR HUD and Gallery
     if (this.vrHUD) {
       this.vrHUD.update();
@@ -922,6 +548,8 @@ void main() {
       this.effect.render(this.scene, this.camera);
     }
 
+    this.reframe_.update();
+
     if (window.navigator.getGamepads) {
       // Grab all gamepads
       const gamepads = window.navigator.getGamepads();
@@ -944,6 +572,8 @@ void main() {
       }
     }
     this.camera.getWorldDirection(this.cameraVector);
+    this.updateGaze_(timestamp);
+    this.updateHeatmap_(timestamp);
 
     // If using setAnimationLoop (WebXR), don't call requestAnimationFrame manually
     if (!this.useSetAnimationLoop_) {
@@ -957,134 +587,1774 @@ void main() {
       return;
     }
 
-    // Skip resize if in XR session - XR controls the size
-    if (this.renderer && this.renderer.xr && this.renderer.xr.isPresenting) {
+    // Skip resize if in XR session - XR controls the size
+    if (this.renderer && this.renderer.xr && this.renderer.xr.isPresenting) {
+      return;
+    }
+
+    // Delay resize during fullscreen transitions. Browsers (especially
+    // Safari) exit fullscreen if the fullscreened element's DOM is
+    // modified during the transition. Defer to next animation frame.
+    if (this.resizeTimer_) {
+      cancelAnimationFrame(this.resizeTimer_);
+    }
+    const self = this;
+
+    this.resizeTimer_ = requestAnimationFrame(() => {
+      self.resizeTimer_ = null;
+      self.doResize_();
+    });
+  }
+
+  doResize_() {
+    if (!this.initialized_ || !this.player_ || !this.player_.el()) {
+      return;
+    }
+
+    const width = this.player_.currentWidth();
+    const height = this.player_.currentHeight();
+
+    this.effect.setSize(width, height, false);
+    this.camera.aspect = width / height;
+
+    // For SBS_MONO, update the camera FOV to match the new aspect ratio
+    // so the plane fills the view. Do NOT call changeProjection_ here —
+    // that rebuilds the DOM which exits native fullscreen.
+    if (this.currentProjection_ === 'SBS_MONO' || this.currentProjection_ === 'SBS') {
+      const video = this.getVideoEl_();
+      const contentAspect = ((video.videoWidth || 3840) / 2) / (video.videoHeight || 1920);
+      const playerAspect = width / height;
+      const distance = 3;
+      const planeHeight = 2;
+      const planeWidth = planeHeight * contentAspect;
+
+      let vertFovDeg;
+
+      if (contentAspect > playerAspect) {
+        vertFovDeg = 2 * Math.atan((planeHeight / 2) / distance) * (180 / Math.PI);
+      } else {
+        const horzFovRad = 2 * Math.atan((planeWidth / 2) / distance);
+
+        vertFovDeg = 2 * Math.atan(Math.tan(horzFovRad / 2) / playerAspect) * (180 / Math.PI);
+      }
+      this.camera.fov = vertFovDeg;
+    }
+
+    this.camera.updateProjectionMatrix();
+  }
+
+  setProjection(projection) {
+
+    if (!utils.getInternalProjectionName(projection)) {
+      videojs.log.error('videojs-vr: please pass a valid projection ' + getProjectionNames().join(', '));
+      return;
+    }
+
+    this.currentProjection_ = projection;
+    this.defaultProjection_ = projection;
+
+    // Update VR HUD's projection state to keep UI in sync
+    if (this.vrHUD) {
+      this.vrHUD.setProjection(projection);
+    }
+
+    // If we're in an XR session, rebuild the geometry with the new projection
+    if (this.renderer && this.renderer.xr && this.renderer.xr.isPresenting && this.scene) {
+      this.log('Rebuilding projection during XR session:', projection);
+
+      // Remove existing movie screen(s)
+      const toRemove = [];
+
+      this.scene.traverse((object) => {
+        if (object.isMesh && object.material && object.material.map === this.videoTexture) {
+          toRemove.push(object);
+        }
+      });
+      toRemove.forEach(obj => {
+        if (obj.parent) {
+          obj.parent.remove(obj);
+        }
+        if (obj.geometry) {
+          obj.geometry.dispose();
+        }
+        if (obj.material) {
+          obj.material.dispose();
+        }
+      });
+
+      // Create new video texture if needed
+      if (!this.videoTexture) {
+        this.videoTexture = new THREE.VideoTexture(this.getVideoEl_());
+        this.videoTexture.generateMipmaps = false;
+        this.videoTexture.minFilter = THREE.LinearFilter;
+        this.videoTexture.magFilter = THREE.LinearFilter;
+        this.videoTexture.format = THREE.RGBAFormat;
+      }
+
+      // Rebuild the mesh with new projection
+      this.changeProjection_(projection);
+
+      // Add new movie screen to scene
+      if (this.movieScreen) {
+        this.scene.add(this.movieScreen);
+      }
+
+      // Reapply force mono if it was enabled (meshes were just recreated)
+      if (this.forceMonoEnabled) {
+        this.originalLayerStates_ = null; // Clear old states
+        this.applyForceMonoProjection_();
+      }
+
+      // Ensure VR HUD and Gallery have proper layers after projection change
+      if (this.vrHUD && this.vrHUD.refreshLayers) {
+        this.vrHUD.refreshLayers();
+      }
+      if (this.vrGallery && this.vrGallery.refreshLayers) {
+        this.vrGallery.refreshLayers();
+      }
+
+      this.log('Projection rebuilt successfully');
+    }
+  }
+
+  /**
+   * Swap what the left and right eye meshes sample. The meshes keep their
+   * layers, so force mono and the flat view follow the swapped content.
+   */
+  swapEyeMeshes_() {
+    const left = this.movieScreenLeft;
+    const right = this.movieScreenRight;
+
+    if (!left || !right) {
+      return;
+    }
+
+    [left.geometry, right.geometry] = [right.geometry, left.geometry];
+    [left.material, right.material] = [right.material, left.material];
+
+    this.movieGeometry = this.movieScreen.geometry;
+    this.movieMaterial = this.movieScreen.material;
+  }
+
+  /**
+   * Show the right half (or bottom half) of stereo sources to the left eye
+   * and vice versa, for sources encoded RL or BT.
+   *
+   * @param {boolean} swap
+   *        Whether the eyes should be swapped.
+   */
+  setSwapEyes(swap) {
+    swap = !!swap;
+
+    if (swap === this.swapEyes_) {
+      return;
+    }
+
+    this.swapEyes_ = swap;
+
+    const definition = getProjection(utils.getInternalProjectionName(this.currentProjection_));
+
+    if (this.movieScreenLeft && this.movieScreenRight) {
+      this.swapEyeMeshes_();
+    } else if (this.scene && this.movieScreen && !this.movieScreen.userData.stereoEyes &&
+        definition && definition.stereo) {
+      // stereo projections with a single mono screen (e.g. SBS_MONO outside
+      // of VR) pick their half when they are built; singleMeshStereo
+      // screens pick theirs on every draw
+      this.changeProjection_(this.currentProjection_);
+    }
+
+    if (this.vrHUD) {
+      this.vrHUD.setSwapEyesEnabled(swap);
+    }
+
+    this.trigger('vr-swap-eyes', { enabled: swap });
+  }
+
+  /**
+   * Get whether the eyes of stereo sources are swapped.
+   *
+   * @return {boolean}
+   *         True if the eyes are swapped.
+   */
+  getSwapEyes() {
+    return this.swapEyes_;
+  }
+
+  /**
+   * Change how 360 sources are shown in flat (non-XR) playback.
+   * `'perspective'` is the normal rectilinear view, `'stereographic'` a
+   * wide stereographic view and `'littlePlanet'` a stereographic view of
+   * the nadir, the "tiny planet" look.
+   *
+   * @param {string} mode
+   *        `'perspective'`, `'stereographic'` or `'littlePlanet'`.
+   * @param {Object} [options]
+   *        Overrides for the mode's preset.
+   * @param {number} [options.fov]
+   *        Vertical field of view in degrees.
+   * @param {number} [options.distance]
+   *        Distance of the camera behind the centre of the sphere, as a
+   *        fraction of its radius: 0 is rectilinear, 1 stereographic.
+   * @param {number} [options.duration=1000]
+   *        Length of the transition in ms.
+   */
+  setViewMode(mode, options = {}) {
+    const preset = viewModes[mode];
+
+    if (!preset) {
+      videojs.log.error(`videojs-vr: unknown view mode ${mode}, expected one of ${Object.keys(viewModes).join(', ')}`);
+      return;
+    }
+
+    let pitch = preset.pitch;
+
+    // level the view again when leaving the little planet
+    if (typeof pitch !== 'number' && this.viewMode_ === 'littlePlanet') {
+      pitch = 0;
+    }
+
+    this.viewMode_ = mode;
+    this.view_ = {
+      fov: typeof options.fov === 'number' ? options.fov : preset.fov,
+      distance: typeof options.distance === 'number' ? options.distance : preset.distance,
+      pitch
+    };
+    this.applyView_(typeof options.duration === 'number' ? options.duration : 1000);
+
+    this.trigger('vr-view-mode', {mode, fov: this.view_.fov, distance: this.view_.distance});
+  }
+
+  /**
+   * The widest fov the flat view zooms to: the `maxFov` option, or the fov
+   * of the view mode if that is wider, so zooming a little planet doesn't
+   * jump in to `maxFov`.
+   *
+   * @return {number}
+   *         Vertical fov in degrees.
+   */
+  getMaxFov_() {
+    return Math.max(this.options_.maxFov, this.view_ ? this.view_.fov : 0);
+  }
+
+  /**
+   * Get the current view mode.
+   *
+   * @return {string}
+   *         `'perspective'`, `'stereographic'` or `'littlePlanet'`.
+   */
+  getViewMode() {
+    return this.viewMode_;
+  }
+
+  /**
+   * Zoom the flat (non-XR) view to a field of view, easing towards it.
+   * Does nothing while presenting in VR.
+   *
+   * @param {number} fov
+   *        Vertical field of view in degrees, clamped to the `minFov` and
+   *        `maxFov` options, or the view mode's fov if that is wider.
+   */
+  setFov(fov) {
+    if (typeof fov !== 'number' || isNaN(fov)) {
+      videojs.log.error('videojs-vr: setFov requires a number of degrees');
+      return;
+    }
+
+    if (this.isPresenting() || !this.controls3d || !this.controls3d.setFov) {
+      return;
+    }
+
+    this.controls3d.setFov(fov);
+  }
+
+  /**
+   * Get the field of view of the flat view, or the one it is zooming to.
+   *
+   * @return {number|undefined}
+   *         Vertical field of view in degrees, or undefined before the
+   *         player is initialized.
+   */
+  getFov() {
+    if (this.controls3d && this.controls3d.getFov) {
+      return this.controls3d.getFov();
+    }
+
+    return this.camera ? this.camera.fov : undefined;
+  }
+
+  /**
+   * Point the flat (non-XR) view in a direction straight away.
+   *
+   * @param {Object} direction
+   *        `{yaw, pitch}` in degrees in the source's directions: yaw turns
+   *        right from the centre of the source, pitch up from its horizon,
+   *        whatever orientation offset the view has. Either may be left out.
+   */
+  setViewDirection(direction) {
+    this.animateViewTo(direction, {duration: 0});
+  }
+
+  /**
+   * Get where the viewer is looking, in the source's directions as taken by
+   * setViewDirection. Outside of VR this follows the orbit, in VR the
+   * headset; orientation offsets on either are taken out.
+   *
+   * @return {Object|undefined}
+   *         `{yaw, pitch}` in degrees, or undefined before the player is
+   *         initialized.
+   */
+  getViewDirection() {
+    if (!this.camera) {
+      return;
+    }
+
+    const controls = this.controls3d;
+    // the orbit moves the camera on the next frame, so ask it directly
+    const direction = !this.isPresenting() && controls && controls.getLookDirection ?
+      controls.getLookDirection() :
+      this.camera.getWorldDirection(new THREE.Vector3());
+
+    direction.applyQuaternion(this.getSourceRotation_().invert());
+
+    return {
+      yaw: THREE.MathUtils.radToDeg(Math.atan2(direction.x, -direction.z)),
+      pitch: THREE.MathUtils.radToDeg(Math.asin(THREE.MathUtils.clamp(direction.y, -1, 1)))
+    };
+  }
+
+  /**
+   * Animate the flat (non-XR) view to a direction and fov.
+   *
+   * @param {Object} target
+   *        `{yaw, pitch, fov}` in degrees, with yaw and pitch as taken by
+   *        setViewDirection. Values that are left out stay as they are; fov
+   *        is clamped as by setFov.
+   * @param {Object} [options]
+   *        Animation options.
+   * @param {number} [options.duration=1000]
+   *        Length of the animation in ms.
+   * @param {string|Function} [options.easing='easeInOut']
+   *        `'linear'`, `'easeIn'`, `'easeOut'`, `'easeInOut'` or a function
+   *        mapping 0..1 to 0..1.
+   *
+   * @return {Promise}
+   *         Resolves with true when the view arrives, or false if it is
+   *         interrupted by another animation or cannot move (in VR or
+   *         before the player is initialized).
+   */
+  animateViewTo(target, options = {}) {
+    if (!target || typeof target !== 'object') {
+      videojs.log.error('videojs-vr: animateViewTo requires a {yaw, pitch, fov} target');
+      return Promise.resolve(false);
+    }
+
+    let easing = options.easing || 'easeInOut';
+
+    if (typeof easing !== 'function' && !EASINGS[easing]) {
+      videojs.log.error(`videojs-vr: unknown easing ${easing}, expected one of ${Object.keys(EASINGS).join(', ')}`);
+      easing = 'easeInOut';
+    }
+
+    if (this.isPresenting() || !this.controls3d || !this.controls3d.animateTo) {
+      return Promise.resolve(false);
+    }
+
+    const view = {};
+
+    if (typeof target.yaw === 'number' || typeof target.pitch === 'number') {
+      const current = this.getViewDirection();
+
+      Object.assign(view, this.getOrbitDirection_({
+        yaw: typeof target.yaw === 'number' ? target.yaw : current.yaw,
+        pitch: typeof target.pitch === 'number' ? target.pitch : current.pitch
+      }));
+    }
+
+    if (typeof target.fov === 'number') {
+      view.fov = Math.max(this.options_.minFov, Math.min(this.getMaxFov_(), target.fov));
+    }
+
+    return this.controls3d.animateTo(view, typeof options.duration === 'number' ? options.duration : 1000, easing);
+  }
+
+  /**
+   * Set the keyframed camera path the flat (non-XR) view follows. A path in
+   * the current source's `mediainfo.cameraPath` is used when none is set.
+   *
+   * @param {Object[]|TextTrack|string|null} path
+   *        `{time, yaw, pitch, fov}` keyframes with time in seconds and the
+   *        rest in degrees, a metadata TextTrack whose cues hold JSON
+   *        `{yaw, pitch, fov}` objects, the label or id of such a track on
+   *        the player, or null to remove the path.
+   */
+  setCameraPath(path) {
+    if (path && typeof path !== 'string' && typeof path !== 'object') {
+      videojs.log.error('videojs-vr: setCameraPath requires keyframes, a text track or a track label');
+      return;
+    }
+
+    this.cameraPathSource_ = path;
+    this.cameraPath_ = null;
+  }
+
+  /**
+   * The camera path for the current source, rebuilt when its source
+   * changes or a text track gains cues.
+   *
+   * @return {CameraPath|null}
+   *         The path, or null if there is none.
+   */
+  getCameraPath_() {
+    const mediainfo = this.player_.mediainfo;
+    let source = this.cameraPathSource_ || (mediainfo && mediainfo.cameraPath) || null;
+
+    if (Array.isArray(source)) {
+      if (!this.cameraPath_ || this.cameraPathFrom_ !== source) {
+        this.cameraPath_ = new CameraPath(source);
+        this.cameraPathFrom_ = source;
+      }
+      return this.cameraPath_;
+    }
+
+    source = this.getTextTrack_(source);
+
+    if (!source) {
+      return null;
+    }
+
+    const cueCount = source.cues ? source.cues.length : 0;
+
+    if (!this.cameraPath_ || this.cameraPathFrom_ !== source || this.cameraPathCues_ !== cueCount) {
+      this.cameraPath_ = CameraPath.fromCues(source.cues || []);
+      this.cameraPathFrom_ = source;
+      this.cameraPathCues_ = cueCount;
+    }
+    return this.cameraPath_;
+  }
+
+  /**
+   * Find a text track of the player and make sure its cues load.
+   *
+   * @param {TextTrack|string|null} track
+   *        A text track, or the label or id of one.
+   *
+   * @return {TextTrack|null}
+   *         The track, or null if there is no such track.
+   */
+  getTextTrack_(track) {
+    if (typeof track === 'string') {
+      const tracks = this.player_.textTracks();
+
+      track = Array.prototype.filter.call(tracks, (t) => t.label === track || t.id === track)[0] || null;
+    }
+
+    // a text track only loads its cues once it is showing or hidden
+    if (track && track.mode === 'disabled') {
+      track.mode = 'hidden';
+    }
+
+    return track || null;
+  }
+
+  /**
+   * Set the metadata text track whose cues are shown as annotation cards
+   * pinned on the video, in flat playback and in VR. Each cue's text is a
+   * JSON object with `yaw` and `pitch` in degrees, as taken by
+   * setViewDirection, and a `text` and/or an `image` URL.
+   *
+   * @param {TextTrack|string|null} track
+   *        A metadata TextTrack, the label or id of one on the player, or
+   *        null to remove the cards.
+   */
+  setAnnotationTrack(track) {
+    if (track && typeof track !== 'string' && typeof track !== 'object') {
+      videojs.log.error('videojs-vr: setAnnotationTrack requires a text track or a track label');
+      return;
+    }
+
+    this.annotationTrack_ = track;
+  }
+
+  /**
+   * Keep the annotation cards in the scene, showing those of the active
+   * cues turned towards the camera.
+   */
+  updateAnnotations_() {
+    const track = this.annotationTrack_ ? this.getTextTrack_(this.annotationTrack_) : null;
+    const group = this.annotations_.group;
+
+    if (group.parent !== this.scene) {
+      this.scene.add(group);
+    }
+
+    this.annotations_.update(
+      (track && track.cues) || [],
+      this.player_.currentTime(),
+      this.camera,
+      this.getSourceRotation_()
+    );
+  }
+
+  /**
+   * Turn on authoring: in flat playback a click on the video triggers
+   * `vr-authoring-pick` with the yaw, pitch and time under the cursor and
+   * drops a marker there. Drag a marker to move it and scroll over it to
+   * resize it; every edit triggers `vr-authoring-change`. Markers are kept
+   * when authoring is turned off, for exportAuthoredMarkers.
+   *
+   * @param {Object} [options]
+   *        Authoring options.
+   * @param {number} [options.duration=5]
+   *        Seconds a dropped marker shows for, from the current time.
+   * @param {boolean} [options.drop=true]
+   *        Whether clicks drop markers, or only report where they land.
+   * @param {Object[]} [options.markers]
+   *        Markers to start from, such as an earlier JSON export:
+   *        `{id, yaw, pitch, startTime, endTime, scale, label}`.
+   */
+  enableAuthoring(options = {}) {
+    this.authoring_.enable(options);
+  }
+
+  /**
+   * Turn off authoring, keeping the markers.
+   */
+  disableAuthoring() {
+    this.authoring_.disable();
+  }
+
+  /**
+   * Whether authoring is on.
+   *
+   * @return {boolean}
+   *         True between enableAuthoring and disableAuthoring.
+   */
+  isAuthoring() {
+    return !!this.authoring_ && this.authoring_.enabled;
+  }
+
+  /**
+   * Get the authored markers.
+   *
+   * @return {Object[]}
+   *         `{id, yaw, pitch, startTime, endTime, scale, label}` for each
+   *         marker, in the order they were added.
+   */
+  getAuthoredMarkers() {
+    return this.authoring_.getAll();
+  }
+
+  /**
+   * Change an authored marker, e.g. to give it a label or a time range.
+   *
+   * @param {string|number} id
+   *        The marker's id.
+   * @param {Object} changes
+   *        Any of `{yaw, pitch, startTime, endTime, scale, label}`.
+   */
+  updateAuthoredMarker(id, changes) {
+    if (!changes || typeof changes !== 'object') {
+      videojs.log.error('videojs-vr: updateAuthoredMarker requires an object of changes');
+      return;
+    }
+
+    if (this.authoring_.edit(id, changes)) {
+      this.trigger('vr-authoring-change', {markers: this.getAuthoredMarkers()});
+    }
+  }
+
+  /**
+   * Remove an authored marker.
+   *
+   * @param {string|number} id
+   *        The marker's id.
+   */
+  removeAuthoredMarker(id) {
+    if (this.authoring_.remove(id)) {
+      this.trigger('vr-authoring-change', {markers: this.getAuthoredMarkers()});
+    }
+  }
+
+  /**
+   * Export the authored markers.
+   *
+   * @param {string} [format='json']
+   *        `'json'` for an array of hotspots for addHotspot, or `'vtt'` for
+   *        a WebVTT file of annotation cues.
+   *
+   * @return {string}
+   *         The markers in that format, or an empty string for an unknown
+   *         format.
+   */
+  exportAuthoredMarkers(format = 'json') {
+    if (format === 'vtt') {
+      return this.authoring_.toVTT(this.player_.duration());
+    }
+
+    if (format !== 'json') {
+      videojs.log.error(`videojs-vr: unknown authoring export format ${format}, expected json or vtt`);
+      return '';
+    }
+
+    return this.authoring_.toHotspotJSON();
+  }
+
+  /**
+   * Get the moment and angle being watched, to share a link to it.
+   *
+   * @return {Object}
+   *         `{time, yaw, pitch, fov, projection}`: the time in seconds, the
+   *         direction of the source in the middle of the view and the
+   *         vertical fov in degrees, and the projection. The view fields
+   *         are undefined before the player is initialized.
+   */
+  getShareState() {
+    const state = {
+      time: this.player_.currentTime(),
+      yaw: undefined,
+      pitch: undefined,
+      fov: undefined,
+      projection: this.currentProjection_
+    };
+
+    const direction = this.getViewDirection();
+
+    if (direction) {
+      state.yaw = direction.yaw;
+      state.pitch = direction.pitch;
+      state.fov = this.getFov();
+    }
+
+    return state;
+  }
+
+  /**
+   * Go to a moment and angle from getShareState. The view only turns in
+   * flat playback; before the player is initialized the state is kept
+   * until it is.
+   *
+   * @param {Object} state
+   *        Any of `{time, yaw, pitch, fov, projection}`.
+   */
+  applyShareState(state) {
+    if (!state || typeof state !== 'object') {
+      videojs.log.error('videojs-vr: applyShareState requires a {time, yaw, pitch, fov, projection} object');
+      return;
+    }
+
+    if (state.projection && utils.getInternalProjectionName(state.projection) !== this.currentProjection_) {
+      this.setProjection(state.projection);
+
+      // in VR setProjection rebuilds the screen, otherwise only init does
+      if (this.initialized_ && !this.isPresenting()) {
+        this.changeProjection_(this.currentProjection_);
+      }
+    }
+
+    this.pendingShareState_ = state;
+
+    // otherwise the first frame after init applies it
+    if (this.initialized_ && this.controls3d) {
+      this.applyPendingShareState_();
+    }
+  }
+
+  /**
+   * Seek to and look at the state passed to applyShareState.
+   */
+  applyPendingShareState_() {
+    const state = this.pendingShareState_;
+
+    this.pendingShareState_ = null;
+
+    if (typeof state.time === 'number' && isFinite(state.time)) {
+      this.player_.currentTime(state.time);
+    }
+
+    this.animateViewTo({yaw: state.yaw, pitch: state.pitch, fov: state.fov}, {duration: 0});
+  }
+
+  /**
+   * Apply the share state in the page URL's hash, now and whenever it
+   * changes, and keep the hash up to date with the time and view.
+   */
+  startHashSync_() {
+    this.onHashChange_ = () => {
+      const state = parseShareHash(window.location.hash);
+
+      if (Object.keys(state).length) {
+        this.applyShareState(state);
+      }
+    };
+    this.scheduleHashWrite_ = () => {
+      if (this.hashWriteTimeout_) {
+        return;
+      }
+
+      // browsers limit how often history can be replaced
+      this.hashWriteTimeout_ = this.player_.setTimeout(() => {
+        this.hashWriteTimeout_ = null;
+        this.writeShareHash_();
+      }, 1000);
+    };
+
+    window.addEventListener('hashchange', this.onHashChange_);
+    this.on(this.player_, ['timeupdate', 'seeked', 'pause'], this.scheduleHashWrite_);
+    this.on(['vr-viewchange', 'vr-fovchange'], this.scheduleHashWrite_);
+
+    this.onHashChange_();
+  }
+
+  /**
+   * Write the share state into the page URL's hash without adding a
+   * history entry.
+   */
+  writeShareHash_() {
+    // don't overwrite a link that hasn't been applied yet
+    if (this.pendingShareState_ || !this.initialized_ || !window.history || !window.history.replaceState) {
+      return;
+    }
+
+    const state = this.getShareState();
+
+    // the projection is only worth sharing if it isn't the configured one
+    if (state.projection === utils.getInternalProjectionName(this.options_.projection)) {
+      state.projection = undefined;
+    }
+
+    const hash = formatShareHash(state, window.location.hash);
+
+    if (hash !== window.location.hash) {
+      window.history.replaceState(window.history.state, '', hash || window.location.pathname + window.location.search);
+    }
+  }
+
+  /**
+   * Get the viewing preferences that apply to the current source, when the
+   * `preferences` option is on. They are restored each time a source loads.
+   *
+   * @return {Object}
+   *         Any of `{forceMono, orientationOffset, projection,
+   *         galleryScroll}`: force mono, the HUD orientation offset as
+   *         `{x, y, z}` in radians, the projection picked from the HUD for
+   *         this source and the gallery scroll position.
+   */
+  getPreferences() {
+    return this.preferences_ ? this.preferences_.get(this.getPreferenceSource_()) : {};
+  }
+
+  /**
+   * Forget the stored viewing preferences, for every source. The current
+   * view keeps its settings until the next source loads.
+   */
+  clearPreferences() {
+    if (this.preferences_) {
+      this.preferences_.clear();
+    }
+  }
+
+  /**
+   * Store a viewing preference, if the `preferences` option is on.
+   *
+   * @param {string} name
+   *        The preference.
+   * @param {*} value
+   *        Its value.
+   * @param {string} [src]
+   *        The source it applies to, or nothing for every source.
+   */
+  setPreference_(name, value, src) {
+    if (this.preferences_) {
+      this.preferences_.set(name, value, src);
+    }
+  }
+
+  /**
+   * The key per-source preferences are stored under.
+   *
+   * @return {string}
+   *         The current source's URL without its hash.
+   */
+  getPreferenceSource_() {
+    return (this.player_.currentSrc() || '').split('#')[0];
+  }
+
+  /**
+   * Apply the stored force mono, orientation offset and gallery scroll
+   * position to a freshly initialized HUD and gallery.
+   */
+  restorePreferences_() {
+    const preferences = this.getPreferences();
+    const offset = preferences.orientationOffset;
+
+    if (this.vrHUD && preferences.forceMono) {
+      this.forceMonoEnabled = true;
+      this.vrHUD.setForceMonoEnabled(true);
+
+      // force mono can only be applied to the meshes of an XR session
+      this.renderer.xr.addEventListener('sessionstart', this.onForceMonoSessionStart_);
+    }
+
+    if (this.vrHUD && offset && (offset.x || offset.y || offset.z)) {
+      const euler = new THREE.Euler(offset.x || 0, offset.y || 0, offset.z || 0, 'YXZ');
+
+      this.vrHUD.setOrientationOffset(euler);
+      this.vrHUD.onOrientationChange(euler);
+    }
+
+    // kept by the gallery until its items are laid out
+    if (this.vrGallery && typeof preferences.galleryScroll === 'number') {
+      this.vrGallery.setScrollPosition(preferences.galleryScroll);
+    }
+  }
+
+  /**
+   * Apply a restored force mono to the meshes of the XR session that just
+   * started.
+   */
+  onForceMonoSessionStart_() {
+    if (this.forceMonoEnabled) {
+      this.originalLayerStates_ = null;
+      this.applyForceMonoProjection_();
+    }
+  }
+
+  /**
+   * Take a screenshot of the current view: what the camera sees, overlays
+   * included, rendered offscreen so the player's canvas is untouched. In
+   * VR this is the view of the headset without the eye offsets.
+   *
+   * @param {Object} [options]
+   *        Screenshot options.
+   * @param {number} [options.width]
+   *        Width in pixels, the canvas's by default.
+   * @param {number} [options.height]
+   *        Height in pixels, the canvas's by default.
+   * @param {string} [options.type='image/png']
+   *        Image type, as taken by `canvas.toBlob`.
+   * @param {number} [options.quality]
+   *        Quality between 0 and 1 for lossy types.
+   *
+   * @return {Promise<Blob|null>}
+   *         Resolves with the image, or null before the player is
+   *         initialized.
+   */
+  captureViewport(options = {}) {
+    if (!this.initialized_ || !this.renderer) {
+      videojs.log.error('videojs-vr: captureViewport needs an initialized 360 player');
+      return Promise.resolve(null);
+    }
+
+    return renderViewport(this, options);
+  }
+
+  /**
+   * Take a screenshot of the whole current frame, reprojected from the
+   * source's projection into a standard layout. Only the video is drawn,
+   * without the orientation offset from the HUD or any overlays. Eyes
+   * follow the swap eyes and force mono settings, as in VR.
+   *
+   * @param {Object} [options]
+   *        Screenshot options.
+   * @param {string} [options.format='equirect']
+   *        `'equirect'` for a 2:1 equirectangular image of the left eye,
+   *        `'cubemap'` for a 3:2 cubemap of the left eye in the 3x2
+   *        cubeLayout, or `'sbs'` for the equirectangular images of the
+   *        left and right eye side by side.
+   * @param {number} [options.size=1024]
+   *        Edge of each cube face in pixels; an equirectangular image is
+   *        four faces wide.
+   * @param {string} [options.type='image/png']
+   *        Image type, as taken by `canvas.toBlob`.
+   * @param {number} [options.quality]
+   *        Quality between 0 and 1 for lossy types.
+   *
+   * @return {Promise<Blob|null>}
+   *         Resolves with the image, or null before the player is
+   *         initialized or for an unknown format.
+   */
+  captureFrame(options = {}) {
+    if (!this.initialized_ || !this.renderer) {
+      videojs.log.error('videojs-vr: captureFrame needs an initialized 360 player');
+      return Promise.resolve(null);
+    }
+
+    return reprojectFrame(this, options);
+  }
+
+  /**
+   * Start the reframe output: the flat view, with its camera path and the
+   * user's moves, rendered each frame into a canvas of a fixed size. Use
+   * the canvas for a preview, or record it with startReframeRecording.
+   * Starting again resizes the output.
+   *
+   * @param {Object} [options]
+   *        Output options.
+   * @param {number} [options.width=1920]
+   *        Width in pixels.
+   * @param {number} [options.height=1080]
+   *        Height in pixels.
+   *
+   * @return {HTMLCanvasElement|null}
+   *         The output canvas, or null if WebGL isn't available.
+   */
+  startReframe(options = {}) {
+    return this.reframe_.start(options);
+  }
+
+  /**
+   * Stop the reframe output, and any recording of it.
+   */
+  stopReframe() {
+    this.reframe_.stop();
+  }
+
+  /**
+   * Record the reframe output, with the video's audio, to WebM. The output
+   * is started if it isn't on, and stopped again with the recording.
+   *
+   * @param {Object} [options]
+   *        Recording options.
+   * @param {number} [options.width=1920]
+   *        Width in pixels, if the output isn't on yet.
+   * @param {number} [options.height=1080]
+   *        Height in pixels, if the output isn't on yet.
+   * @param {number} [options.frameRate=30]
+   *        Frames per second to record at most.
+   * @param {number} [options.videoBitsPerSecond]
+   *        Bitrate of the video, the browser's choice by default.
+   * @param {boolean} [options.audio=true]
+   *        Whether to record the video's audio.
+   *
+   * @return {boolean}
+   *         Whether recording started. It doesn't in browsers without
+   *         WebM recording, or while already recording.
+   */
+  startReframeRecording(options = {}) {
+    return this.reframe_.startRecording(options);
+  }
+
+  /**
+   * Stop recording the reframe output.
+   *
+   * @return {Promise<Blob|null>}
+   *         Resolves with the WebM video, or null if nothing was recording
+   *         or recorded. A recording that failed resolves with what it
+   *         recorded before failing.
+   */
+  stopReframeRecording() {
+    return this.reframe_.stopRecording();
+  }
+
+  /**
+   * Whether the reframe output is being recorded.
+   *
+   * @return {boolean}
+   *         True while recording.
+   */
+  isReframeRecording() {
+    return this.reframe_.isRecording();
+  }
+
+  /**
+   * Point the flat view along the camera path at the current time. The
+   * path lets go while the user drags or zooms, and while an animateViewTo
+   * or view mode animation runs. After cameraPathIdleTimeout ms without
+   * input it eases back onto the path over a second.
+   */
+  followCameraPath_() {
+    const controls = this.controls3d;
+
+    // device orientation and headsets point the camera themselves
+    if (!controls.jumpTo || controls.orientation || controls.isAnimating() || this.isPresenting()) {
+      return;
+    }
+
+    const path = this.getCameraPath_();
+    const target = path && path.sample(this.player_.currentTime());
+    const idle = controls.getIdleTime() - this.options_.cameraPathIdleTimeout;
+
+    if (!target || idle < 0) {
+      return;
+    }
+
+    const k = Math.min(1, idle / 1000);
+    const current = controls.getViewDirection();
+    const orbit = this.getOrbitDirection_(target);
+    const yawDelta = ((orbit.yaw - current.yaw) % 360 + 540) % 360 - 180;
+    const view = {
+      yaw: current.yaw + yawDelta * k,
+      pitch: current.pitch + (orbit.pitch - current.pitch) * k
+    };
+
+    if (typeof target.fov === 'number') {
+      view.fov = this.camera.fov + (target.fov - this.camera.fov) * k;
+    }
+
+    controls.jumpTo(view);
+  }
+
+  /**
+   * Add a region of interest. `vr-region-enter` fires when the viewer
+   * starts looking inside it and `vr-region-leave` when they look away,
+   * in flat playback and in VR.
+   *
+   * @param {Object} region
+   *        `{id, yaw, pitch, radius, startTime, endTime}`. yaw and pitch
+   *        are the centre in degrees, as taken by setViewDirection, radius
+   *        is in degrees of arc, and the region is only active from
+   *        startTime up to endTime seconds (the whole source by default).
+   *        A region with the same id is replaced.
+   */
+  addRegion(region) {
+    if (!isValidRegion(region)) {
+      return;
+    }
+
+    const replaced = this.gazeRegions_.add(region);
+
+    if (replaced) {
+      this.trigger('vr-region-leave', {region: replaced});
+    }
+  }
+
+  /**
+   * Remove a region of interest, leaving it first if it is being looked at.
+   *
+   * @param {string|number} id
+   *        The region's id.
+   */
+  removeRegion(id) {
+    const region = this.gazeRegions_.remove(id);
+
+    if (region) {
+      this.trigger('vr-region-leave', {region});
+    }
+  }
+
+  /**
+   * Get the regions of interest.
+   *
+   * @return {Object[]}
+   *         The regions added with addRegion.
+   */
+  getRegions() {
+    return this.gazeRegions_.getAll();
+  }
+
+  /**
+   * Report where the viewer is looking: `vr-viewchange` at most every
+   * viewChangeInterval ms when the view has moved, and region enter/leave
+   * events every frame.
+   *
+   * @param {number} [timestamp]
+   *        The animation frame's time in ms.
+   */
+  updateGaze_(timestamp) {
+    const direction = this.getViewDirection();
+
+    if (!direction) {
+      return;
+    }
+
+    const regions = this.gazeRegions_.update(direction, this.player_.currentTime());
+
+    regions.left.forEach((region) => this.trigger('vr-region-leave', {region}));
+    regions.entered.forEach((region) => this.trigger('vr-region-enter', {region}));
+
+    const now = typeof timestamp === 'number' ? timestamp : window.performance.now();
+    const last = this.lastViewChange_;
+    const view = {yaw: direction.yaw, pitch: direction.pitch, fov: this.camera.fov};
+
+    if (last && now - last.time < this.options_.viewChangeInterval) {
+      return;
+    }
+
+    // small enough to skip sensor noise from a headset held still
+    if (last && Math.abs(view.yaw - last.yaw) < 0.1 && Math.abs(view.pitch - last.pitch) < 0.1 &&
+        Math.abs(view.fov - last.fov) < 0.1) {
+      return;
+    }
+
+    this.lastViewChange_ = Object.assign({time: now}, view);
+    this.trigger('vr-viewchange', view);
+  }
+
+  /**
+   * Start recording where the viewer looks while the source plays, in flat
+   * playback and in VR. Samples are kept per source; changing the source
+   * starts a new recording.
+   */
+  startHeatmap() {
+    this.heatmapRecording_ = true;
+  }
+
+  /**
+   * Stop recording, keeping the samples so far.
+   */
+  stopHeatmap() {
+    this.heatmapRecording_ = false;
+  }
+
+  /**
+   * Remove the recorded samples.
+   */
+  clearHeatmap() {
+    this.heatmap_.clear(this.player_.currentSrc());
+    this.heatmapDrawn_ = null;
+  }
+
+  /**
+   * Export the recording.
+   *
+   * @return {string}
+   *         JSON `{version, src, bucketSize, buckets}`, where each bucket is
+   *         `{time, samples}` and each sample `[yaw, pitch, fov]` in degrees.
+   */
+  exportHeatmap() {
+    return JSON.stringify(this.heatmap_);
+  }
+
+  /**
+   * Draw the heatmap over the video, around the current time (see the
+   * heatmapWindow option).
+   *
+   * @param {Object|string} [data]
+   *        A heatmap from exportHeatmap, e.g. merged from many viewers.
+   *        Shows the live recording if left out.
+   */
+  showHeatmap(data) {
+    const heatmap = data ? ViewHeatmap.fromJSON(data) : this.heatmap_;
+
+    if (!heatmap) {
+      return;
+    }
+
+    this.heatmapShown_ = heatmap;
+    this.heatmapDrawn_ = null;
+
+    if (this.vrHUD) {
+      this.vrHUD.setHeatmapEnabled(true);
+    }
+
+    this.trigger('vr-heatmap', {visible: true});
+  }
+
+  /**
+   * Remove the heatmap overlay.
+   */
+  hideHeatmap() {
+    this.heatmapShown_ = null;
+
+    if (this.heatmapOverlay_) {
+      this.heatmapOverlay_.dispose();
+      this.heatmapOverlay_ = null;
+    }
+
+    if (this.vrHUD) {
+      this.vrHUD.setHeatmapEnabled(false);
+    }
+
+    this.trigger('vr-heatmap', {visible: false});
+  }
+
+  /**
+   * Show or hide the heatmap overlay of the live recording.
+   */
+  toggleHeatmap() {
+    if (this.heatmapShown_) {
+      this.hideHeatmap();
+    } else {
+      this.showHeatmap();
+    }
+  }
+
+  /**
+   * Add a clickable point of interest on the video. It is drawn as a
+   * marker facing the viewer, clicked or tapped in flat playback or
+   * selected with a controller in VR, and follows the orientation offset.
+   * Selecting it triggers `vr-hotspot-select`.
+   *
+   * @param {Object} hotspot
+   *        The hotspot. A hotspot with the same id is replaced.
+   * @param {string|number} hotspot.id
+   *        Identifies the hotspot.
+   * @param {number} hotspot.yaw
+   *        Direction in degrees, as taken by setViewDirection.
+   * @param {number} hotspot.pitch
+   *        Direction in degrees, as taken by setViewDirection.
+   * @param {number} [hotspot.startTime=0]
+   *        Time in seconds the hotspot appears.
+   * @param {number} [hotspot.endTime=Infinity]
+   *        Time in seconds the hotspot disappears.
+   * @param {number} [hotspot.scale=1]
+   *        Size of the marker, relative to the default.
+   * @param {string} [hotspot.icon]
+   *        URL of an image to draw instead of the default ring.
+   * @param {string} [hotspot.label]
+   *        Text under the marker.
+   * @param {Function} [hotspot.onSelect]
+   *        Called with the hotspot when it is selected.
+   */
+  addHotspot(hotspot) {
+    if (!hotspot || (typeof hotspot.id !== 'string' && typeof hotspot.id !== 'number')) {
+      videojs.log.error('videojs-vr: hotspots need a string or number id');
+      return;
+    }
+
+    if (typeof hotspot.yaw !== 'number' || typeof hotspot.pitch !== 'number') {
+      videojs.log.error(`videojs-vr: hotspot ${hotspot.id} needs yaw and pitch in degrees`);
+      return;
+    }
+
+    if (hotspot.scale !== undefined && !(hotspot.scale > 0)) {
+      videojs.log.error(`videojs-vr: hotspot ${hotspot.id} needs a positive scale`);
+      return;
+    }
+
+    this.hotspots_.add(hotspot);
+  }
+
+  /**
+   * Remove a hotspot.
+   *
+   * @param {string|number} id
+   *        The hotspot's id.
+   */
+  removeHotspot(id) {
+    this.hotspots_.remove(id);
+  }
+
+  /**
+   * Get the hotspots.
+   *
+   * @return {Object[]}
+   *         The hotspots added with addHotspot.
+   */
+  getHotspots() {
+    return this.hotspots_.getAll();
+  }
+
+  /**
+   * Call a hotspot's onSelect and trigger `vr-hotspot-select`.
+   *
+   * @param {string|number} id
+   *        The selected hotspot's id.
+   */
+  selectHotspot_(id) {
+    const hotspot = this.hotspots_.get(id);
+
+    if (!hotspot) {
+      return;
+    }
+
+    if (typeof hotspot.onSelect === 'function') {
+      hotspot.onSelect(hotspot);
+    }
+
+    this.trigger('vr-hotspot-select', {hotspot});
+  }
+
+  /**
+   * Find the hotspot under a pointer, mouse or touch event on the canvas in
+   * flat playback.
+   *
+   * @param {Event} event
+   *        The event. Touch events are read from their first changed touch.
+   *
+   * @return {string|number|null}
+   *         The hotspot's id, or null.
+   */
+  hitHotspot_(event) {
+    const point = event.changedTouches ? event.changedTouches[0] : event;
+
+    if (!point || !this.camera || !this.renderedCanvas || this.isPresenting()) {
+      return null;
+    }
+
+    const rect = this.renderedCanvas.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      ((point.clientX - rect.left) / rect.width) * 2 - 1,
+      -((point.clientY - rect.top) / rect.height) * 2 + 1
+    );
+
+    this.hotspotRaycaster_.setFromCamera(pointer, this.camera);
+
+    return this.hotspots_.hit(this.hotspotRaycaster_);
+  }
+
+  /**
+   * Remember the hotspot a press on the canvas starts on.
+   *
+   * @param {PointerEvent} event
+   *        The pointerdown event.
+   */
+  onHotspotPointerDown_(event) {
+    // while authoring, clicks place and pick up markers instead
+    const id = event.button === 0 && !this.isAuthoring() ? this.hitHotspot_(event) : null;
+
+    this.hotspotPress_ = id === null ? null : {id, x: event.clientX, y: event.clientY};
+  }
+
+  /**
+   * Select the hotspot a press started and ended on, unless it dragged the
+   * view.
+   *
+   * @param {PointerEvent} event
+   *        The pointerup or pointercancel event.
+   */
+  onHotspotPointerUp_(event) {
+    const press = this.hotspotPress_;
+
+    this.hotspotPress_ = null;
+
+    if (!press || event.type !== 'pointerup' ||
+        Math.hypot(event.clientX - press.x, event.clientY - press.y) >= HOTSPOT_CLICK_DISTANCE ||
+        this.hitHotspot_(event) !== press.id) {
+      return;
+    }
+
+    this.selectHotspot_(press.id);
+  }
+
+  /**
+   * Keep the hotspot markers in the scene, showing the ones of the current
+   * time turned towards the camera.
+   */
+  updateHotspots_() {
+    const group = this.hotspots_.group;
+
+    if (group.parent !== this.scene) {
+      this.scene.add(group);
+    }
+
+    this.hotspots_.update(this.camera, this.getSourceRotation_(), this.player_.currentTime());
+  }
+
+  /**
+   * Start a branching tour at its first scene. Link hotspots move between
+   * scenes with a fade, in flat playback and without leaving VR.
+   *
+   * @param {Object} definition
+   *        `{firstScene, scenes}`. Each scene is `{src, projection, view,
+   *        hotspots, links}`: a player source, a projection (the plugin's
+   *        default if left out), the `{yaw, pitch, fov}` to start from,
+   *        hotspots as taken by addHotspot, and links, which are hotspots
+   *        with the id of the `scene` they lead to and a `heading`.
+   *
+   * @return {Promise}
+   *         Resolves with true once the first scene shows, false if the
+   *         definition has no usable scene or its source fails.
+   */
+  loadTour(definition) {
+    if (!Tour.isValid(definition)) {
+      return Promise.resolve(false);
+    }
+
+    const tour = new Tour(definition);
+
+    if (!tour.firstScene) {
+      return Promise.resolve(false);
+    }
+
+    this.endTour();
+    this.tour_ = tour;
+
+    return this.goToScene(tour.firstScene);
+  }
+
+  /**
+   * Leave the tour, removing its hotspots. The current source keeps playing.
+   */
+  endTour() {
+    this.cancelSceneTransition_();
+    this.tourHotspots_.forEach((id) => this.removeHotspot(id));
+    this.tourHotspots_ = [];
+    this.tour_ = null;
+    this.tourScene_ = null;
+  }
+
+  /**
+   * Get the tour scene being shown.
+   *
+   * @return {string|null}
+   *         The scene's id, or null outside of a tour.
+   */
+  getTourScene() {
+    return this.tourScene_;
+  }
+
+  /**
+   * Fade to another scene of the tour. The source and projection change
+   * while the view is dark; in VR the session stays up and only the video
+   * texture and screen are swapped.
+   *
+   * @param {string} id
+   *        The scene's id.
+   * @param {Object} [options]
+   *        Transition options.
+   * @param {number|string} [options.heading]
+   *        Yaw in degrees to face in the new scene, or `'preserve'` to keep
+   *        looking the same way. Defaults to the scene's `view`, or
+   *        `'preserve'` if it has none.
+   *
+   * @return {Promise}
+   *         Resolves with true when the scene shows, false if there is no
+   *         such scene, another transition is running, the tour ends first
+   *         or the source fails. A source that hasn't loaded after 5
+   *         seconds, like a `preload="none"` one, is shown anyway.
+   */
+  goToScene(id, options = {}) {
+    const scene = this.tour_ && this.tour_.getScene(id);
+
+    if (!scene) {
+      videojs.log.error(`videojs-vr: no tour scene ${id}`);
+      return Promise.resolve(false);
+    }
+
+    if (this.sceneTransition_) {
+      return Promise.resolve(false);
+    }
+
+    const tour = this.tour_;
+    const previous = this.tourScene_;
+    let heading = options.heading;
+
+    if (heading === undefined) {
+      heading = scene.view ? 'view' : 'preserve';
+    }
+    const direction = this.getViewDirection();
+    const play = previous !== null && !this.player_.paused();
+    // the first scene appears straight away
+    const duration = previous !== null ? this.options_.tourTransitionDuration / 2 : 0;
+    const transition = {};
+    // endTour and dispose cancel the transition
+    const cancelled = () => this.sceneTransition_ !== transition;
+    let loaded = false;
+
+    this.sceneTransition_ = transition;
+    this.tourHotspots_.forEach((hotspotId) => this.removeHotspot(hotspotId));
+    this.tourHotspots_ = [];
+
+    return this.fadeVeil_.fadeTo(1, duration).then(() => {
+      if (cancelled()) {
+        return false;
+      }
+
+      // in VR this rebuilds the screen straight away, and init() swaps the
+      // video texture in when the new source's metadata loads
+      this.setProjection(scene.projection || this.defaultProjection_);
+
+      const shown = this.waitForScene_(scene, heading, direction);
+
+      this.player_.src(scene.src);
+
+      if (play) {
+        const playPromise = this.player_.play();
+
+        if (playPromise && playPromise.catch) {
+          playPromise.catch(() => {});
+        }
+      }
+
+      return shown;
+    }).then((success) => {
+      if (cancelled()) {
+        return false;
+      }
+
+      loaded = success;
+      this.tourScene_ = id;
+      this.trigger('vr-scene-change', {scene: id, previous});
+
+      return this.fadeVeil_.fadeTo(0, duration);
+    }).then(() => {
+      if (cancelled()) {
+        return false;
+      }
+
+      this.sceneTransition_ = null;
+
+      // the tour may have changed during the fade
+      if (this.tour_ === tour && this.tourScene_ === id) {
+        tour.getHotspots(id, (link) => this.goToScene(link.scene, {heading: link.heading})).forEach((hotspot) => {
+          this.addHotspot(hotspot);
+          this.tourHotspots_.push(hotspot.id);
+        });
+      }
+
+      return loaded;
+    });
+  }
+
+  /**
+   * Wait for a tour scene's source to load and its screen to be pointed.
+   * Call before changing the source.
+   *
+   * @param {Object} scene
+   *        The tour scene.
+   * @param {number|string} heading
+   *        The heading to point the view at, see applySceneHeading_.
+   * @param {Object} [direction]
+   *        `{yaw, pitch}` before the transition, kept by `'preserve'`.
+   *
+   * @return {Promise<boolean>}
+   *         Resolves with false if the source fails or the wait is
+   *         cancelled, and true otherwise. A source that doesn't load in
+   *         time resolves true and is pointed once it does.
+   */
+  waitForScene_(scene, heading, direction) {
+    const events = ['loadedmetadata', 'error'];
+
+    return new Promise((resolve) => {
+      let timeout;
+      let onLoad;
+      const finish = (success) => {
+        if (this.sceneWait_ !== finish) {
+          return;
+        }
+        this.sceneWait_ = null;
+        this.player_.off(events, onLoad);
+        this.player_.clearTimeout(timeout);
+        resolve(success);
+      };
+
+      onLoad = (e) => {
+        this.player_.off(events, onLoad);
+
+        // a failed source never gets a screen to point
+        if (e.type === 'error') {
+          finish(false);
+          return;
+        }
+
+        // init may still be reading an AUTO source's metadata or setting
+        // up the controls, so point the view on the new screen's first frame
+        this.pendingSceneHeading_ = {scene, heading, direction, resolve: () => finish(true)};
+      };
+
+      this.sceneWait_ = finish;
+      this.player_.on(events, onLoad);
+      timeout = this.player_.setTimeout(() => {
+        if (!this.pendingSceneHeading_) {
+          this.pendingSceneHeading_ = {scene, heading, direction, resolve: () => {}};
+        }
+        finish(true);
+      }, SCENE_LOAD_TIMEOUT);
+    });
+  }
+
+  /**
+   * Stop a running scene transition: its promise resolves with false, a
+   * heading still waiting on init is dropped and the veil is lifted.
+   */
+  cancelSceneTransition_() {
+    if (!this.sceneTransition_) {
+      return;
+    }
+
+    this.sceneTransition_ = null;
+
+    if (this.sceneWait_) {
+      this.sceneWait_(false);
+    }
+    this.settleSceneHeading_(false);
+    this.fadeVeil_.fadeTo(0, 0);
+  }
+
+  /**
+   * Point the view for a scene that just loaded.
+   *
+   * @param {Object} scene
+   *        The tour scene.
+   * @param {number|string} heading
+   *        Yaw in degrees, `'preserve'` or `'view'` for the scene's view.
+   * @param {Object} [direction]
+   *        `{yaw, pitch}` before the transition, kept by `'preserve'`.
+   */
+  applySceneHeading_(scene, heading, direction) {
+    if (!this.isPresenting()) {
+      if (typeof heading === 'number') {
+        this.setViewDirection({yaw: heading});
+      } else if (heading === 'view') {
+        this.animateViewTo(scene.view, {duration: 0});
+      } else if (direction) {
+        this.setViewDirection(direction);
+      }
+      return;
+    }
+
+    // the headset points the camera, so turn the video around the viewer
+    // instead, through the same orientation offset as the HUD's drag handle
+    if (!this.vrHUD) {
       return;
     }
 
-    // Delay resize during fullscreen transitions. Browsers (especially
-    // Safari) exit fullscreen if the fullscreened element's DOM is
-    // modified during the transition. Defer to next animation frame.
-    if (this.resizeTimer_) {
-      cancelAnimationFrame(this.resizeTimer_);
+    const offset = this.vrHUD.getOrientationOffset();
+    const yaw = typeof heading === 'number' ? heading : (heading === 'view' && scene.view.yaw);
+
+    if (typeof yaw === 'number') {
+      const camera = this.camera.getWorldDirection(new THREE.Vector3());
+
+      // turn the source's yaw to where the headset faces in the scene
+      offset.set(0, THREE.MathUtils.degToRad(yaw) - Math.atan2(camera.x, -camera.z), 0);
+      this.vrHUD.setOrientationOffset(offset);
     }
-    const self = this;
 
-    this.resizeTimer_ = requestAnimationFrame(() => {
-      self.resizeTimer_ = null;
-      self.doResize_();
-    });
+    // setProjection built new screen meshes without the offset
+    this.vrHUD.onOrientationChange(offset);
   }
 
-  doResize_() {
-    if (!this.initialized_ || !this.player_ || !this.player_.el()) {
+  /**
+   * Point the view for the tour scene waiting on init, and let its
+   * transition fade in.
+   *
+   * @param {boolean} apply
+   *        False to fade in without pointing, when there is no screen.
+   */
+  settleSceneHeading_(apply) {
+    const pending = this.pendingSceneHeading_;
+
+    if (!pending) {
       return;
     }
 
-    const width = this.player_.currentWidth();
-    const height = this.player_.currentHeight();
-
-    this.effect.setSize(width, height, false);
-    this.camera.aspect = width / height;
+    this.pendingSceneHeading_ = null;
 
-    // For SBS_MONO, update the camera FOV to match the new aspect ratio
-    // so the plane fills the view. Do NOT call changeProjection_ here —
-    // that rebuilds the DOM which exits native fullscreen.
-    if (this.currentProjection_ === 'SBS_MONO' || this.currentProjection_ === 'SBS') {
-      const video = this.getVideoEl_();
-      const contentAspect = ((video.videoWidth || 3840) / 2) / (video.videoHeight || 1920);
-      const playerAspect = width / height;
-      const distance = 3;
-      const planeHeight = 2;
-      const planeWidth = planeHeight * contentAspect;
+    if (apply) {
+      this.applySceneHeading_(pending.scene, pending.heading, pending.direction);
+    }
 
-      let vertFovDeg;
+    pending.resolve();
+  }
 
-      if (contentAspect > playerAspect) {
-        vertFovDeg = 2 * Math.atan((planeHeight / 2) / distance) * (180 / Math.PI);
-      } else {
-        const horzFovRad = 2 * Math.atan((planeWidth / 2) / distance);
+  /**
+   * Rotation from the source's directions to the scene's: the orientation
+   * offset the HUD puts on the movie screen, if any.
+   *
+   * @return {THREE.Quaternion}
+   *         The rotation.
+   */
+  getSourceRotation_() {
+    const screen = this.movieScreen;
+    const base = screen && screen.userData.baseQuaternion;
 
-        vertFovDeg = 2 * Math.atan(Math.tan(horzFovRad / 2) / playerAspect) * (180 / Math.PI);
-      }
-      this.camera.fov = vertFovDeg;
+    if (!base) {
+      return new THREE.Quaternion();
     }
 
-    this.camera.updateProjectionMatrix();
+    return screen.quaternion.clone().multiply(base.clone().invert());
   }
 
-  setProjection(projection) {
+  /**
+   * Find the orbit direction that points the flat view along a direction of
+   * the source, through the HUD's rotation of the source and the controls'
+   * orientation offset.
+   *
+   * @param {Object} direction
+   *        `{yaw, pitch}` in degrees, as taken by setViewDirection.
+   *
+   * @return {Object}
+   *         `{yaw, pitch}` in degrees, as taken by the controls' animateTo.
+   */
+  getOrbitDirection_(direction) {
+    if (!this.controls3d || !this.controls3d.getOrbitDirectionFor) {
+      return {yaw: direction.yaw, pitch: direction.pitch};
+    }
 
-    if (!utils.getInternalProjectionName(projection)) {
-      videojs.log.error('videojs-vr: please pass a valid projection ' + utils.validProjections.join(', '));
+    const yaw = THREE.MathUtils.degToRad(direction.yaw);
+    const pitch = THREE.MathUtils.degToRad(direction.pitch);
+    const vector = new THREE.Vector3(Math.sin(yaw) * Math.cos(pitch), Math.sin(pitch), -Math.cos(yaw) * Math.cos(pitch))
+      .applyQuaternion(this.getSourceRotation_());
+
+    return this.controls3d.getOrbitDirectionFor(vector);
+  }
+
+  /**
+   * Record a heatmap sample every heatmapSampleInterval ms while playing,
+   * and redraw the overlay at most once a second when its data changes.
+   *
+   * @param {number} [timestamp]
+   *        The animation frame's time in ms.
+   */
+  updateHeatmap_(timestamp) {
+    if (!this.heatmapRecording_ && !this.heatmapShown_) {
       return;
     }
 
-    this.currentProjection_ = projection;
-    this.defaultProjection_ = projection;
+    const now = typeof timestamp === 'number' ? timestamp : window.performance.now();
+    const time = this.player_.currentTime();
+    const rotation = this.getSourceRotation_();
 
-    // Update VR HUD's projection state to keep UI in sync
-    if (this.vrHUD) {
-      this.vrHUD.setProjection(projection);
+    if (this.heatmapRecording_ && !this.player_.paused() &&
+        now - this.lastHeatmapSample_ >= this.options_.heatmapSampleInterval) {
+      const src = this.player_.currentSrc();
+      const direction = this.getViewDirection();
+      let fov = this.camera.fov;
+
+      if (this.webXRSupported_ && this.renderer.xr.isPresenting) {
+        fov = THREE.MathUtils.radToDeg(2 * Math.atan(1 / this.renderer.xr.getCamera().cameras[0].projectionMatrix.elements[5]));
+      }
+
+      if (this.heatmap_.src !== src) {
+        this.heatmap_.clear(src);
+      }
+
+      this.heatmap_.record(time, {yaw: direction.yaw, pitch: direction.pitch, fov});
+      this.lastHeatmapSample_ = now;
     }
 
-    // If we're in an XR session, rebuild the geometry with the new projection
-    if (this.renderer && this.renderer.xr && this.renderer.xr.isPresenting && this.scene) {
-      this.log('Rebuilding projection during XR session:', projection);
+    const heatmap = this.heatmapShown_;
 
-      // Remove existing movie screen(s)
-      const toRemove = [];
+    if (!heatmap) {
+      return;
+    }
 
-      this.scene.traverse((object) => {
-        if (object.isMesh && object.material && object.material.map === this.videoTexture) {
-          toRemove.push(object);
-        }
-      });
-      toRemove.forEach(obj => {
-        if (obj.parent) {
-          obj.parent.remove(obj);
-        }
-        if (obj.geometry) {
-          obj.geometry.dispose();
-        }
-        if (obj.material) {
-          obj.material.dispose();
-        }
+    if (!this.heatmapOverlay_ || this.heatmapOverlay_.scene !== this.scene) {
+      this.heatmapOverlay_ = new HeatmapOverlay(this.scene, {
+        width: HEATMAP_WIDTH,
+        height: HEATMAP_HEIGHT,
+        radius: SPHERE_RADIUS
       });
+      this.heatmapDrawn_ = null;
+    }
 
-      // Create new video texture if needed
-      if (!this.videoTexture) {
-        this.videoTexture = new THREE.VideoTexture(this.getVideoEl_());
-        this.videoTexture.generateMipmaps = false;
-        this.videoTexture.minFilter = THREE.LinearFilter;
-        this.videoTexture.magFilter = THREE.LinearFilter;
-        this.videoTexture.format = THREE.RGBAFormat;
-      }
-
-      // Rebuild the mesh with new projection
-      this.changeProjection_(projection);
+    this.heatmapOverlay_.setRotation(rotation);
 
-      // Add new movie screen to scene
-      if (this.movieScreen) {
-        this.scene.add(this.movieScreen);
-      }
+    const span = this.options_.heatmapWindow;
+    const drawn = `${span > 0 ? Math.floor(time / heatmap.bucketSize) : 0}:${heatmap.sampleCount}`;
 
-      // Reapply force mono if it was enabled (meshes were just recreated)
-      if (this.forceMonoEnabled) {
-        this.originalLayerStates_ = null; // Clear old states
-        this.applyForceMonoProjection_();
-      }
+    if (drawn === this.heatmapDrawn_ || (this.heatmapDrawn_ && now - this.lastHeatmapDraw_ < 1000)) {
+      return;
+    }
 
-      // Ensure VR HUD and Gallery have proper layers after projection change
-      if (this.vrHUD && this.vrHUD.refreshLayers) {
-        this.vrHUD.refreshLayers();
-      }
-      if (this.vrGallery && this.vrGallery.refreshLayers) {
-        this.vrGallery.refreshLayers();
-      }
+    this.heatmapOverlay_.setGrid(span > 0 ?
+      heatmap.getGrid(HEATMAP_WIDTH, HEATMAP_HEIGHT, time - span / 2, time + span / 2) :
+      heatmap.getGrid(HEATMAP_WIDTH, HEATMAP_HEIGHT));
+    this.heatmapDrawn_ = drawn;
+    this.lastHeatmapDraw_ = now;
+  }
 
-      this.log('Projection rebuilt successfully');
+  /**
+   * Hand the current view mode to the orbit controls. WebXR and VRControls
+   * drive the camera themselves, so the mode only applies to flat playback.
+   *
+   * @param {number} duration
+   *        Length of the transition in ms.
+   */
+  applyView_(duration) {
+    if (!this.controls3d || !this.controls3d.setView) {
+      return;
     }
+
+    this.controls3d.setFovLimits(this.options_.minFov, this.getMaxFov_());
+    this.controls3d.setView({
+      fov: this.view_.fov,
+      // the orbit target is 1 unit in front of the centre
+      distance: Math.max(1, this.view_.distance * SPHERE_RADIUS),
+      pitch: this.view_.pitch
+    }, duration);
   }
 
   /**
@@ -1197,6 +2467,13 @@ void main() {
         oldVideoTexture.dispose();
       }
 
+      // rebuild the screen if a projection was picked for the new source
+      const preferred = this.getPreferences().projection;
+
+      if (preferred && preferred !== this.currentProjection_ && utils.getInternalProjectionName(preferred)) {
+        this.setProjection(preferred);
+      }
+
       // Reapply force mono if it was enabled (mesh layer masks are preserved)
       // Clear stored states so they get recaptured with new texture references
       if (this.forceMonoEnabled) {
@@ -1217,15 +2494,17 @@ void main() {
 
     this.reset();
 
+    // AUTO without mediainfo: read the file's spatial metadata first and
+    // init again once it is known
+    if (this.shouldLoadSpatialMetadata_()) {
+      this.loadSpatialMetadata_();
+      return;
+    }
+
     this.camera = new THREE.PerspectiveCamera(75, this.player_.currentWidth() / this.player_.currentHeight(), 1, 1000);
     // Store vector representing the direction in which the camera is looking, in world space.
     this.cameraVector = new THREE.Vector3();
 
-    if (this.currentProjection_ === '360_LR' || this.currentProjection_ === '360_TB' || this.currentProjection_ === '180' || this.currentProjection_ === '180_LR' || this.currentProjection_ === '180_MONO' || this.currentProjection_ === 'EAC_LR') {
-      // Render left eye when not in VR mode
-      this.camera.layers.enable(1);
-    }
-
     this.scene = new THREE.Scene();
     this.videoTexture = new THREE.VideoTexture(this.getVideoEl_());
 
@@ -1282,14 +2561,27 @@ void main() {
       });
     }
 
+    // a projection picked from the HUD for this source wins over the default
+    const preferredProjection = this.getPreferences().projection;
+
+    if (preferredProjection && utils.getInternalProjectionName(preferredProjection)) {
+      this.currentProjection_ = preferredProjection;
+    }
+
     this.changeProjection_(this.currentProjection_);
 
     if (this.currentProjection_ === 'NONE') {
       this.log('Projection is NONE, dont init');
       this.reset();
+      this.settleSceneHeading_(false);
       return;
     }
 
+    if (getProjection(this.currentProjection_).stereo) {
+      // Render left eye when not in VR mode
+      this.camera.layers.enable(1);
+    }
+
     // SBS_MONO uses the 3D renderer with a flat plane, so it continues with normal init
     // The changeProjection_ method handles creating the proper geometry with UV mapping
 
@@ -1364,7 +2656,14 @@ void main() {
           camera: this.camera,
           canvas: this.renderedCanvas,
           // check if its a half sphere view projection
-          halfView: this.currentProjection_.indexOf('180') === 0,
+          halfView: getProjection(this.currentProjection_).fov <= 180,
+          // partial panoramas and cylinders limit the view to the area they cover
+          coverage: this.getViewCoverage_(),
+          zoom: this.options_.enableZoom,
+          minFov: this.options_.minFov,
+          maxFov: this.getMaxFov_(),
+          canZoom: () => !this.isPresenting(),
+          onFovChange: (fov) => this.trigger('vr-fovchange', { fov }),
           orientation: videojs.browser.IS_IOS || videojs.browser.IS_ANDROID || false
         };
 
@@ -1373,7 +2672,22 @@ void main() {
         }
 
         this.controls3d = new OrbitOrientationContols(options);
-        this.canvasPlayerControls = new CanvasPlayerControls(this.player_, this.renderedCanvas, this.options_);
+
+        if (this.view_) {
+          this.applyView_(0);
+        }
+
+        this.canvasPlayerControls = new CanvasPlayerControls(
+          this.player_,
+          this.renderedCanvas,
+          this.options_,
+          // clicks on hotspots select them instead of toggling playback,
+          // and while authoring every click places or picks up a marker
+          (e) => this.isAuthoring() || this.hitHotspot_(e) !== null || (!!this.vrHUD && this.vrHUD.hitTest(e))
+        );
+        this.renderedCanvas.addEventListener('pointerdown', this.onHotspotPointerDown_);
+        this.renderedCanvas.addEventListener('pointerup', this.onHotspotPointerUp_);
+        this.renderedCanvas.addEventListener('pointercancel', this.onHotspotPointerUp_);
       } else if (this.currentProjection_ === 'SBS_MONO') {
         this.log('SBS_MONO mode: flat plane view, no orbit controls needed');
       }
@@ -1394,6 +2708,12 @@ void main() {
         this.vrGallery.vrHUD = this.vrHUD;
       }
 
+      if (this.vrHUD) {
+        this.vrHUD.hotspots = this.hotspots_;
+      }
+
+      this.restorePreferences_();
+
       // Use setAnimationLoop for WebXR compatibility
       if (this.webXRSupported_) {
         this.useSetAnimationLoop_ = true;
@@ -1455,7 +2775,7 @@ void main() {
 
       this.omniController = new OmnitoneController(
         audiocontext,
-        this.options_.omnitone, this.getVideoEl_(), this.options_.omnitoneOptions
+        this.options_.omnitone, this.getVideoEl_(), this.getOmnitoneOptions_()
       );
       this.omniController.one('audiocontext-suspended', () => {
         this.player.pause();
@@ -1488,6 +2808,202 @@ void main() {
     }, 100);
   }
 
+  /**
+   * Whether init needs to wait for the spatial metadata of the current
+   * source before it can resolve an AUTO projection, or the crop of an
+   * EQUIRECT_PARTIAL one.
+   *
+   * @return {boolean}
+   *         True if the metadata should be fetched first.
+   */
+  shouldLoadSpatialMetadata_() {
+    const mediainfo = this.player_.mediainfo;
+    const src = this.player_.currentSrc();
+    const projection = utils.getInternalProjectionName(this.currentProjection_);
+
+    if (!this.options_.spatialMetadata || !src || src === this.spatialMetadataSrc_) {
+      return false;
+    }
+
+    if (projection === 'EQUIRECT_PARTIAL') {
+      return !this.options_.gpano && !!this.player_.poster();
+    }
+
+    if (projection !== 'AUTO') {
+      return false;
+    }
+
+    if (mediainfo && mediainfo.projection && mediainfo.projection !== 'AUTO') {
+      return false;
+    }
+
+    if (this.options_.spatialMetadata === 'auto' && !this.hasSpatialAspect_()) {
+      return false;
+    }
+
+    return this.hasMoov_() || !!this.player_.poster();
+  }
+
+  /**
+   * Whether the frame of the current source has the shape of a spatial
+   * video, so flat sources are not range-fetched. A frame whose size is not
+   * known yet counts as spatial.
+   *
+   * @return {boolean}
+   *         True if the frame matches one of SPATIAL_ASPECTS.
+   */
+  hasSpatialAspect_() {
+    const video = this.getVideoEl_();
+
+    if (!video || !video.videoWidth || !video.videoHeight) {
+      return true;
+    }
+
+    const aspect = video.videoWidth / video.videoHeight;
+
+    return SPATIAL_ASPECTS.some((shape) => Math.abs(aspect / shape - 1) < 0.02);
+  }
+
+  /**
+   * Whether the current source is a single file with a moov box.
+   *
+   * @return {boolean}
+   *         False for segmented streams.
+   */
+  hasMoov_() {
+    const type = this.player_.currentType();
+
+    return !utils.isHLS(type) && type !== 'application/dash+xml';
+  }
+
+  /**
+   * Fetch and parse the spatial metadata of the current source and the
+   * GPano XMP of its poster, trigger `vr-metadata` with the result and
+   * re-run init.
+   */
+  loadSpatialMetadata_() {
+    const src = this.player_.currentSrc();
+    const poster = this.player_.poster();
+    const readMoov = utils.getInternalProjectionName(this.currentProjection_) === 'AUTO' && this.hasMoov_();
+
+    this.spatialMetadataSrc_ = src;
+    this.spatialMetadata_ = null;
+    this.log('Reading spatial metadata from', src, poster);
+
+    Promise.all([
+      readMoov ? fetchSpatialMetadata(src) : null,
+      poster ? fetchGPano(poster) : null
+    ]).then(([metadata, gpano]) => {
+      // the source changed or the plugin was disposed while fetching
+      if (this.spatialMetadataSrc_ !== src) {
+        return;
+      }
+
+      // the boxes of the video win over the poster's XMP
+      if (gpano) {
+        metadata = metadata || {};
+        metadata.gpano = gpano;
+        metadata.projection = metadata.projection || getProjectionFromMetadata(metadata);
+      }
+
+      this.spatialMetadata_ = metadata;
+
+      if (metadata) {
+        this.log('Spatial metadata found:', metadata);
+        this.trigger('vr-metadata', { metadata });
+      }
+
+      this.init();
+    }).catch((e) => {
+      if (this.spatialMetadataSrc_ !== src) {
+        return;
+      }
+
+      // initialize without the metadata rather than not at all
+      videojs.log.error('videojs-vr: could not use the spatial metadata of', src, e);
+      this.spatialMetadata_ = null;
+      this.init();
+    });
+  }
+
+  /**
+   * Get the spatial metadata parsed from the current source, if any.
+   *
+   * @return {Object|null}
+   *         Parsed `st3d`/`sv3d`/`SA3D` metadata, plus the poster's GPano
+   *         properties as `gpano`, or null.
+   */
+  getSpatialMetadata() {
+    if (!this.spatialMetadata_ || this.spatialMetadataSrc_ !== this.player_.currentSrc()) {
+      return null;
+    }
+    return this.spatialMetadata_;
+  }
+
+  /**
+   * The part of the sphere an EQUIRECT_PARTIAL source covers, from the
+   * `gpano` option, the poster's GPano XMP or the `sv3d` bounds.
+   *
+   * @return {Object}
+   *         `{top, bottom, left, right}` fractions that are cropped away.
+   */
+  getPanoramaCoverage_() {
+    const metadata = this.getSpatialMetadata() || {};
+
+    return getGPanoCoverage(this.options_.gpano || metadata.gpano) ||
+      metadata.bounds ||
+      {top: 0, bottom: 0, left: 0, right: 0};
+  }
+
+  /**
+   * The part of the sphere the current projection covers, for the orbit
+   * controls: the crop of an EQUIRECT_PARTIAL source, or the top and bottom
+   * edges of projections with a `verticalFov` below 180 degrees.
+   *
+   * @return {Object|null}
+   *         `{top, bottom, left, right}` fractions that are cropped away, or
+   *         null if the projection covers the full sphere.
+   */
+  getViewCoverage_() {
+    if (this.currentProjection_ === 'EQUIRECT_PARTIAL') {
+      return this.getPanoramaCoverage_();
+    }
+
+    const definition = getProjection(utils.getInternalProjectionName(this.currentProjection_));
+
+    if (!definition || definition.verticalFov >= 180) {
+      return null;
+    }
+
+    const crop = (180 - definition.verticalFov) / 360;
+
+    return {top: crop, bottom: crop, left: 0, right: 0};
+  }
+
+  /**
+   * Omnitone options for the current source. A first order `SA3D` box
+   * supplies the channel map unless omnitoneOptions sets one.
+   *
+   * @return {Object}
+   *         Options for OmnitoneController.
+   */
+  getOmnitoneOptions_() {
+    const metadata = this.getSpatialMetadata();
+    const audio = metadata && metadata.audio;
+
+    if (!audio || audio.ambisonicOrder !== 1 || audio.channelMap.length < 4) {
+      return this.options_.omnitoneOptions;
+    }
+
+    // SA3D maps ambisonic components to file channels; the decoder may
+    // reorder those channels again.
+    const channelMap = audio.channelMap.slice(0, 4).map((channel) => {
+      return decoderChannelMap[channel] !== undefined ? decoderChannelMap[channel] : channel;
+    });
+
+    return videojs.mergeOptions({channelMap}, this.options_.omnitoneOptions);
+  }
+
   addCardboardButton_() {
     if (!this.player_.controlBar.getChild('CardboardButton')) {
       this.player_.controlBar.addChild('CardboardButton', {});
@@ -1649,9 +3165,18 @@ void main() {
       this.controls3d = null;
     }
 
+    if (this.heatmapOverlay_) {
+      this.heatmapOverlay_.dispose();
+      this.heatmapOverlay_ = null;
+    }
+
     if (this.canvasPlayerControls) {
       this.canvasPlayerControls.dispose();
       this.canvasPlayerControls = null;
+      this.renderedCanvas.removeEventListener('pointerdown', this.onHotspotPointerDown_);
+      this.renderedCanvas.removeEventListener('pointerup', this.onHotspotPointerUp_);
+      this.renderedCanvas.removeEventListener('pointercancel', this.onHotspotPointerUp_);
+      this.hotspotPress_ = null;
     }
 
     // Dispose VR HUD and Gallery
@@ -1670,6 +3195,10 @@ void main() {
       this.effect = null;
     }
 
+    if (this.renderer && this.renderer.xr) {
+      this.renderer.xr.removeEventListener('sessionstart', this.onForceMonoSessionStart_);
+    }
+
     window.removeEventListener('resize', this.handleResize_, true);
     window.removeEventListener('vrdisplaypresentchange', this.handleResize_, true);
     window.removeEventListener('vrdisplayactivate', this.handleVrDisplayActivate_, true);
@@ -1749,6 +3278,7 @@ void main() {
       hudHeight: this.options_.hudHeight,
       hudScale: this.options_.hudScale,
       hudDistance: this.options_.hudDistance,
+      swapEyes: this.swapEyes_,
       onNext: () => {
         if (this.options_.onNext) {
           this.options_.onNext();
@@ -1783,6 +3313,7 @@ void main() {
       onProjectionChange: (projection) => {
         this.log('Projection change requested:', projection);
         this.setProjection(projection);
+        this.setPreference_('projection', projection, this.getPreferenceSource_());
         if (this.options_.onProjectionChange) {
           this.options_.onProjectionChange(projection);
         }
@@ -1796,6 +3327,7 @@ void main() {
         // Handle force mono toggle - uses left eye for both eyes
         this.log('Force Mono toggle:', enabled);
         this.forceMonoEnabled = enabled;
+        this.setPreference_('forceMono', enabled);
 
         // Always apply the projection immediately, checking for meshes
         const leftMesh = this.movieScreenLeft;
@@ -1854,6 +3386,23 @@ void main() {
         }
         this.trigger('vr-force-mono', { enabled });
       },
+      heatmap: !!this.heatmapShown_,
+      onHotspotSelect: (id) => this.selectHotspot_(id),
+      onHeatmapToggle: (enabled) => {
+        if (enabled) {
+          this.showHeatmap();
+        } else {
+          this.hideHeatmap();
+        }
+      },
+      onSwapEyesToggle: (enabled) => {
+        this.log('Swap eyes toggle:', enabled);
+        this.setSwapEyes(enabled);
+
+        if (this.options_.onSwapEyesToggle) {
+          this.options_.onSwapEyesToggle(enabled);
+        }
+      },
       onOrientationChange: (euler) => {
         // For SBS_MONO (flat screen): translate the plane position in space
         // For other projections (360, 180, etc.): rotate the sphere/hemisphere
@@ -1930,6 +3479,7 @@ void main() {
           });
         }
 
+        this.setPreference_('orientationOffset', {x: euler.x, y: euler.y, z: euler.z});
         this.trigger('vr-orientation-change', euler);
       }
     });
@@ -1963,6 +3513,7 @@ void main() {
       camera: this.camera,
       renderer: this.renderer,
       getSrc: getSrcFunc,
+      onScroll: (position) => this.setPreference_('galleryScroll', position),
       onMediaSelect: (item, index) => {
         this.log('Media selected:', item, index);
         if (this.options_.onMediaSelect) {
@@ -2165,7 +3716,24 @@ void main() {
 
   dispose() {
     super.dispose();
+    this.spatialMetadataSrc_ = null;
     this.reset();
+    this.cancelSceneTransition_();
+    this.settleSceneHeading_(false);
+    this.hotspots_.dispose();
+    this.fadeVeil_.dispose();
+    this.annotations_.dispose();
+    this.authoring_.dispose();
+    this.reframe_.dispose();
+
+    if (this.onHashChange_) {
+      window.removeEventListener('hashchange', this.onHashChange_);
+      this.player_.clearTimeout(this.hashWriteTimeout_);
+    }
+
+    if (this.preferences_) {
+      this.preferences_.dispose();
+    }
   }
 
   polyfillVersion() {
@@ -2177,6 +3745,8 @@ VR.prototype.setTimeout = Component.prototype.setTimeout;
 VR.prototype.clearTimeout = Component.prototype.clearTimeout;
 
 VR.VERSION = VERSION;
+VR.registerProjection = registerProjection;
+VR.unregisterProjection = unregisterProjection;
 
 videojs.registerPlugin('vr', VR);
 export default VR;
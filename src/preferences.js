@@ -0,0 +1,142 @@
+import window from 'global/window';
+import videojs from 'video.js';
+
+const STORAGE_KEY = 'videojs-vr-preferences';
+// Sources remembered, the least recently changed are forgotten first
+const MAX_SOURCES = 100;
+// ms to wait for more changes before writing, as some change every frame
+const SAVE_DELAY = 500;
+
+/**
+ * Viewing preferences that outlive the player, kept globally and per
+ * source in a Web Storage style adapter: anything with `getItem`,
+ * `setItem` and `removeItem`, such as `window.localStorage`.
+ */
+class Preferences {
+  /**
+   * Load the stored preferences.
+   *
+   * @param {Object|null} storage
+   *        The storage adapter, or null to only keep them in memory.
+   */
+  constructor(storage) {
+    this.storage = storage;
+    this.saveTimeout_ = null;
+    this.data_ = this.load_();
+  }
+
+  /**
+   * Read the preferences from storage.
+   *
+   * @return {Object}
+   *         `{global, sources}`, empty if nothing valid is stored.
+   */
+  load_() {
+    let data = null;
+
+    try {
+      data = this.storage && JSON.parse(this.storage.getItem(STORAGE_KEY));
+    } catch (e) {
+      data = null;
+    }
+
+    if (!data || typeof data !== 'object') {
+      data = {};
+    }
+
+    return {
+      global: data.global && typeof data.global === 'object' ? data.global : {},
+      sources: data.sources && typeof data.sources === 'object' ? data.sources : {}
+    };
+  }
+
+  /**
+   * Get the preferences that apply to a source.
+   *
+   * @param {string} [src]
+   *        The source's URL.
+   *
+   * @return {Object}
+   *         The global preferences, overridden by the source's own.
+   */
+  get(src) {
+    return Object.assign({}, this.data_.global, src ? this.data_.sources[src] : null);
+  }
+
+  /**
+   * Set a preference.
+   *
+   * @param {string} name
+   *        The preference.
+   * @param {*} value
+   *        Its value, which must survive JSON.
+   * @param {string} [src]
+   *        The source it applies to, or nothing for every source.
+   */
+  set(name, value, src) {
+    if (!src) {
+      this.data_.global[name] = value;
+    } else {
+      const sources = this.data_.sources;
+      const entry = sources[src] || {};
+
+      // re-add the source so it is the last to be forgotten
+      delete sources[src];
+      entry[name] = value;
+      sources[src] = entry;
+
+      Object.keys(sources).slice(0, -MAX_SOURCES).forEach((key) => {
+        delete sources[key];
+      });
+    }
+
+    if (!this.saveTimeout_) {
+      this.saveTimeout_ = window.setTimeout(() => this.save(), SAVE_DELAY);
+    }
+  }
+
+  /**
+   * Forget every preference, global and per source.
+   */
+  clear() {
+    window.clearTimeout(this.saveTimeout_);
+    this.saveTimeout_ = null;
+    this.data_ = {global: {}, sources: {}};
+
+    try {
+      if (this.storage) {
+        this.storage.removeItem(STORAGE_KEY);
+      }
+    } catch (e) {
+      videojs.log.warn('videojs-vr: could not clear the stored preferences', e);
+    }
+  }
+
+  /**
+   * Write the preferences to storage now.
+   */
+  save() {
+    window.clearTimeout(this.saveTimeout_);
+    this.saveTimeout_ = null;
+
+    try {
+      if (this.storage) {
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(this.data_));
+      }
+    } catch (e) {
+      // storage can be full, or blocked in private browsing
+      videojs.log.warn('videojs-vr: could not store preferences', e);
+    }
+  }
+
+  /**
+   * Write any pending change.
+   */
+  dispose() {
+    if (this.saveTimeout_) {
+      this.save();
+    }
+  }
+}
+
+export default Preferences;
@@ -0,0 +1,225 @@
+import videojs from 'video.js';
+
+/**
+ * Registry of every projection the plugin knows how to render. Built-in
+ * formats are registered from projections.js through the same path as
+ * projections added with `VR.registerProjection`, so the HUD menu,
+ * `setProjection` and `getInternalProjectionName` all read from here.
+ */
+const projections = {};
+
+// Registration order, used for the HUD menu and error messages.
+const projectionOrder = [];
+
+// Names that are resolved by the plugin itself rather than a builder.
+const reservedNames = ['AUTO'];
+
+// {pattern, define} pairs for projections named by a parameter, such as
+// CYLINDER_100, registered the first time they are asked for.
+const families = [];
+
+// Every name a projection can be given by: the registered names, their
+// string aliases and the reserved names. Updated in place, so that
+// utils.validProjections, which is this array, stays current.
+export const acceptedProjectionNames = [];
+
+const updateAcceptedNames = function() {
+  const names = projectionOrder.concat(reservedNames);
+
+  projectionOrder.forEach((name) => {
+    projections[name].aliases.forEach((alias) => {
+      if (typeof alias === 'string') {
+        names.push(alias);
+      }
+    });
+  });
+
+  acceptedProjectionNames.splice(0, acceptedProjectionNames.length, ...names);
+};
+
+/**
+ * Register (or replace) a projection.
+ *
+ * @param {string} name
+ *        Internal projection name, e.g. `'360_LR'`.
+ * @param {Object} definition
+ *        The projection definition.
+ * @param {Function} definition.build
+ *        Called with a context object (`vr`, `player`, `scene`, `camera`,
+ *        `renderer`, `videoTexture`, `video`, `options`, `projection`). Must
+ *        return `{screen}` for mono output or `{left, right}` for stereo
+ *        output, where each value is a `THREE.Object3D`.
+ * @param {boolean|string} [definition.stereo=false]
+ *        `'LR'` or `'TB'` for stereo layouts, or `true` for stereo
+ *        sources that pick their own layout.
+ * @param {number} [definition.fov=360]
+ *        Horizontal coverage in degrees. Sources of 180 degrees or less
+ *        limit the orbit controls to the front of the sphere.
+ * @param {number} [definition.verticalFov=180]
+ *        Vertical coverage in degrees, centred on the horizon. Below 180 the
+ *        orbit controls keep the view between the top and bottom edges.
+ * @param {Array<string|RegExp>} [definition.aliases=[]]
+ *        Alternative names. Strings match case-insensitively; RegExps are
+ *        tested against the requested name.
+ * @param {string} [definition.label]
+ *        Label shown in the VR HUD projection menu. Projections without a
+ *        label are not listed there.
+ *
+ * @return {boolean}
+ *         Whether the projection was registered.
+ */
+export const registerProjection = function(name, definition) {
+  if (typeof name !== 'string' || !name.trim()) {
+    videojs.log.error('videojs-vr: registerProjection requires a projection name');
+    return false;
+  }
+
+  name = name.trim();
+
+  if (reservedNames.indexOf(name.toUpperCase()) !== -1) {
+    videojs.log.error(`videojs-vr: ${name} is a reserved projection name`);
+    return false;
+  }
+
+  if (!definition || typeof definition.build !== 'function') {
+    videojs.log.error(`videojs-vr: projection ${name} requires a build function`);
+    return false;
+  }
+
+  if (!projections[name]) {
+    projectionOrder.push(name);
+  }
+
+  projections[name] = {
+    name,
+    build: definition.build,
+    stereo: definition.stereo || false,
+    fov: typeof definition.fov === 'number' ? definition.fov : 360,
+    verticalFov: typeof definition.verticalFov === 'number' ? definition.verticalFov : 180,
+    aliases: definition.aliases || [],
+    label: definition.label
+  };
+  updateAcceptedNames();
+
+  return true;
+};
+
+/**
+ * Register a family of projections whose names carry a parameter, e.g.
+ * `CYLINDER_<vfov>`. A name that matches the pattern and isn't registered
+ * yet is registered when it is first resolved, with the definition that
+ * `define` returns for it.
+ *
+ * @param {RegExp} pattern
+ *        Matches the names of the family, case-insensitively.
+ * @param {Function} define
+ *        Called with the pattern's match; returns the definition, or null
+ *        if the parameters are out of range.
+ */
+export const registerProjectionFamily = function(pattern, define) {
+  families.push({pattern, define});
+};
+
+/**
+ * Remove a registered projection, e.g. one added for a single page.
+ *
+ * @param {string} name
+ *        Internal projection name.
+ *
+ * @return {boolean}
+ *         Whether a projection was registered under that name.
+ */
+export const unregisterProjection = function(name) {
+  if (!projections[name]) {
+    return false;
+  }
+
+  delete projections[name];
+  projectionOrder.splice(projectionOrder.indexOf(name), 1);
+  updateAcceptedNames();
+
+  return true;
+};
+
+/**
+ * Get the definition of a registered projection.
+ *
+ * @param {string} name
+ *        Internal projection name.
+ *
+ * @return {Object|undefined}
+ *         The definition, or undefined if nothing is registered under
+ *         that name.
+ */
+export const getProjection = function(name) {
+  return projections[name];
+};
+
+/**
+ * Get every registered projection name, in registration order.
+ *
+ * @return {string[]}
+ *         Projection names, including the reserved `AUTO`.
+ */
+export const getProjectionNames = function() {
+  return projectionOrder.concat(reservedNames);
+};
+
+/**
+ * Get the entries shown in the VR HUD projection menu.
+ *
+ * @return {Object[]}
+ *         `{id, label}` pairs for every labelled projection.
+ */
+export const getProjectionMenuModes = function() {
+  return projectionOrder
+    .filter((name) => projections[name].label)
+    .map((name) => ({id: name, label: projections[name].label}));
+};
+
+/**
+ * Resolve a requested projection, or one of its aliases, to the name it
+ * is registered under. Exact names win over aliases so that a broad alias
+ * such as `/cube/i` does not shadow `360_CUBE` variants, and new members
+ * of a projection family are registered on the way.
+ *
+ * @param {string} projection
+ *        The requested projection.
+ *
+ * @return {string|undefined}
+ *         The internal name, or undefined if nothing matches.
+ */
+export const resolveProjectionName = function(projection) {
+  const lower = projection.toLowerCase();
+  const names = getProjectionNames();
+
+  for (let i = 0; i < names.length; i++) {
+    if (names[i].toLowerCase() === lower) {
+      return names[i];
+    }
+  }
+
+  for (let i = 0; i < families.length; i++) {
+    const match = projection.match(families[i].pattern);
+    const definition = match && families[i].define(match);
+
+    if (definition && registerProjection(projection.toUpperCase(), definition)) {
+      return projection.toUpperCase();
+    }
+  }
+
+  for (let i = 0; i < projectionOrder.length; i++) {
+    const aliases = projections[projectionOrder[i]].aliases;
+
+    for (let j = 0; j < aliases.length; j++) {
+      const alias = aliases[j];
+      const matches = alias instanceof RegExp ?
+        alias.test(projection) :
+        String(alias).toLowerCase() === lower;
+
+      if (matches) {
+        return projectionOrder[i];
+      }
+    }
+  }
+};
@@ -0,0 +1,1116 @@
+/* eslint-disable no-inline-comments */
+import * as THREE from 'three';
+import videojs from 'video.js';
+import {registerProjection, registerProjectionFamily} from './projection-registry';
+
+/**
+ * Built-in projections. Each builder receives the context described in
+ * projection-registry.js and returns the meshes it created; the plugin
+ * takes care of adding them to the scene and removing them again.
+ */
+
+// BoxGeometry has 24 vertices (4 per face, 6 faces)
+// UV attribute has 48 values (2 per vertex)
+// Face order in BoxGeometry: +X, -X, +Y, -Y, +Z, -Z (right, left, top, bottom, front, back)
+const setFaceUVs = (uvArray, faceIndex, corners) => {
+  const baseIdx = faceIndex * 8;
+  // Vertex order for each face in BoxGeometry: 0,1,2,3 -> corners[3],corners[2],corners[0],corners[1]
+
+  uvArray[baseIdx] = corners[3].x; uvArray[baseIdx + 1] = corners[3].y;
+  uvArray[baseIdx + 2] = corners[2].x; uvArray[baseIdx + 3] = corners[2].y;
+  uvArray[baseIdx + 4] = corners[0].x; uvArray[baseIdx + 5] = corners[0].y;
+  uvArray[baseIdx + 6] = corners[1].x; uvArray[baseIdx + 7] = corners[1].y;
+};
+
+// Rewrite every UV pair of a geometry in place, e.g. to pick one eye out
+// of a stereo frame.
+const mapUVs = (geometry, fn) => {
+  const uvAttribute = geometry.getAttribute('uv');
+  const uvArray = uvAttribute.array;
+
+  for (let i = 0; i < uvArray.length; i += 2) {
+    fn(uvArray, i);
+  }
+  uvAttribute.needsUpdate = true;
+};
+
+const equirectVertexShader = `
+  varying vec3 vDir;
+  void main() {
+    vDir = position;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }`;
+
+const equirectFragmentShader = `
+  precision highp float;
+  uniform sampler2D map;
+  uniform vec2 uvScale;   // 0.5 on the split axis for stereo sources
+  uniform vec2 uvOffset;  // picks the eye's half of the texture
+  varying vec3 vDir;
+
+  const float PI = 3.1415926535897932384626433832795;
+
+  void main() {
+    vec3 d = normalize(vDir);
+    // Inverse of SphereGeometry's parametrisation, so the result lines up
+    // with the UV mapped sphere. Computing it per fragment avoids the
+    // pinching at the poles and the seam where u wraps around.
+    float u = fract(atan(d.z, -d.x) / (2.0 * PI));
+    float v = 1.0 - acos(clamp(d.y, -1.0, 1.0)) / PI;
+
+    gl_FragColor = texture2D(map, vec2(u, v) * uvScale + uvOffset);
+    #include <colorspace_fragment>
+  }`;
+
+// ShaderMaterial ignores material.map, but the plugin swaps textures
+// (poster, recycled video elements) through it. Read the uniform from the
+// property so those swaps keep working.
+const bindMapUniform = (material, texture) => {
+  material.map = texture;
+  Object.defineProperty(material.uniforms.map, 'value', {
+    get: () => material.map
+  });
+};
+
+const stereoUvVertexShader = `
+  uniform vec2 uvScale;
+  uniform vec2 uvOffset;
+  varying vec2 vUv;
+  void main() {
+    vUv = uv * uvScale + uvOffset;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }`;
+
+const stereoUvFragmentShader = `
+  uniform sampler2D map;
+  varying vec2 vUv;
+  void main() {
+    gl_FragColor = texture2D(map, vUv);
+    #include <colorspace_fragment>
+  }`;
+
+// Which eye `camera` renders. WebXR renders each view with its own
+// camera, in the order of renderer.xr.getCamera().cameras; VREffect and
+// the flat view are told apart by the eye layer the camera sees.
+const getCameraEye = (renderer, camera) => {
+  if (renderer.xr && renderer.xr.isPresenting) {
+    const index = renderer.xr.getCamera().cameras.indexOf(camera);
+
+    if (index !== -1) {
+      return index === 1 ? 'right' : 'left';
+    }
+  }
+
+  return camera.layers.isEnabled(2) && !camera.layers.isEnabled(1) ? 'right' : 'left';
+};
+
+// singleMeshStereo: rather than a mesh per eye, one mesh is shown on
+// layers 0, 1 and 2 and its uniforms are set to the values in eyes.left
+// or eyes.right right before each eye is drawn. Meshes that use a
+// MeshBasicMaterial get a shader whose uvScale and uvOffset pick the
+// eye's part of the texture, so their geometry should map the full frame.
+const makeStereoScreen = (ctx, mesh, eyes) => {
+  if (!mesh.material.isShaderMaterial) {
+    const material = new THREE.ShaderMaterial({
+      side: mesh.material.side,
+      uniforms: {
+        map: {},
+        uvScale: {value: new THREE.Vector2(1, 1)},
+        uvOffset: {value: new THREE.Vector2(0, 0)}
+      },
+      vertexShader: stereoUvVertexShader,
+      fragmentShader: stereoUvFragmentShader
+    });
+
+    bindMapUniform(material, mesh.material.map);
+    mesh.material.dispose();
+    mesh.material = material;
+  }
+
+  mesh.layers.set(0);
+  mesh.layers.enable(1);
+  mesh.layers.enable(2);
+  mesh.userData.stereoEyes = eyes;
+
+  mesh.onBeforeRender = (renderer, scene, camera) => {
+    // force mono shows the left eye's mesh to both eyes, swapEyes swaps
+    // what the meshes show; follow both so this matches the two-mesh path
+    let eye = ctx.vr.forceMonoEnabled ? 'left' : getCameraEye(renderer, camera);
+
+    if (ctx.vr.getSwapEyes()) {
+      eye = eye === 'left' ? 'right' : 'left';
+    }
+
+    Object.keys(eyes[eye]).forEach((name) => {
+      mesh.material.uniforms[name].value = eyes[eye][name];
+    });
+    mesh.material.uniformsNeedUpdate = true;
+  };
+
+  return {screen: mesh};
+};
+
+// uvScale and uvOffset of each eye of an LR or TB frame, left eye on the
+// left or on top.
+const getStereoEyeUVs = (isTB) => ({
+  left: {
+    uvScale: isTB ? new THREE.Vector2(1, 0.5) : new THREE.Vector2(0.5, 1),
+    uvOffset: isTB ? new THREE.Vector2(0, 0.5) : new THREE.Vector2(0, 0)
+  },
+  right: {
+    uvScale: isTB ? new THREE.Vector2(1, 0.5) : new THREE.Vector2(0.5, 1),
+    uvOffset: isTB ? new THREE.Vector2(0, 0) : new THREE.Vector2(0.5, 0)
+  }
+});
+
+// Equirect sphere showing the part of the texture given by uvScale and
+// uvOffset. With the equirectShader option the texture coordinate is
+// computed per fragment instead of interpolated from the sphere's UVs.
+const makeEquirectMesh = (ctx, uvScale, uvOffset) => {
+  let geometry;
+  let material;
+
+  if (ctx.options.equirectShader) {
+    // the shader works out the direction itself, so a coarse sphere will do
+    geometry = new THREE.SphereGeometry(256, 32, 16);
+    material = new THREE.ShaderMaterial({
+      side: THREE.BackSide,
+      uniforms: {
+        map: {},
+        uvScale: {value: uvScale},
+        uvOffset: {value: uvOffset}
+      },
+      vertexShader: equirectVertexShader,
+      fragmentShader: equirectFragmentShader
+    });
+    bindMapUniform(material, ctx.videoTexture);
+  } else {
+    geometry = new THREE.SphereGeometry(256, ctx.options.sphereDetail, ctx.options.sphereDetail);
+    mapUVs(geometry, (uvArray, i) => {
+      uvArray[i] = uvArray[i] * uvScale.x + uvOffset.x;
+      uvArray[i + 1] = uvArray[i + 1] * uvScale.y + uvOffset.y;
+    });
+    material = new THREE.MeshBasicMaterial({ map: ctx.videoTexture, side: THREE.BackSide });
+  }
+
+  const mesh = new THREE.Mesh(geometry, material);
+
+  mesh.scale.x = -1;
+  mesh.quaternion.setFromAxisAngle({x: 0, y: 1, z: 0}, -Math.PI / 2);
+
+  return mesh;
+};
+
+const buildEquirect = (ctx) => ({
+  screen: makeEquirectMesh(ctx, new THREE.Vector2(1, 1), new THREE.Vector2(0, 0))
+});
+
+// Cropped equirectangular panorama (GPano or sv3d bounds): only the covered
+// segment of the sphere is built, so the image keeps its real angular size.
+const buildEquirectPartial = (ctx) => {
+  const coverage = ctx.vr.getPanoramaCoverage_();
+  const geometry = new THREE.SphereGeometry(
+    256,
+    ctx.options.sphereDetail,
+    ctx.options.sphereDetail,
+    coverage.left * Math.PI * 2, // phiStart
+    (1 - coverage.left - coverage.right) * Math.PI * 2, // phiLength
+    coverage.top * Math.PI, // thetaStart
+    (1 - coverage.top - coverage.bottom) * Math.PI // thetaLength
+  );
+  const material = new THREE.MeshBasicMaterial({ map: ctx.videoTexture, side: THREE.BackSide });
+  const screen = new THREE.Mesh(geometry, material);
+
+  // same orientation as the full sphere, so the crop lands where it was shot
+  screen.scale.x = -1;
+  screen.quaternion.setFromAxisAngle({x: 0, y: 1, z: 0}, -Math.PI / 2);
+
+  return {screen};
+};
+
+const buildEquirectStereo = (ctx) => {
+  const isLR = ctx.projection === '360_LR';
+
+  if (ctx.options.singleMeshStereo) {
+    const mesh = makeEquirectMesh(ctx, new THREE.Vector2(1, 1), new THREE.Vector2(0, 0));
+
+    return makeStereoScreen(ctx, mesh, getStereoEyeUVs(!isLR));
+  }
+
+  const makeEye = (eye) => {
+    const mesh = isLR ?
+      makeEquirectMesh(ctx, new THREE.Vector2(0.5, 1), new THREE.Vector2(eye === 'right' ? 0.5 : 0, 0)) :
+      makeEquirectMesh(ctx, new THREE.Vector2(1, 0.5), new THREE.Vector2(0, eye === 'left' ? 0.5 : 0));
+
+    // display in one eye only
+    mesh.layers.set(eye === 'left' ? 1 : 2);
+    return mesh;
+  };
+
+  return {left: makeEye('left'), right: makeEye('right')};
+};
+
+// Cubemap packings for the cubeLayout option. `order` names the face in
+// each cell, row by row from the top left, as in ffmpeg's v360 filter:
+// r(ight), l(eft), u(p), d(own), f(ront), b(ack). `rotation` is how far
+// each of those cells is turned clockwise, in degrees.
+const CUBE_LAYOUTS = {
+  '3x2': {cols: 3, rows: 2, order: 'rludfb'},
+  '2x3': {cols: 2, rows: 3, order: 'rludfb'},
+  '6x1': {cols: 6, rows: 1, order: 'rludfb'},
+  '1x6': {cols: 1, rows: 6, order: 'rludfb'},
+  // Facebook Transform360
+  'facebook': {cols: 3, rows: 2, order: 'lfrdbu', rotation: [0, 0, 0, 270, 90, 270]}
+};
+
+// BoxGeometry face index for each face letter. The cube is turned around
+// by half a turn below, so the -X box face ends up on the viewer's right.
+const CUBE_FACES = {r: 1, l: 0, u: 2, d: 3, f: 4, b: 5};
+
+const getCubeLayout = (ctx) => {
+  const layout = ctx.options.cubeLayout || '3x2';
+
+  if (typeof layout === 'string') {
+    if (CUBE_LAYOUTS[layout]) {
+      return CUBE_LAYOUTS[layout];
+    }
+    videojs.log.error(`videojs-vr: unknown cubeLayout ${layout}, using 3x2`);
+    return CUBE_LAYOUTS['3x2'];
+  }
+
+  const order = layout.order || 'rludfb';
+  const valid = order.length === 6 && order.split('').every((face) => CUBE_FACES[face] !== undefined);
+
+  if (!valid || layout.cols * layout.rows !== 6) {
+    videojs.log.error('videojs-vr: cubeLayout needs 6 cells and an order like "rludfb", using 3x2');
+    return CUBE_LAYOUTS['3x2'];
+  }
+
+  return {cols: layout.cols, rows: layout.rows, order, rotation: layout.rotation};
+};
+
+// Cube whose faces sample the cells of `layout`, inside the part of the
+// texture given by rect (uv, origin bottom left).
+const buildCubeMesh = (ctx, layout, rect) => {
+  const geometry = new THREE.BoxGeometry(256, 256, 256);
+  const material = new THREE.MeshBasicMaterial({ map: ctx.videoTexture, side: THREE.BackSide });
+  const uvAttribute = geometry.getAttribute('uv');
+  const rotation = layout.rotation || [];
+
+  layout.order.split('').forEach((face, cell) => {
+    const col = cell % layout.cols;
+    const row = Math.floor(cell / layout.cols);
+    const x0 = rect.x + rect.w * col / layout.cols;
+    const x1 = rect.x + rect.w * (col + 1) / layout.cols;
+    const y0 = rect.y + rect.h * (1 - (row + 1) / layout.rows);
+    const y1 = rect.y + rect.h * (1 - row / layout.rows);
+    // bottom left, bottom right, top right, top left of the cell
+    const corners = [new THREE.Vector2(x0, y0), new THREE.Vector2(x1, y0), new THREE.Vector2(x1, y1), new THREE.Vector2(x0, y1)];
+    // a cell turned clockwise shows the face's top left corner at its top
+    // right, and so on
+    const turns = Math.round((rotation[cell] || 0) / 90) % 4;
+    const rotated = corners.map((corner, i) => corners[(i + 4 - turns) % 4]);
+
+    setFaceUVs(uvAttribute.array, CUBE_FACES[face], rotated);
+  });
+
+  uvAttribute.needsUpdate = true;
+
+  const mesh = new THREE.Mesh(geometry, material);
+
+  mesh.rotation.y = -Math.PI;
+
+  return mesh;
+};
+
+const buildCube = (ctx) => {
+  const layout = getCubeLayout(ctx);
+
+  if (ctx.projection === '360_CUBE') {
+    return {screen: buildCubeMesh(ctx, layout, {x: 0, y: 0, w: 1, h: 1})};
+  }
+
+  // 360_CUBE_LR / 360_CUBE_TB: one full layout per eye, left eye on the
+  // left or on top
+  const isLR = ctx.projection === '360_CUBE_LR';
+
+  if (ctx.options.singleMeshStereo) {
+    return makeStereoScreen(ctx, buildCubeMesh(ctx, layout, {x: 0, y: 0, w: 1, h: 1}), getStereoEyeUVs(!isLR));
+  }
+
+  const left = buildCubeMesh(ctx, layout, isLR ? {x: 0, y: 0, w: 0.5, h: 1} : {x: 0, y: 0.5, w: 1, h: 0.5});
+  const right = buildCubeMesh(ctx, layout, isLR ? {x: 0.5, y: 0, w: 0.5, h: 1} : {x: 0, y: 0, w: 1, h: 0.5});
+
+  left.layers.set(1); // Left eye only
+  right.layers.set(2); // Right eye only
+
+  return {left, right};
+};
+
+const buildHemisphere = (ctx) => new THREE.SphereGeometry(
+  256,
+  ctx.options.sphereDetail,
+  ctx.options.sphereDetail,
+  Math.PI, // phiStart
+  Math.PI // phiLength
+).scale(-1, 1, 1);
+
+const build180Mono = (ctx) => {
+  // 180 MONO: Single mesh showing full video, visible to both eyes
+  const screen = new THREE.Mesh(buildHemisphere(ctx), new THREE.MeshBasicMaterial({
+    map: ctx.videoTexture
+  }));
+
+  // Visible to all layers (mono)
+  screen.layers.enable(0);
+  screen.layers.enable(1);
+  screen.layers.enable(2);
+
+  return {screen};
+};
+
+const build180Stereo = (ctx) => {
+  const isTB = ctx.projection === '180_TB';
+
+  if (ctx.options.singleMeshStereo) {
+    const mesh = new THREE.Mesh(buildHemisphere(ctx), new THREE.MeshBasicMaterial({
+      map: ctx.videoTexture
+    }));
+
+    return makeStereoScreen(ctx, mesh, getStereoEyeUVs(isTB));
+  }
+
+  const makeEye = (eye) => {
+    const geometry = buildHemisphere(ctx);
+
+    // Left eye samples the left (or top) half of the video, right eye the
+    // right (or bottom) half
+    mapUVs(geometry, (uvArray, i) => {
+      if (isTB) {
+        uvArray[i + 1] = uvArray[i + 1] * 0.5 + (eye === 'left' ? 0.5 : 0); // y coordinate
+      } else {
+        uvArray[i] = uvArray[i] * 0.5 + (eye === 'right' ? 0.5 : 0); // x coordinate
+      }
+    });
+
+    const mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+      map: ctx.videoTexture
+    }));
+
+    mesh.layers.set(eye === 'left' ? 1 : 2);
+    return mesh;
+  };
+
+  return {left: makeEye('left'), right: makeEye('right')};
+};
+
+// CYLINDER_<vfov>, with _LR or _TB for stereo
+const CYLINDER_PATTERN = /^CYLINDER_(\d+)(_LR|_TB)?$/i;
+
+// Cylindrical panorama: the full circle horizontally, vfov degrees
+// vertically. The open cylinder's edges sit vfov / 2 above and below the
+// horizon so the rows keep their real angular size.
+const buildCylinder = (ctx) => {
+  const m = ctx.projection.match(CYLINDER_PATTERN);
+  const vfov = THREE.MathUtils.degToRad(parseInt(m[1], 10));
+  const isTB = m[2] === '_TB';
+
+  const makeMesh = (eye) => {
+    const geometry = new THREE.CylinderGeometry(
+      256, // radiusTop
+      256, // radiusBottom
+      2 * 256 * Math.tan(vfov / 2), // height
+      ctx.options.sphereDetail, // radialSegments
+      1, // heightSegments
+      true // openEnded
+    );
+
+    if (eye) {
+      mapUVs(geometry, (uvArray, i) => {
+        if (isTB) {
+          uvArray[i + 1] = uvArray[i + 1] * 0.5 + (eye === 'left' ? 0.5 : 0); // y coordinate
+        } else {
+          uvArray[i] = uvArray[i] * 0.5 + (eye === 'right' ? 0.5 : 0); // x coordinate
+        }
+      });
+    }
+
+    const mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+      map: ctx.videoTexture,
+      side: THREE.BackSide
+    }));
+
+    // u = 0.5 already faces -z; mirror so the image reads left to right
+    // from the inside
+    mesh.scale.x = -1;
+    return mesh;
+  };
+
+  if (!m[2]) {
+    return {screen: makeMesh()};
+  }
+
+  if (ctx.options.singleMeshStereo) {
+    return makeStereoScreen(ctx, makeMesh(), getStereoEyeUVs(isTB));
+  }
+
+  const left = makeMesh('left');
+  const right = makeMesh('right');
+
+  left.layers.set(1); // Left eye only
+  right.layers.set(2); // Right eye only
+
+  return {left, right};
+};
+
+const buildEAC = (ctx) => {
+  const video = ctx.videoTexture.image;
+
+  // scaleMatrix maps the face size from the 3x2 layout onto the video,
+  // vidMatrix the video size (in pixels) along the same axes
+  const makeScreen = (mapMatrix, scaleMatrix, vidMatrix = scaleMatrix) => {
+    // "Continuity correction?": because of discontinuous faces and aliasing,
+    // we truncate the 2-pixel-wide strips on all discontinuous edges,
+    const contCorrect = 2;
+
+    const geometry = new THREE.BoxGeometry(256, 256, 256);
+    const material = new THREE.ShaderMaterial({
+      side: THREE.BackSide,
+      uniforms: {
+        mapped: {value: ctx.videoTexture},
+        mapMatrix: {value: mapMatrix},
+        contCorrect: {value: contCorrect},
+        faceWH: {value: new THREE.Vector2(1 / 3, 1 / 2).applyMatrix3(scaleMatrix)},
+        vidWH: {value: new THREE.Vector2(video.videoWidth, video.videoHeight).applyMatrix3(vidMatrix)}
+      },
+      vertexShader: `
+varying vec2 vUv;
+uniform mat3 mapMatrix;
+
+void main() {
+  vUv = (mapMatrix * vec3(uv, 1.)).xy;
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.);
+}`,
+      fragmentShader: `
+varying vec2 vUv;
+uniform sampler2D mapped;
+uniform vec2 faceWH;
+uniform vec2 vidWH;
+uniform float contCorrect;
+
+const float PI = 3.1415926535897932384626433832795;
+
+void main() {
+  vec2 corner = vUv - mod(vUv, faceWH) + vec2(0, contCorrect / vidWH.y);
+
+  vec2 faceWHadj = faceWH - vec2(0, contCorrect * 2. / vidWH.y);
+
+  vec2 p = (vUv - corner) / faceWHadj - .5;
+  vec2 q = 2. / PI * atan(2. * p) + .5;
+
+  vec2 eUv = corner + q * faceWHadj;
+
+  gl_FragColor = texture2D(mapped, eUv);
+}`
+    });
+
+    const right = [new THREE.Vector2(0, 1 / 2), new THREE.Vector2(1 / 3, 1 / 2), new THREE.Vector2(1 / 3, 1), new THREE.Vector2(0, 1)];
+    const front = [new THREE.Vector2(1 / 3, 1 / 2), new THREE.Vector2(2 / 3, 1 / 2), new THREE.Vector2(2 / 3, 1), new THREE.Vector2(1 / 3, 1)];
+    const left = [new THREE.Vector2(2 / 3, 1 / 2), new THREE.Vector2(1, 1 / 2), new THREE.Vector2(1, 1), new THREE.Vector2(2 / 3, 1)];
+    const bottom = [new THREE.Vector2(1 / 3, 0), new THREE.Vector2(1 / 3, 1 / 2), new THREE.Vector2(0, 1 / 2), new THREE.Vector2(0, 0)];
+    const back = [new THREE.Vector2(1 / 3, 1 / 2), new THREE.Vector2(1 / 3, 0), new THREE.Vector2(2 / 3, 0), new THREE.Vector2(2 / 3, 1 / 2)];
+    const top = [new THREE.Vector2(1, 0), new THREE.Vector2(1, 1 / 2), new THREE.Vector2(2 / 3, 1 / 2), new THREE.Vector2(2 / 3, 0)];
+
+    for (const face of [right, front, left, bottom, back, top]) {
+      const height = video.videoHeight;
+      let lowY = 1;
+      let highY = 0;
+
+      for (const vector of face) {
+        if (vector.y < lowY) {
+          lowY = vector.y;
+        }
+        if (vector.y > highY) {
+          highY = vector.y;
+        }
+      }
+
+      for (const vector of face) {
+        if (Math.abs(vector.y - lowY) < Number.EPSILON) {
+          vector.y += contCorrect / height;
+        }
+        if (Math.abs(vector.y - highY) < Number.EPSILON) {
+          vector.y -= contCorrect / height;
+        }
+
+        vector.x = vector.x / height * (height - contCorrect * 2) + contCorrect / height;
+      }
+    }
+
+    const uvAttribute = geometry.getAttribute('uv');
+    const uvArray = uvAttribute.array;
+
+    // Set UVs for each face - EAC has different face mapping
+    setFaceUVs(uvArray, 0, right); // +X face
+    setFaceUVs(uvArray, 1, left); // -X face
+    setFaceUVs(uvArray, 2, top); // +Y face
+    setFaceUVs(uvArray, 3, bottom); // -Y face
+    setFaceUVs(uvArray, 4, front); // +Z face
+    setFaceUVs(uvArray, 5, back); // -Z face
+
+    uvAttribute.needsUpdate = true;
+
+    const mesh = new THREE.Mesh(geometry, material);
+
+    mesh.rotation.y = -Math.PI;
+    return mesh;
+  };
+
+  if (ctx.projection === 'EAC') {
+    return {screen: makeScreen(new THREE.Matrix3(), new THREE.Matrix3())};
+  }
+
+  if (ctx.projection === 'EAC_TB') {
+    // EAC_TB: one unrotated 3x2 layout per eye, left eye on top
+    const scaleMatrix = new THREE.Matrix3().set(
+      1, 0, 0,
+      0, 0.5, 0,
+      0, 0, 1
+    );
+    const topMatrix = new THREE.Matrix3().set(
+      1, 0, 0,
+      0, 0.5, 0.5,
+      0, 0, 1
+    );
+    const bottomMatrix = new THREE.Matrix3().set(
+      1, 0, 0,
+      0, 0.5, 0,
+      0, 0, 1
+    );
+
+    if (ctx.options.singleMeshStereo) {
+      return makeStereoScreen(ctx, makeScreen(topMatrix, scaleMatrix, new THREE.Matrix3()), {
+        left: {mapMatrix: topMatrix},
+        right: {mapMatrix: bottomMatrix}
+      });
+    }
+
+    const top = makeScreen(topMatrix, scaleMatrix, new THREE.Matrix3());
+
+    top.layers.set(1); // Left eye only
+
+    const bottom = makeScreen(bottomMatrix, scaleMatrix, new THREE.Matrix3());
+
+    bottom.layers.set(2); // Right eye only
+
+    return {left: top, right: bottom};
+  }
+
+  // EAC_LR: Stereo equi-angular cubemap
+  const scaleMatrix = new THREE.Matrix3().set(
+    0, 0.5, 0,
+    1, 0, 0,
+    0, 0, 1
+  );
+  const leftMatrix = new THREE.Matrix3().set(
+    0, -0.5, 0.5,
+    1, 0, 0,
+    0, 0, 1
+  );
+  const rightMatrix = new THREE.Matrix3().set(
+    0, -0.5, 1,
+    1, 0, 0,
+    0, 0, 1
+  );
+
+  if (ctx.options.singleMeshStereo) {
+    return makeStereoScreen(ctx, makeScreen(leftMatrix, scaleMatrix), {
+      left: {mapMatrix: leftMatrix},
+      right: {mapMatrix: rightMatrix}
+    });
+  }
+
+  // Left eye mesh
+  const left = makeScreen(leftMatrix, scaleMatrix);
+
+  left.layers.set(1); // Left eye only
+
+  // Right eye mesh
+  const right = makeScreen(rightMatrix, scaleMatrix);
+
+  right.layers.set(2); // Right eye only
+
+  return {left, right};
+};
+
+const buildSideBySide = (ctx) => {
+  // SBS_MONO: Flat screen projection for side-by-side video
+  // In WebXR: Left half in left eye, right half in right eye (stereo)
+  // In browser: Left half only (mono)
+  const distance = 3;
+  const camera = ctx.camera;
+
+  // Content aspect ratio: for SBS, each eye sees half the video width.
+  const halfWidth = (ctx.video.videoWidth || 3840) / 2;
+  const fullHeight = ctx.video.videoHeight || 1920;
+  const contentAspect = halfWidth / fullHeight;
+
+  // camera.aspect MUST equal playerWidth/playerHeight (set in handleResize_).
+  const playerAspect = camera.aspect;
+
+  // Choose plane dimensions with the content aspect ratio.
+  // Use an arbitrary reference height; only the ratio matters for FOV calc.
+  const planeHeight = 2;
+  const planeWidth = planeHeight * contentAspect;
+
+  // Aspect-FILL: make the plane cover the entire view with no black
+  // borders. Content extends beyond the view in one dimension (cropped).
+  // If content is wider than player: match height → content overflows
+  //   horizontally (but UV only shows left half so overflow is invisible).
+  // If content is taller: match width → content overflows vertically.
+  let vertFovDeg;
+
+  if (contentAspect > playerAspect) {
+    // Content wider — match height so no vertical bars.
+    vertFovDeg = 2 * Math.atan((planeHeight / 2) / distance) * (180 / Math.PI);
+  } else {
+    // Content taller — match width so no horizontal bars.
+    const horzFovRad = 2 * Math.atan((planeWidth / 2) / distance);
+
+    vertFovDeg = 2 * Math.atan(Math.tan(horzFovRad / 2) / playerAspect) * (180 / Math.PI);
+  }
+
+  camera.fov = vertFovDeg;
+  camera.updateProjectionMatrix();
+
+  // Reset camera rotation to look straight ahead at centered plane
+  camera.rotation.set(0, 0, 0);
+  camera.lookAt(0, 0, -distance);
+
+  ctx.vr.sbsMonoActive_ = true;
+
+  const makePlane = (eye) => {
+    const geometry = new THREE.PlaneGeometry(planeWidth, planeHeight);
+
+    // without an eye the plane maps the whole frame (singleMeshStereo)
+    if (eye) {
+      mapUVs(geometry, (uvArray, i) => {
+        uvArray[i] = uvArray[i] * 0.5 + (eye === 'right' ? 0.5 : 0); // U: one half of the video
+      });
+    }
+
+    const mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+      map: ctx.videoTexture,
+      side: THREE.FrontSide
+    }));
+
+    mesh.position.set(0, 0, -distance);
+    return mesh;
+  };
+
+  // Check if we're in WebXR mode
+  const isInWebXR = ctx.renderer && ctx.renderer.xr && ctx.renderer.xr.isPresenting;
+
+  if (isInWebXR && ctx.options.singleMeshStereo) {
+    return makeStereoScreen(ctx, makePlane(), getStereoEyeUVs(false));
+  }
+
+  if (isInWebXR) {
+    // WebXR mode: Create two separate meshes for left and right eyes
+    const left = makePlane('left');
+    const right = makePlane('right');
+
+    left.layers.set(1); // Only visible to left eye
+    right.layers.set(2); // Only visible to right eye
+
+    return {left, right};
+  }
+
+  // Browser mode: Show the left eye's half only (mono)
+  const screen = makePlane(ctx.vr.getSwapEyes() ? 'right' : 'left');
+
+  screen.layers.enable(0);
+  screen.layers.enable(1);
+  screen.layers.enable(2);
+
+  return {screen};
+};
+
+// Lens models understood by the fisheye shader, in the order of its
+// `model` values.
+const FISHEYE_LENS_MODELS = ['equidistant', 'equisolid', 'orthographic', 'stereographic', 'polynomial'];
+
+// Calibration used for anything fisheyeOptions leaves out: a centred
+// equidistant disc that just fills its part of the frame.
+const fisheyeDefaults = {
+  centerX: 0.5,
+  centerY: 0.5,
+  radius: 0.5,
+  gain: 1,
+  lens: 'equidistant',
+  k: [0, 0, 0, 0],
+  yaw: 0,
+  pitch: 0,
+  roll: 0
+};
+
+const fisheyeVertexShader = `
+  varying vec3 vDir;
+  void main() {
+    // Sphere is centered at origin; vertex 'position' IS the
+    // direction from origin. Pass it through to the fragment.
+    vDir = position;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }`;
+
+const fisheyeFragmentShader = `
+  precision highp float;
+
+  struct Lens {
+    vec2 center;    // disc centre in texture uv
+    vec2 radius;    // disc radius in texture uv, per axis
+    float halfFov;  // angle from the optical axis at the disc edge
+    mat3 rotation;  // world direction -> lens direction
+    int model;      // index into FISHEYE_LENS_MODELS
+    vec4 k;         // polynomial coefficients k1..k4
+    float gain;     // exposure correction
+  };
+
+  uniform sampler2D tex;
+  uniform Lens lenses[2];       // [front, back] for FISHEYE_360, else [lens, unused]
+  uniform int isDualHemisphere; // 1 for FISHEYE_360 (front+back discs)
+  uniform float blendWidth;     // FISHEYE_360 overlap band in radians, 0 for a hard seam
+  varying vec3 vDir;
+
+  // Distance from the disc centre for a ray theta radians off the
+  // optical axis, in units of the focal length.
+  float lensRadius(int model, vec4 k, float theta) {
+    if (model == 1) {
+      return 2.0 * sin(theta * 0.5);
+    }
+    if (model == 2) {
+      return sin(theta);
+    }
+    if (model == 3) {
+      return 2.0 * tan(theta * 0.5);
+    }
+    if (model == 4) {
+      float t2 = theta * theta;
+
+      return theta * (1.0 + t2 * (k.x + t2 * (k.y + t2 * (k.z + t2 * k.w))));
+    }
+    return theta;
+  }
+
+  // Texture coordinate of direction d in one lens. theta is set to the
+  // angle between d and the lens' optical axis.
+  vec2 lensUv(Lens lens, vec3 d, out float theta) {
+    // The lens looks down -Z, matching the camera's default look
+    // direction, once its mounting rotation is undone.
+    vec3 l = lens.rotation * d;
+    float phi = atan(l.y, l.x);
+
+    theta = acos(clamp(-l.z, -1.0, 1.0));
+    float r = lensRadius(lens.model, lens.k, theta) /
+      lensRadius(lens.model, lens.k, lens.halfFov);
+
+    return lens.center + lens.radius * r * vec2(cos(phi), sin(phi));
+  }
+
+  vec4 sampleLens(Lens lens, vec3 d) {
+    float theta;
+    vec4 color = texture2D(tex, lensUv(lens, d, theta));
+
+    return vec4(color.rgb * lens.gain, color.a);
+  }
+
+  void main() {
+    vec3 d = normalize(vDir);
+
+    if (isDualHemisphere == 1) {
+      // 360 dual fisheye: front hemisphere from the first disc, back
+      // hemisphere from the second. The back lens' rotation already
+      // turns it around, so both are sampled the same way. Inside the
+      // overlap band around the seam both discs are sampled and
+      // feathered into each other.
+      float seamAngle = asin(clamp(-d.z, -1.0, 1.0));
+      float front = blendWidth > 0.0 ?
+        smoothstep(-0.5 * blendWidth, 0.5 * blendWidth, seamAngle) :
+        step(0.0, seamAngle);
+
+      if (front >= 1.0) {
+        gl_FragColor = sampleLens(lenses[0], d);
+      } else if (front <= 0.0) {
+        gl_FragColor = sampleLens(lenses[1], d);
+      } else {
+        gl_FragColor = mix(sampleLens(lenses[1], d), sampleLens(lenses[0], d), front);
+      }
+      return;
+    }
+
+    float theta;
+    vec2 uv = lensUv(lenses[0], d, theta);
+
+    // Drop fragments outside the fisheye disc — they're black in
+    // the source. discard keeps the canvas alpha clean for the
+    // letterbox area beyond the lens.
+    if (theta > lenses[0].halfFov) {
+      discard;
+    }
+
+    vec4 color = texture2D(tex, uv);
+
+    gl_FragColor = vec4(color.rgb * lenses[0].gain, color.a);
+  }`;
+
+// Calibration for the current source: fisheyeOptions, overridden by the
+// source's mediainfo.fisheyeOptions.
+const getFisheyeOptions = (ctx) => videojs.mergeOptions(
+  ctx.options.fisheyeOptions,
+  ctx.player.mediainfo && ctx.player.mediainfo.fisheyeOptions
+);
+
+// Shader uniforms for one disc. rect is the part of the texture (in uv,
+// origin bottom left) that the disc's image occupies; index picks the
+// per-lens overrides in `lenses`.
+const makeFisheyeLens = (ctx, settings, index, rect, fov, isBack) => {
+  const lens = Object.assign({}, fisheyeDefaults, {fov}, settings, (settings.lenses || [])[index]);
+  const video = ctx.video;
+  let model = FISHEYE_LENS_MODELS.indexOf(lens.lens);
+
+  if (model === -1) {
+    videojs.log.error(`videojs-vr: unknown fisheye lens model ${lens.lens}, using equidistant`);
+    model = 0;
+  }
+
+  // sin(theta) turns back past 90 degrees, so an orthographic lens can't
+  // image more than a hemisphere
+  if (FISHEYE_LENS_MODELS[model] === 'orthographic' && lens.fov > 180) {
+    videojs.log.error(`videojs-vr: an orthographic fisheye covers at most 180 degrees, not ${lens.fov}`);
+    lens.fov = 180;
+  }
+
+  // A calibrated radius is relative to the height of the lens image, so
+  // scale the x radius by the image aspect to keep the disc round. Without
+  // calibration the disc just fills its part of the frame.
+  const calibrated = ['centerX', 'centerY', 'radius'].some((key) => lens[key] !== fisheyeDefaults[key]);
+  const aspect = calibrated && video && video.videoWidth && video.videoHeight ?
+    (rect.w * video.videoWidth) / (rect.h * video.videoHeight) :
+    1;
+  const k = lens.k || [];
+  const rotation = new THREE.Matrix4().makeRotationFromEuler(new THREE.Euler(
+    THREE.MathUtils.degToRad(lens.pitch),
+    THREE.MathUtils.degToRad(lens.yaw),
+    THREE.MathUtils.degToRad(lens.roll),
+    'YXZ'
+  )).invert();
+
+  if (isBack) {
+    // the back lens of a dual fisheye faces +Z
+    rotation.multiply(new THREE.Matrix4().makeRotationY(Math.PI));
+  }
+
+  return {
+    center: new THREE.Vector2(
+      rect.x + lens.centerX * rect.w,
+      rect.y + (1 - lens.centerY) * rect.h
+    ),
+    radius: new THREE.Vector2(lens.radius * rect.w / aspect, lens.radius * rect.h),
+    halfFov: THREE.MathUtils.degToRad(lens.fov) / 2,
+    rotation: new THREE.Matrix3().setFromMatrix4(rotation),
+    model,
+    k: new THREE.Vector4(k[0] || 0, k[1] || 0, k[2] || 0, k[3] || 0),
+    gain: lens.gain
+  };
+};
+
+// Width of the band around the FISHEYE_360 seam in which both discs are
+// blended. It can't be wider than the part the lenses actually share, so
+// lenses of 180 degrees or less always get a hard seam.
+const getFisheyeBlendWidth = (settings, lenses) => {
+  const shared = 2 * (Math.min(lenses[0].halfFov, lenses[1].halfFov) - Math.PI / 2);
+
+  return Math.max(0, Math.min(THREE.MathUtils.degToRad(settings.overlap || 0), shared));
+};
+
+const buildFisheye = (ctx) => {
+  // Fisheye projection. The camera sits at the sphere's origin; the
+  // fragment shader converts each fragment's view-direction into
+  // fisheye polar coordinates and samples the texture from a circular
+  // disc instead of an equirectangular grid. FISHEYE_360 is the
+  // dual-hemisphere case (Ricoh Theta and friends): front hemisphere on
+  // the left half of the texture, back on the right.
+  const m = ctx.projection.match(/^FISHEYE_(180|200|220|360)(_LR|_TB)?$/);
+  const fovDeg = parseInt(m[1], 10);
+  const isLR = m[2] === '_LR';
+  const isTB = m[2] === '_TB';
+  const isDualHemisphere = fovDeg === 360;
+  const settings = getFisheyeOptions(ctx);
+
+  // Lenses are numbered in the order their discs appear in the frame,
+  // so that `lenses` in fisheyeOptions can address each one.
+  const makeLenses = (eyeIndex) => {
+    let eye = {x: 0, y: 0, w: 1, h: 1};
+
+    if (isLR) {
+      eye = {x: eyeIndex * 0.5, y: 0, w: 0.5, h: 1};
+    } else if (isTB) {
+      // uv origin is bottom left, so the left eye's top half starts at 0.5
+      eye = {x: 0, y: 0.5 - eyeIndex * 0.5, w: 1, h: 0.5};
+    }
+
+    if (!isDualHemisphere) {
+      const lens = makeFisheyeLens(ctx, settings, eyeIndex, eye, fovDeg, false);
+
+      // the second slot is only read for dual hemispheres
+      return [lens, lens];
+    }
+
+    const half = eye.w / 2;
+
+    return [
+      makeFisheyeLens(ctx, settings, eyeIndex * 2, {x: eye.x, y: eye.y, w: half, h: eye.h}, 180, false),
+      makeFisheyeLens(ctx, settings, eyeIndex * 2 + 1, {x: eye.x + half, y: eye.y, w: half, h: eye.h}, 180, true)
+    ];
+  };
+
+  const makeFisheyeMesh = (eye, lenses = makeLenses(eye === 'right' ? 1 : 0)) => {
+    const material = new THREE.ShaderMaterial({
+      side: THREE.BackSide,
+      uniforms: {
+        tex: { value: ctx.videoTexture },
+        lenses: { value: lenses },
+        isDualHemisphere: { value: isDualHemisphere ? 1 : 0 },
+        blendWidth: { value: isDualHemisphere ? getFisheyeBlendWidth(settings, lenses) : 0 }
+      },
+      vertexShader: fisheyeVertexShader,
+      fragmentShader: fisheyeFragmentShader
+    });
+    const geometry = new THREE.SphereGeometry(256, ctx.options.sphereDetail, ctx.options.sphereDetail);
+    const mesh = new THREE.Mesh(geometry, material);
+
+    // Match the equirectangular sphere's mirror so the fragment
+    // direction math points the way we expect from inside.
+    mesh.scale.x = -1;
+    return mesh;
+  };
+
+  if ((isLR || isTB) && ctx.options.singleMeshStereo) {
+    const eyes = {left: makeLenses(0), right: makeLenses(1)};
+    const eyeUniforms = (lenses) => ({
+      lenses,
+      blendWidth: isDualHemisphere ? getFisheyeBlendWidth(settings, lenses) : 0
+    });
+
+    return makeStereoScreen(ctx, makeFisheyeMesh('left', eyes.left), {
+      left: eyeUniforms(eyes.left),
+      right: eyeUniforms(eyes.right)
+    });
+  }
+
+  if (isLR || isTB) {
+    // Per-eye meshes. The default camera renders layer 0; WebXR
+    // routes left-eye rendering through layer 1 and right-eye
+    // through layer 2. We add the LEFT mesh to BOTH 0 and 1 so
+    // a non-XR (flat browser) viewer sees the left eye rather
+    // than a black scene; the right mesh stays on layer 2 only
+    // so it never shows up twice in 2D mode.
+    const left = makeFisheyeMesh('left');
+    const right = makeFisheyeMesh('right');
+
+    left.layers.enable(0);
+    left.layers.enable(1);
+    right.layers.set(2);
+
+    return {left, right};
+  }
+
+  const screen = makeFisheyeMesh('left');
+
+  // Show on every layer so non-XR + both XR eyes pick it up.
+  screen.layers.enable(0);
+  screen.layers.enable(1);
+  screen.layers.enable(2);
+
+  return {screen};
+};
+
+registerProjection('NONE', {
+  build: () => ({}),
+  fov: 0
+});
+registerProjection('180', {build: build180Stereo, stereo: 'LR', fov: 180, label: '180°'});
+registerProjection('180_LR', {build: build180Stereo, stereo: 'LR', fov: 180, label: '180° LR'});
+registerProjection('180_TB', {build: build180Stereo, stereo: 'TB', fov: 180, label: '180° TB'});
+registerProjection('180_MONO', {build: build180Mono, fov: 180, label: '180° Mono'});
+registerProjection('360', {
+  build: buildEquirect,
+  aliases: [/sphere/i, /equirectangular/i],
+  label: '360°'
+});
+registerProjection('EQUIRECT_PARTIAL', {build: buildEquirectPartial, aliases: [/partial/i]});
+registerProjection('360_LR', {build: buildEquirectStereo, stereo: 'LR', label: '360° LR'});
+registerProjection('360_TB', {build: buildEquirectStereo, stereo: 'TB', label: '360° TB'});
+registerProjection('360_CUBE', {build: buildCube, aliases: [/cube/i]});
+registerProjection('360_CUBE_LR', {build: buildCube, stereo: 'LR'});
+registerProjection('360_CUBE_TB', {build: buildCube, stereo: 'TB'});
+registerProjection('EAC', {build: buildEAC, label: 'EAC'});
+registerProjection('EAC_LR', {build: buildEAC, stereo: 'LR', label: 'EAC LR'});
+registerProjection('EAC_TB', {build: buildEAC, stereo: 'TB', label: 'EAC TB'});
+registerProjection('SBS_MONO', {
+  build: buildSideBySide,
+  stereo: 'LR',
+  // Map SBS variants to SBS_MONO (flat screen side-by-side)
+  aliases: [/^SBS(_LR)?F?$/i],
+  label: 'Side by Side'
+});
+
+// Cylindrical panoramas by vertical field of view, with the same LR / TB
+// stereo variants as the other formats. Any vertical fov below 180 works;
+// the common ones are registered up front so the HUD menu lists them.
+registerProjectionFamily(CYLINDER_PATTERN, (match) => {
+  const verticalFov = parseInt(match[1], 10);
+
+  if (verticalFov < 1 || verticalFov >= 180) {
+    return null;
+  }
+
+  return {build: buildCylinder, stereo: match[2] ? match[2].slice(1).toUpperCase() : false, verticalFov};
+});
+
+['60', '90', '120', '150'].forEach((vfov) => {
+  const verticalFov = parseInt(vfov, 10);
+
+  registerProjection(`CYLINDER_${vfov}`, {
+    build: buildCylinder,
+    verticalFov,
+    label: `Cylinder ${vfov}°`
+  });
+  registerProjection(`CYLINDER_${vfov}_LR`, {build: buildCylinder, stereo: 'LR', verticalFov});
+  registerProjection(`CYLINDER_${vfov}_TB`, {build: buildCylinder, stereo: 'TB', verticalFov});
+});
+
+// Equidistant fisheye projections (single circular image per eye).
+// _LR variants split the source horizontally into left/right halves,
+// _TB variants vertically with the left eye on top.
+// FISHEYE_360 is the special dual-hemisphere case (Ricoh Theta etc.):
+// front hemisphere on the left half, back hemisphere on the right.
+['180', '200', '220', '360'].forEach((fov) => {
+  registerProjection(`FISHEYE_${fov}`, {
+    build: buildFisheye,
+    fov: parseInt(fov, 10),
+    label: `Fisheye ${fov}°`
+  });
+  registerProjection(`FISHEYE_${fov}_LR`, {
+    build: buildFisheye,
+    stereo: 'LR',
+    fov: parseInt(fov, 10),
+    label: `Fisheye ${fov}° LR`
+  });
+  registerProjection(`FISHEYE_${fov}_TB`, {
+    build: buildFisheye,
+    stereo: 'TB',
+    fov: parseInt(fov, 10),
+    label: `Fisheye ${fov}° TB`
+  });
+});
@@ -0,0 +1,269 @@
+import * as THREE from 'three';
+import window from 'global/window';
+import videojs from 'video.js';
+
+const DEFAULTS = {
+  width: 1920,
+  height: 1080,
+  frameRate: 30
+};
+
+// WebM types to record, best first
+const MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+
+// ms of video the recorder hands over at a time
+const TIMESLICE = 1000;
+
+/**
+ * Get the audio tracks of a video element.
+ *
+ * @param {HTMLVideoElement} video
+ *        The element.
+ *
+ * @return {MediaStreamTrack[]}
+ *         Its audio tracks, or none if the browser can't capture them.
+ */
+const getAudioTracks = (video) => {
+  const capture = video.captureStream || video.mozCaptureStream;
+
+  if (!capture) {
+    return [];
+  }
+
+  try {
+    const stream = capture.call(video);
+
+    // only the audio is wanted, the picture comes from the reframe canvas
+    stream.getVideoTracks().forEach((track) => track.stop());
+
+    return stream.getAudioTracks();
+  } catch (e) {
+    // cross-origin sources without CORS headers can't be captured
+    videojs.log.warn('videojs-vr: could not capture the audio for the reframe recording', e);
+    return [];
+  }
+};
+
+/**
+ * Flat output of a 360 source at a fixed size: the flat view's camera, with
+ * its keyframed and user-driven moves, rendered into a canvas of its own
+ * each animation frame. The canvas can be recorded to WebM along with the
+ * video's audio.
+ *
+ * The canvas has its own renderer, as the player's canvas follows the size
+ * of the player.
+ */
+class Reframe {
+  /**
+   * Create the output, off until started.
+   *
+   * @param {VR} vr
+   *        The plugin, for its scene, camera and video element.
+   */
+  constructor(vr) {
+    this.vr = vr;
+    this.renderer = null;
+    this.canvas = null;
+    this.recorder_ = null;
+    this.tracks_ = [];
+    this.chunks_ = [];
+    this.size_ = new THREE.Vector2();
+    // whether the recording started the output and should stop it again
+    this.ownsOutput_ = false;
+  }
+
+  /**
+   * Start rendering the flat view into the canvas. Starting again changes
+   * the size of the running output.
+   *
+   * @param {Object} [options]
+   *        `width` and `height` in pixels.
+   *
+   * @return {HTMLCanvasElement|null}
+   *         The canvas, or null if WebGL isn't available.
+   */
+  start(options = {}) {
+    const width = Math.round(options.width > 0 ? options.width : DEFAULTS.width);
+    const height = Math.round(options.height > 0 ? options.height : DEFAULTS.height);
+
+    if (!this.renderer) {
+      try {
+        this.renderer = new THREE.WebGLRenderer({antialias: true});
+      } catch (e) {
+        videojs.log.error('videojs-vr: could not create a renderer for the reframe output', e);
+        return null;
+      }
+      this.canvas = this.renderer.domElement;
+    }
+
+    // the player's canvas scales with the screen, this one is a video frame
+    this.renderer.setPixelRatio(1);
+    this.renderer.setSize(width, height, false);
+    this.ownsOutput_ = false;
+
+    return this.canvas;
+  }
+
+  /**
+   * Stop rendering and free the canvas's renderer. A running recording is
+   * stopped too.
+   */
+  stop() {
+    if (this.recorder_) {
+      this.ownsOutput_ = true;
+      this.stopRecording();
+      return;
+    }
+
+    if (this.renderer) {
+      this.renderer.dispose();
+      this.renderer = null;
+      this.canvas = null;
+    }
+  }
+
+  /**
+   * Render the current frame of the flat view, if the output is on.
+   */
+  update() {
+    const vr = this.vr;
+
+    if (!this.renderer || !vr.scene || !vr.camera) {
+      return;
+    }
+
+    const camera = vr.camera;
+    const aspect = camera.aspect;
+    const size = this.renderer.getSize(this.size_);
+
+    camera.aspect = size.x / size.y;
+    camera.updateProjectionMatrix();
+    this.renderer.render(vr.scene, camera);
+    camera.aspect = aspect;
+    camera.updateProjectionMatrix();
+  }
+
+  /**
+   * Record the output, starting it if it isn't on.
+   *
+   * @param {Object} [options]
+   *        `width` and `height` of the output in pixels, `frameRate`,
+   *        `videoBitsPerSecond` and `audio` (false to leave it out).
+   *
+   * @return {boolean}
+   *         Whether recording started.
+   */
+  startRecording(options = {}) {
+    if (this.recorder_) {
+      videojs.log.error('videojs-vr: a reframe recording is already running');
+      return false;
+    }
+
+    const MediaRecorder = window.MediaRecorder;
+    const mimeType = MediaRecorder && MIME_TYPES.filter((type) => MediaRecorder.isTypeSupported(type))[0];
+
+    if (!mimeType) {
+      videojs.log.error('videojs-vr: this browser cannot record WebM video');
+      return false;
+    }
+
+    const ownsOutput = !this.renderer;
+
+    if (ownsOutput && !this.start(options)) {
+      return false;
+    }
+
+    if (!this.canvas.captureStream) {
+      videojs.log.error('videojs-vr: this browser cannot capture a canvas');
+      if (ownsOutput) {
+        this.stop();
+      }
+      return false;
+    }
+
+    const frameRate = options.frameRate > 0 ? options.frameRate : DEFAULTS.frameRate;
+    const video = this.vr.getVideoEl_();
+    const stream = this.canvas.captureStream(frameRate);
+    const chunks = [];
+
+    this.tracks_ = stream.getVideoTracks()
+      .concat(options.audio !== false && video ? getAudioTracks(video) : []);
+    this.chunks_ = chunks;
+    this.ownsOutput_ = ownsOutput;
+    this.recorder_ = new MediaRecorder(new window.MediaStream(this.tracks_), {
+      mimeType,
+      videoBitsPerSecond: options.videoBitsPerSecond
+    });
+    this.recorder_.ondataavailable = (event) => {
+      if (event.data && event.data.size) {
+        chunks.push(event.data);
+      }
+    };
+    this.recorder_.start(TIMESLICE);
+
+    return true;
+  }
+
+  /**
+   * Stop recording. A recorder that failed or stopped by itself hands over
+   * what it recorded up to then.
+   *
+   * @return {Promise<Blob|null>}
+   *         The WebM video, or null if nothing was recording or recorded.
+   */
+  stopRecording() {
+    const recorder = this.recorder_;
+    const chunks = this.chunks_;
+
+    if (!recorder) {
+      return Promise.resolve(null);
+    }
+
+    this.recorder_ = null;
+    this.chunks_ = [];
+
+    return new Promise((resolve) => {
+      const finish = () => {
+        resolve(chunks.length ? new window.Blob(chunks, {type: 'video/webm'}) : null);
+      };
+
+      recorder.onstop = finish;
+      recorder.onerror = (event) => {
+        videojs.log.error('videojs-vr: the reframe recording failed', event.error);
+        finish();
+      };
+
+      // an inactive recorder doesn't fire stop again
+      if (recorder.state === 'inactive') {
+        finish();
+      } else {
+        recorder.stop();
+      }
+      this.tracks_.forEach((track) => track.stop());
+      this.tracks_ = [];
+
+      if (this.ownsOutput_) {
+        this.stop();
+      }
+    });
+  }
+
+  /**
+   * Whether a recording is running.
+   *
+   * @return {boolean}
+   *         True while recording.
+   */
+  isRecording() {
+    return !!this.recorder_;
+  }
+
+  /**
+   * Stop any recording and the output.
+   */
+  dispose() {
+    this.stop();
+  }
+}
+
+export default Reframe;
@@ -0,0 +1,115 @@
+// URL hash parameter for each field of a share state
+const HASH_PARAMS = {
+  time: 't',
+  yaw: 'yaw',
+  pitch: 'pitch',
+  fov: 'fov',
+  projection: 'projection'
+};
+
+/**
+ * Read a time as seconds, `90.5`, or as `m:ss` / `h:mm:ss`.
+ *
+ * @param {string} value
+ *        The time.
+ *
+ * @return {number}
+ *         Seconds, or NaN.
+ */
+const parseTime = (value) => value.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+
+/**
+ * Decode a URL component, leaving malformed escapes as they are.
+ *
+ * @param {string} value
+ *        The encoded value.
+ *
+ * @return {string}
+ *         The decoded value.
+ */
+const decode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return value;
+  }
+};
+
+/**
+ * Read a share state from a URL hash like `#t=90&yaw=30&pitch=-10`.
+ *
+ * @param {string} hash
+ *        The hash, with or without its `#`.
+ *
+ * @return {Object}
+ *         The `{time, yaw, pitch, fov, projection}` fields the hash sets.
+ *         Fields that are missing or not numbers are left out.
+ */
+export const parseShareHash = (hash) => {
+  const state = {};
+
+  String(hash || '').replace(/^#/, '').split('&').forEach((pair) => {
+    const index = pair.indexOf('=');
+    const key = decode(pair.slice(0, index));
+    const value = decode(pair.slice(index + 1));
+    const field = Object.keys(HASH_PARAMS).filter((name) => HASH_PARAMS[name] === key)[0];
+
+    if (index === -1 || !field || !value) {
+      return;
+    }
+
+    if (field === 'projection') {
+      state.projection = value;
+      return;
+    }
+
+    const number = field === 'time' ? parseTime(value) : Number(value);
+
+    if (isFinite(number)) {
+      state[field] = number;
+    }
+  });
+
+  return state;
+};
+
+/**
+ * Write a share state into a URL hash, keeping any other parameters the
+ * hash has.
+ *
+ * @param {Object} state
+ *        `{time, yaw, pitch, fov, projection}`; fields that are undefined
+ *        are left out.
+ * @param {string} [hash]
+ *        The current hash.
+ *
+ * @return {string}
+ *         The new hash, starting with `#`, or an empty string.
+ */
+export const formatShareHash = (state, hash) => {
+  const keys = Object.keys(HASH_PARAMS).map((field) => HASH_PARAMS[field]);
+  const pairs = [];
+
+  Object.keys(HASH_PARAMS).forEach((field) => {
+    let value = state[field];
+
+    if (value === undefined || value === null || value === '') {
+      return;
+    }
+
+    // a tenth of a second or degree is plenty to find the same spot
+    if (typeof value === 'number') {
+      value = Number(value.toFixed(1));
+    }
+
+    pairs.push(`${HASH_PARAMS[field]}=${encodeURIComponent(value)}`);
+  });
+
+  String(hash || '').replace(/^#/, '').split('&').forEach((pair) => {
+    if (pair && keys.indexOf(decode(pair.split('=')[0])) === -1) {
+      pairs.push(pair);
+    }
+  });
+
+  return pairs.length ? `#${pairs.join('&')}` : '';
+};
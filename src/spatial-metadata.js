@@ -0,0 +1,601 @@
+import window from 'global/window';
+import {getInternalProjectionName} from './utils';
+
+/**
+ * Reader for the Spherical Video V2 and spatial audio boxes that cameras
+ * and encoders write into MP4/ISOBMFF files:
+ *
+ * - `st3d` stereo mode, on the video sample entry
+ * - `sv3d/proj` projection (`equi` bounds, `cbmp` cubemap or `mshp` mesh)
+ *   plus the `prhd` initial pose, on the video sample entry
+ * - `SA3D` ambisonic layout, on the audio sample entry
+ *
+ * See https://github.com/google/spatial-media/tree/master/docs
+ *
+ * It also reads the Google Photo Sphere (GPano) XMP that JPEG panoramas,
+ * such as posters, carry to describe cropped equirectangular images.
+ *
+ * See https://developers.google.com/streetview/spherical-metadata
+ */
+
+// Bytes fetched per request while looking for the moov box. Files that
+// were written with faststart have moov right after ftyp, so the first
+// request is usually enough.
+const CHUNK_SIZE = 64 * 1024;
+
+// Give up instead of downloading huge or corrupt moov boxes.
+const MAX_MOOV_SIZE = 16 * 1024 * 1024;
+
+// Top-level boxes to walk past before giving up.
+const MAX_TOP_LEVEL_BOXES = 32;
+
+// Boxes that only contain other boxes and lie on the path to the sample
+// descriptions.
+const CONTAINER_BOXES = ['moov', 'trak', 'mdia', 'minf', 'stbl', 'sv3d', 'proj'];
+
+const STEREO_MODES = ['mono', 'top-bottom', 'left-right', 'stereo-custom'];
+const CUBEMAP_LAYOUTS = ['3x2'];
+
+// JPEG APP segments are at most 64KB each, so the XMP packet sits well
+// within the first few segments after EXIF.
+const MAX_JPEG_HEADER_SIZE = 256 * 1024;
+
+const XMP_SIGNATURE = 'http://ns.adobe.com/xap/1.0/\0';
+
+// GPano properties that hold numbers; everything else is kept as a string.
+const GPANO_NUMBERS = [
+  'CroppedAreaImageWidthPixels',
+  'CroppedAreaImageHeightPixels',
+  'CroppedAreaLeftPixels',
+  'CroppedAreaTopPixels',
+  'FullPanoWidthPixels',
+  'FullPanoHeightPixels',
+  'PoseHeadingDegrees',
+  'PosePitchDegrees',
+  'PoseRollDegrees',
+  'InitialViewHeadingDegrees',
+  'InitialViewPitchDegrees',
+  'InitialHorizontalFOVDegrees'
+];
+const GPANO_STRINGS = ['ProjectionType', 'UsePanoramaViewer'];
+
+const readType = (view, offset) => String.fromCharCode(
+  view.getUint8(offset),
+  view.getUint8(offset + 1),
+  view.getUint8(offset + 2),
+  view.getUint8(offset + 3)
+);
+
+/**
+ * Read the box header at `offset`.
+ *
+ * @param {DataView} view
+ *        The bytes to read from.
+ * @param {number} offset
+ *        Offset of the box.
+ * @param {number} end
+ *        Offset where the parent box (or the buffer) ends.
+ *
+ * @return {Object|null}
+ *         `{type, size, headerSize}`, or null if there is no complete
+ *         header at `offset`.
+ */
+const readBoxHeader = (view, offset, end) => {
+  if (offset + 8 > end) {
+    return null;
+  }
+
+  let size = view.getUint32(offset);
+  const type = readType(view, offset + 4);
+  let headerSize = 8;
+
+  if (size === 1) {
+    if (offset + 16 > end) {
+      return null;
+    }
+    size = view.getUint32(offset + 8) * 0x100000000 + view.getUint32(offset + 12);
+    headerSize = 16;
+  } else if (size === 0) {
+    // box extends to the end of its parent
+    size = end - offset;
+  }
+
+  if (size < headerSize) {
+    return null;
+  }
+
+  return {type, size, headerSize};
+};
+
+const forEachBox = (view, start, end, fn) => {
+  let offset = start;
+
+  while (offset < end) {
+    const header = readBoxHeader(view, offset, end);
+
+    if (!header) {
+      return;
+    }
+
+    fn(header.type, offset + header.headerSize, Math.min(offset + header.size, end));
+    offset += header.size;
+  }
+};
+
+// 32-bit fixed point fractions, used by the equirectangular bounds
+const readFraction = (view, offset) => view.getUint32(offset) / 0x100000000;
+
+// 16.16 fixed point degrees, used by the projection header
+const readDegrees = (view, offset) => view.getInt32(offset) / 0x10000;
+
+const parseProjectionBoxes = (view, start, end, metadata) => {
+  forEachBox(view, start, end, (type, bodyStart, bodyEnd) => {
+    // every box inside proj is a full box, so skip version and flags
+    const body = bodyStart + 4;
+
+    if (type === 'prhd' && body + 12 <= bodyEnd) {
+      metadata.pose = {
+        yaw: readDegrees(view, body),
+        pitch: readDegrees(view, body + 4),
+        roll: readDegrees(view, body + 8)
+      };
+    } else if (type === 'equi' && body + 16 <= bodyEnd) {
+      metadata.projectionType = 'equirectangular';
+      metadata.bounds = {
+        top: readFraction(view, body),
+        bottom: readFraction(view, body + 4),
+        left: readFraction(view, body + 8),
+        right: readFraction(view, body + 12)
+      };
+    } else if (type === 'cbmp' && body + 8 <= bodyEnd) {
+      metadata.projectionType = 'cubemap';
+      metadata.cubemap = {
+        layout: CUBEMAP_LAYOUTS[view.getUint32(body)] || view.getUint32(body),
+        padding: view.getUint32(body + 4)
+      };
+    } else if (type === 'mshp') {
+      metadata.projectionType = 'mesh';
+    }
+  });
+};
+
+const parseVideoSampleEntry = (view, start, end, metadata) => {
+  // the fixed VisualSampleEntry fields take up 78 bytes
+  forEachBox(view, start + 78, end, (type, bodyStart, bodyEnd) => {
+    if (type === 'st3d' && bodyStart + 5 <= bodyEnd) {
+      const mode = view.getUint8(bodyStart + 4);
+
+      metadata.stereoMode = STEREO_MODES[mode] || 'stereo-custom';
+    } else if (type === 'sv3d') {
+      forEachBox(view, bodyStart, bodyEnd, (childType, childStart, childEnd) => {
+        if (childType === 'proj') {
+          parseProjectionBoxes(view, childStart, childEnd, metadata);
+        }
+      });
+    }
+  });
+};
+
+const parseAudioSampleEntry = (view, start, end, metadata) => {
+  if (start + 28 > end) {
+    return;
+  }
+
+  // AudioSampleEntry fields take 28 bytes; QuickTime sound description
+  // versions 1 and 2 append another 16 or 36 bytes.
+  const version = view.getUint16(start + 8);
+  const skip = 28 + (version === 1 ? 16 : 0) + (version === 2 ? 36 : 0);
+
+  forEachBox(view, start + skip, end, (type, bodyStart, bodyEnd) => {
+    if (type !== 'SA3D' || bodyStart + 12 > bodyEnd) {
+      return;
+    }
+
+    const channelCount = view.getUint32(bodyStart + 8);
+    const channelMap = [];
+
+    for (let i = 0; i < channelCount && bodyStart + 16 + i * 4 <= bodyEnd; i++) {
+      channelMap.push(view.getUint32(bodyStart + 12 + i * 4));
+    }
+
+    metadata.audio = {
+      ambisonicType: view.getUint8(bodyStart + 1) === 0 ? 'periphonic' : 'unknown',
+      ambisonicOrder: view.getUint32(bodyStart + 2),
+      channelOrdering: view.getUint8(bodyStart + 6) === 0 ? 'ACN' : 'unknown',
+      normalization: view.getUint8(bodyStart + 7) === 0 ? 'SN3D' : 'unknown',
+      channelMap
+    };
+  });
+};
+
+const parseSampleDescriptions = (view, start, end, handler, metadata) => {
+  // stsd is a full box followed by an entry count
+  forEachBox(view, start + 8, end, (type, bodyStart, bodyEnd) => {
+    if (handler === 'vide') {
+      parseVideoSampleEntry(view, bodyStart, bodyEnd, metadata);
+    } else if (handler === 'soun') {
+      parseAudioSampleEntry(view, bodyStart, bodyEnd, metadata);
+    }
+  });
+};
+
+const parseTrack = (view, start, end, metadata) => {
+  let handler;
+
+  const walk = (from, to) => forEachBox(view, from, to, (type, bodyStart, bodyEnd) => {
+    if (type === 'hdlr' && bodyStart + 12 <= bodyEnd) {
+      handler = readType(view, bodyStart + 8);
+    } else if (type === 'stsd') {
+      parseSampleDescriptions(view, bodyStart, bodyEnd, handler, metadata);
+    } else if (CONTAINER_BOXES.indexOf(type) !== -1) {
+      walk(bodyStart, bodyEnd);
+    }
+  });
+
+  walk(start, end);
+};
+
+// Whether any side of a coverage/bounds object is cropped.
+const isCropped = (bounds) => ['top', 'bottom', 'left', 'right']
+  .some((side) => Math.abs(bounds[side]) > 0.001);
+
+/**
+ * Get the part of the sphere a GPano panorama covers.
+ *
+ * @param {Object} gpano
+ *        GPano properties, as returned by parseGPano.
+ *
+ * @return {Object|null}
+ *         `{top, bottom, left, right}` fractions of the full panorama that
+ *         are cropped away, in the same form as the `equi` bounds, or null
+ *         if the full panorama size is unknown. `right` is negative when
+ *         the crop wraps around the 360 degree seam.
+ */
+export const getGPanoCoverage = function(gpano) {
+  if (!gpano || !gpano.FullPanoWidthPixels) {
+    return null;
+  }
+
+  const fullWidth = gpano.FullPanoWidthPixels;
+  const fullHeight = gpano.FullPanoHeightPixels || fullWidth / 2;
+  const width = gpano.CroppedAreaImageWidthPixels || fullWidth;
+  const height = gpano.CroppedAreaImageHeightPixels || fullHeight;
+  const left = (gpano.CroppedAreaLeftPixels || 0) / fullWidth;
+  const top = (gpano.CroppedAreaTopPixels || 0) / fullHeight;
+
+  return {
+    top,
+    bottom: 1 - top - height / fullHeight,
+    left,
+    right: 1 - left - width / fullWidth
+  };
+};
+
+const getProjectionFromGPano = (gpano) => {
+  if (!gpano || String(gpano.ProjectionType).toLowerCase() !== 'equirectangular') {
+    return;
+  }
+
+  const coverage = getGPanoCoverage(gpano);
+
+  return coverage && isCropped(coverage) ? 'EQUIRECT_PARTIAL' : '360';
+};
+
+/**
+ * Pick the registered projection that matches parsed spatial metadata.
+ *
+ * @param {Object} metadata
+ *        Result of parseSpatialMetadata.
+ *
+ * @return {string|undefined}
+ *         Internal projection name, or undefined if the metadata does not
+ *         describe a layout this plugin can render.
+ */
+export const getProjectionFromMetadata = function(metadata) {
+  if (!metadata) {
+    return;
+  }
+
+  // without MP4 boxes fall back to the GPano XMP of the poster
+  if (!metadata.projectionType) {
+    return getProjectionFromGPano(metadata.gpano);
+  }
+
+  const stereo = {
+    'left-right': '_LR',
+    'top-bottom': '_TB'
+  }[metadata.stereoMode] || '';
+  let projection;
+
+  if (metadata.projectionType === 'equirectangular') {
+    const bounds = metadata.bounds;
+    const horizontal = 1 - bounds.left - bounds.right;
+
+    if (Math.abs(horizontal - 0.5) < 0.01) {
+      projection = '180' + (stereo || '_MONO');
+    } else if (!stereo && isCropped(bounds)) {
+      projection = 'EQUIRECT_PARTIAL';
+    } else {
+      projection = '360' + stereo;
+    }
+  } else if (metadata.projectionType === 'cubemap') {
+    projection = '360_CUBE' + stereo;
+  } else if (metadata.projectionType === 'mesh') {
+    // VR180 files carry their lens mesh; render them as 180 equirect.
+    projection = '180' + (stereo || '_MONO');
+  }
+
+  // Only accept an exact registration, not an alias, so that a stereo
+  // layout never falls back to a mono mesh that would show both eyes.
+  if (getInternalProjectionName(projection) === projection) {
+    return projection;
+  }
+};
+
+/**
+ * Parse the spatial metadata out of a moov box.
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer
+ *        The moov box, including its header, or a buffer that contains it
+ *        at the top level.
+ *
+ * @return {Object|null}
+ *         `{stereoMode, projectionType, bounds, cubemap, pose, audio,
+ *         projection}` with only the fields that were found, or null if
+ *         the file has no spatial metadata.
+ */
+export const parseSpatialMetadata = function(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const metadata = {};
+
+  forEachBox(view, 0, view.byteLength, (type, start, end) => {
+    if (type !== 'moov') {
+      return;
+    }
+
+    forEachBox(view, start, end, (childType, childStart, childEnd) => {
+      if (childType === 'trak') {
+        parseTrack(view, childStart, childEnd, metadata);
+      }
+    });
+  });
+
+  if (!Object.keys(metadata).length) {
+    return null;
+  }
+
+  metadata.projection = getProjectionFromMetadata(metadata);
+
+  return metadata;
+};
+
+/**
+ * Fetch `length` bytes of `url` starting at `start`.
+ *
+ * @param {string} url
+ *        Source URL.
+ * @param {number} start
+ *        First byte to fetch.
+ * @param {number} length
+ *        Number of bytes to fetch.
+ *
+ * @return {Promise<Uint8Array|null>}
+ *         The bytes, which may be fewer than requested at the end of the
+ *         file, or null if the range could not be fetched.
+ */
+const fetchRange = (url, start, length) => window.fetch(url, {
+  headers: {Range: `bytes=${start}-${start + length - 1}`}
+}).then((response) => {
+  // A server that ignores Range answers 200 with the file from byte 0.
+  if (!response.ok || (response.status !== 206 && start !== 0)) {
+    return null;
+  }
+
+  if (!response.body || !response.body.getReader) {
+    return response.arrayBuffer().then((data) => new Uint8Array(data.slice(0, length)));
+  }
+
+  // Stream the body so that servers which ignore Range don't make us
+  // download the whole file.
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+
+  const read = () => reader.read().then(({done, value}) => {
+    if (!done) {
+      chunks.push(value);
+      received += value.length;
+    }
+
+    if (done || received >= length) {
+      if (!done) {
+        reader.cancel();
+      }
+
+      const bytes = new Uint8Array(Math.min(received, length));
+      let offset = 0;
+
+      chunks.forEach((chunk) => {
+        const part = chunk.subarray(0, bytes.length - offset);
+
+        bytes.set(part, offset);
+        offset += part.length;
+      });
+
+      return bytes;
+    }
+
+    return read();
+  });
+
+  return read();
+});
+
+/**
+ * Walk the top-level boxes of `url` with range requests and return the
+ * moov box.
+ *
+ * @param {string} url
+ *        Source URL.
+ *
+ * @return {Promise<Uint8Array|null>}
+ *         The moov box, or null if it could not be found.
+ */
+const fetchMoov = (url) => {
+  const locate = (chunk, chunkStart, offset, count) => {
+    if (!chunk || count > MAX_TOP_LEVEL_BOXES) {
+      return null;
+    }
+
+    const chunkEnd = chunkStart + chunk.length;
+
+    // make sure a full (64-bit) header is available, unless the file ends
+    if (offset + 16 > chunkEnd && chunk.length === CHUNK_SIZE) {
+      return fetchRange(url, offset, CHUNK_SIZE).then((next) => locate(next, offset, offset, count));
+    }
+
+    const view = new DataView(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+    const header = readBoxHeader(view, offset - chunkStart, chunk.length);
+
+    if (!header) {
+      return null;
+    }
+
+    if (header.type === 'moov') {
+      if (header.size > MAX_MOOV_SIZE) {
+        return null;
+      }
+      if (offset + header.size <= chunkEnd) {
+        return chunk.subarray(offset - chunkStart, offset - chunkStart + header.size);
+      }
+      return fetchRange(url, offset, header.size);
+    }
+
+    // a box that runs to the end of the file is the last one
+    if (view.getUint32(offset - chunkStart) === 0) {
+      return null;
+    }
+
+    return locate(chunk, chunkStart, offset + header.size, count + 1);
+  };
+
+  return fetchRange(url, 0, CHUNK_SIZE).then((chunk) => locate(chunk, 0, 0, 0));
+};
+
+/**
+ * Range-fetch the moov box of a source and parse its spatial metadata.
+ *
+ * @param {string} url
+ *        Source URL. Must allow range requests (and CORS, if cross-origin).
+ *
+ * @return {Promise<Object|null>}
+ *         Resolves with the parsed metadata, or null if there is none or
+ *         it could not be fetched. Never rejects.
+ */
+export const fetchSpatialMetadata = function(url) {
+  if (!url || typeof window.fetch !== 'function') {
+    return Promise.resolve(null);
+  }
+
+  return fetchMoov(url)
+    .then((moov) => moov ? parseSpatialMetadata(moov) : null)
+    .catch(() => null);
+};
+
+// Get the XMP packet out of the APP1 segments of a JPEG file.
+const readJpegXmp = (bytes) => {
+  if (bytes.length < 4 || bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+    return null;
+  }
+
+  let offset = 2;
+
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+    const marker = bytes[offset + 1];
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    const end = offset + 2 + length;
+
+    // image data starts at SOS, metadata can only come before it
+    if (marker === 0xDA || marker === 0xD9 || end > bytes.length) {
+      return null;
+    }
+
+    if (marker === 0xE1) {
+      const start = offset + 4;
+      let text = '';
+
+      for (let i = start; i < end; i++) {
+        text += String.fromCharCode(bytes[i]);
+      }
+
+      if (text.indexOf(XMP_SIGNATURE) === 0) {
+        return text.substring(XMP_SIGNATURE.length);
+      }
+    }
+
+    offset = end;
+  }
+
+  return null;
+};
+
+/**
+ * Parse the GPano properties out of the XMP of a JPEG image.
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer
+ *        The start of the JPEG file, up to at least the XMP segment.
+ *
+ * @return {Object|null}
+ *         The GPano properties that were found, keyed by their XMP names
+ *         (e.g. `FullPanoWidthPixels`), or null if there are none.
+ */
+export const parseGPano = function(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const xmp = readJpegXmp(bytes);
+
+  if (!xmp) {
+    return null;
+  }
+
+  const gpano = {};
+
+  GPANO_NUMBERS.concat(GPANO_STRINGS).forEach((name) => {
+    // properties are written either as attributes or as elements
+    const match = new RegExp(`GPano:${name}\\s*=\\s*["']([^"']*)["']|<GPano:${name}>([^<]*)<`).exec(xmp);
+
+    if (!match) {
+      return;
+    }
+
+    const value = (match[1] !== undefined ? match[1] : match[2]).trim();
+
+    if (GPANO_STRINGS.indexOf(name) !== -1) {
+      gpano[name] = value;
+    } else if (isFinite(parseFloat(value))) {
+      gpano[name] = parseFloat(value);
+    }
+  });
+
+  return Object.keys(gpano).length ? gpano : null;
+};
+
+/**
+ * Fetch the start of a JPEG image and parse its GPano properties.
+ *
+ * @param {string} url
+ *        Image URL. Must allow CORS, if cross-origin.
+ *
+ * @return {Promise<Object|null>}
+ *         Resolves with the GPano properties, or null if there are none or
+ *         the image could not be fetched. Never rejects.
+ */
+export const fetchGPano = function(url) {
+  if (!url || typeof window.fetch !== 'function') {
+    return Promise.resolve(null);
+  }
+
+  return fetchRange(url, 0, MAX_JPEG_HEADER_SIZE)
+    .then((bytes) => bytes ? parseGPano(bytes) : null)
+    .catch(() => null);
+};
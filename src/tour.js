@@ -0,0 +1,115 @@
+import videojs from 'video.js';
+
+/**
+ * A branching tour: scenes, each a source with its projection, the view to
+ * start from and hotspots, some of which link to other scenes.
+ *
+ * ```js
+ * {
+ *   firstScene: 'lobby',
+ *   scenes: {
+ *     lobby: {
+ *       src: {src: 'lobby.mp4', type: 'video/mp4'},
+ *       projection: '360',
+ *       view: {yaw: 0, pitch: 0},
+ *       hotspots: [{id: 'desk', yaw: 30, pitch: -10, label: 'Reception'}],
+ *       links: [{scene: 'hall', yaw: 90, pitch: 0, label: 'Hall', heading: 'preserve'}]
+ *     },
+ *     hall: {...}
+ *   }
+ * }
+ * ```
+ */
+class Tour {
+  /**
+   * Read a tour definition.
+   *
+   * @param {Object} definition
+   *        `{firstScene, scenes}`; firstScene defaults to the first scene.
+   */
+  constructor(definition) {
+    this.scenes = {};
+
+    Object.keys(definition.scenes).forEach((id) => {
+      const scene = definition.scenes[id];
+
+      if (!scene || !scene.src) {
+        videojs.log.error(`videojs-vr: tour scene ${id} needs a src, leaving it out`);
+        return;
+      }
+
+      this.scenes[id] = scene;
+    });
+
+    Object.keys(this.scenes).forEach((id) => {
+      (this.scenes[id].links || []).forEach((link) => {
+        if (!this.scenes[link.scene]) {
+          videojs.log.error(`videojs-vr: tour scene ${id} links to unknown scene ${link.scene}`);
+        }
+      });
+    });
+
+    this.firstScene = this.scenes[definition.firstScene] ? definition.firstScene : Object.keys(this.scenes)[0];
+  }
+
+  /**
+   * Get a scene.
+   *
+   * @param {string} id
+   *        The scene's id.
+   *
+   * @return {Object|undefined}
+   *         The scene.
+   */
+  getScene(id) {
+    return this.scenes[id];
+  }
+
+  /**
+   * The hotspots to show in a scene: its own and one per link.
+   *
+   * @param {string} id
+   *        The scene's id.
+   * @param {Function} onLink
+   *        Called with a link when its hotspot is selected.
+   *
+   * @return {Object[]}
+   *         Hotspots for addHotspot.
+   */
+  getHotspots(id, onLink) {
+    const scene = this.scenes[id];
+    const links = (scene.links || [])
+      .filter((link) => this.scenes[link.scene])
+      .map((link) => Object.assign({id: `${id}->${link.scene}`}, link, {
+        onSelect: (hotspot) => {
+          if (typeof link.onSelect === 'function') {
+            link.onSelect(hotspot);
+          }
+          onLink(link);
+        }
+      }));
+
+    return (scene.hotspots || []).concat(links);
+  }
+
+  /**
+   * Check a tour definition.
+   *
+   * @param {Object} definition
+   *        The definition passed to loadTour.
+   *
+   * @return {boolean}
+   *         Whether it has any scenes. Logs the reason if not.
+   */
+  static isValid(definition) {
+    if (!definition || !definition.scenes || typeof definition.scenes !== 'object' ||
+        !Object.keys(definition.scenes).length) {
+      videojs.log.error('videojs-vr: tours need a scenes object with at least one scene');
+      return false;
+    }
+
+    return true;
+  }
+}
+
+export default Tour;
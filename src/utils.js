@@ -1,4 +1,5 @@
 import document from 'global/document';
+import {acceptedProjectionNames, resolveProjectionName} from './projection-registry';
 
 // check if the browser supports cors
 export const corsSupport = (function() {
@@ -27,67 +28,22 @@ export const isHLS = function(currentType) {
   return hlsTypes.some((type) => (RegExp(`^${type}$`, 'i')).test(currentType));
 };
 
-export const validProjections = [
-  '360',
-  '360_LR',
-  '360_TB',
-  '360_CUBE',
-  'EAC',
-  'EAC_LR',
-  'NONE',
-  'AUTO',
-  'Sphere',
-  'Cube',
-  'equirectangular',
-  '180',
-  '180_LR',
-  '180_MONO',
-  'SBS_MONO',
-  'SBS',
-  'SBS_LR',
-  'SBS_LRF',
-  // Equidistant fisheye projections (single circular image per eye).
-  // _LR variants split the source horizontally into left/right halves.
-  // FISHEYE_360 is the special dual-hemisphere case (Ricoh Theta etc.):
-  // front hemisphere on the left half, back hemisphere on the right.
-  'FISHEYE_180',
-  'FISHEYE_180_LR',
-  'FISHEYE_200',
-  'FISHEYE_200_LR',
-  'FISHEYE_220',
-  'FISHEYE_220_LR',
-  'FISHEYE_360',
-  'FISHEYE_360_LR'
-];
+/**
+ * Projection names the plugin accepts: the registered names, their string
+ * aliases and `AUTO`. RegExp aliases, such as those of the built-in
+ * `'Sphere'` or `'SBS'`, are not listed. Kept up to date as projections are
+ * registered and unregistered.
+ *
+ * @deprecated Use `getProjectionNames` from the projection registry, or
+ *             `getInternalProjectionName` to check a name.
+ * @type {string[]}
+ */
+export const validProjections = acceptedProjectionNames;
 
 export const getInternalProjectionName = function(projection) {
   if (!projection) {
     return;
   }
 
-  projection = projection.toString().trim();
-
-  if ((/sphere/i).test(projection)) {
-    return '360';
-  }
-
-  if ((/cube/i).test(projection)) {
-    return '360_CUBE';
-  }
-
-  if ((/equirectangular/i).test(projection)) {
-    return '360';
-  }
-
-  // Map SBS variants to SBS_MONO (flat screen side-by-side)
-  if ((/^SBS(_LR)?F?$/i).test(projection)) {
-    return 'SBS_MONO';
-  }
-
-  for (let i = 0; i < validProjections.length; i++) {
-    if (new RegExp('^' + validProjections[i] + '$', 'i').test(projection)) {
-      return validProjections[i];
-    }
-  }
-
+  return resolveProjectionName(projection.toString().trim());
 };
@@ -0,0 +1,197 @@
+import videojs from 'video.js';
+
+const DEG = Math.PI / 180;
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Where viewers looked during playback. Samples are `[yaw, pitch, fov]` in
+ * degrees, with yaw and pitch as taken by setViewDirection, grouped into
+ * buckets of `bucketSize` seconds of the source.
+ */
+class ViewHeatmap {
+  /**
+   * Create an empty heatmap.
+   *
+   * @param {Object} [options]
+   *        Heatmap options.
+   * @param {number} [options.bucketSize=1]
+   *        Length of a time bucket in seconds.
+   * @param {string} [options.src='']
+   *        The source the samples belong to.
+   */
+  constructor(options = {}) {
+    this.bucketSize = options.bucketSize > 0 ? options.bucketSize : 1;
+    this.clear(options.src);
+  }
+
+  /**
+   * Remove every sample.
+   *
+   * @param {string} [src='']
+   *        The source the next samples belong to.
+   */
+  clear(src = '') {
+    this.src = src;
+    this.buckets_ = {};
+    this.sampleCount = 0;
+  }
+
+  /**
+   * Add a sample.
+   *
+   * @param {number} time
+   *        Current time of the source in seconds.
+   * @param {Object} view
+   *        `{yaw, pitch, fov}` in degrees.
+   */
+  record(time, view) {
+    const index = Math.floor(time / this.bucketSize);
+
+    this.buckets_[index] = this.buckets_[index] || [];
+    this.buckets_[index].push([round(view.yaw), round(view.pitch), round(view.fov)]);
+    this.sampleCount++;
+  }
+
+  /**
+   * Get the samples of the buckets that overlap a time range.
+   *
+   * @param {number} [start=-Infinity]
+   *        Start of the range in seconds.
+   * @param {number} [end=Infinity]
+   *        End of the range in seconds.
+   *
+   * @return {Array[]}
+   *         `[yaw, pitch, fov]` samples.
+   */
+  getSamples(start = -Infinity, end = Infinity) {
+    const first = Math.floor(start / this.bucketSize);
+    const last = Math.floor(end / this.bucketSize);
+
+    return Object.keys(this.buckets_).reduce((samples, index) => {
+      return Number(index) >= first && Number(index) <= last ? samples.concat(this.buckets_[index]) : samples;
+    }, []);
+  }
+
+  /**
+   * Spread the samples of a time range over an equirectangular grid. Each
+   * sample covers a Gaussian footprint the size of its field of view.
+   *
+   * @param {number} width
+   *        Columns, from yaw -180 to 180.
+   * @param {number} height
+   *        Rows, from pitch -90 (first row) to 90.
+   * @param {number} [start]
+   *        Start of the range in seconds, all samples if left out.
+   * @param {number} [end]
+   *        End of the range in seconds.
+   *
+   * @return {Float32Array}
+   *         Row-major values from 0 to 1, all 0 without samples.
+   */
+  getGrid(width, height, start, end) {
+    const directions = [];
+    const cells = {};
+    const values = new Float32Array(width * height);
+    let max = 0;
+
+    for (let y = 0; y < height; y++) {
+      const lat = ((y + 0.5) / height - 0.5) * Math.PI;
+
+      for (let x = 0; x < width; x++) {
+        const lon = ((x + 0.5) / width - 0.5) * 2 * Math.PI;
+
+        directions.push([Math.sin(lon) * Math.cos(lat), Math.sin(lat), -Math.cos(lon) * Math.cos(lat)]);
+      }
+    }
+
+    // bin the samples first so the cost depends on the grid, not on how
+    // many viewers were recorded
+    this.getSamples(start, end).forEach(([yaw, pitch, fov]) => {
+      const x = Math.floor(((yaw / 360 + 0.5) % 1 + 1) % 1 * width);
+      const y = Math.min(height - 1, Math.max(0, Math.floor((pitch / 180 + 0.5) * height)));
+      const cell = cells[y * width + x] = cells[y * width + x] || {count: 0, fov: 0};
+
+      cell.count++;
+      cell.fov += fov;
+    });
+
+    Object.keys(cells).forEach((index) => {
+      const cell = cells[index];
+      const center = directions[index];
+      // a quarter of the fov is about where the view's edge falls off
+      const sigma = Math.max(1, cell.fov / cell.count / 4) * DEG;
+      const variance = sigma * sigma;
+
+      for (let i = 0; i < values.length; i++) {
+        const d = directions[i];
+        // 1 - cos is about half the squared angle, and cheaper than acos
+        const distance = 1 - (center[0] * d[0] + center[1] * d[1] + center[2] * d[2]);
+
+        // nothing left beyond three sigma
+        if (distance < 4.5 * variance) {
+          values[i] += cell.count * Math.exp(-distance / variance);
+        }
+      }
+    });
+
+    for (let i = 0; i < values.length; i++) {
+      max = Math.max(max, values[i]);
+    }
+    for (let i = 0; max > 0 && i < values.length; i++) {
+      values[i] /= max;
+    }
+
+    return values;
+  }
+
+  /**
+   * The heatmap as a plain object, ready for JSON.stringify.
+   *
+   * @return {Object}
+   *         `{version, src, bucketSize, buckets}`, where buckets is a list of
+   *         `{time, samples}` in time order.
+   */
+  toJSON() {
+    const buckets = Object.keys(this.buckets_)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .map((index) => ({time: index * this.bucketSize, samples: this.buckets_[index]}));
+
+    return {version: 1, src: this.src, bucketSize: this.bucketSize, buckets};
+  }
+
+  /**
+   * Read a heatmap exported with toJSON, e.g. after merging the samples of
+   * many viewers into one file.
+   *
+   * @param {Object|string} data
+   *        The exported object or its JSON.
+   *
+   * @return {ViewHeatmap|null}
+   *         The heatmap, or null if the data can't be read.
+   */
+  static fromJSON(data) {
+    try {
+      data = typeof data === 'string' ? JSON.parse(data) : data;
+    } catch (e) {
+      data = null;
+    }
+
+    if (!data || !Array.isArray(data.buckets)) {
+      videojs.log.error('videojs-vr: heatmap data needs a buckets list, as exported by exportHeatmap');
+      return null;
+    }
+
+    const heatmap = new ViewHeatmap({bucketSize: data.bucketSize, src: data.src});
+
+    data.buckets.filter((bucket) => bucket && typeof bucket.time === 'number').forEach((bucket) => {
+      (bucket.samples || []).forEach(([yaw, pitch, fov]) => {
+        heatmap.record(bucket.time, {yaw, pitch, fov});
+      });
+    });
+
+    return heatmap;
+  }
+}
+
+export default ViewHeatmap;
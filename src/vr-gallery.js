@@ -14,6 +14,7 @@ class VRGallery {
 
     // Callbacks
     this.onMediaSelect = options.onMediaSelect || (() => {});
+    this.onScroll = options.onScroll || (() => {}); // Called with the position when the user scrolls
     this.getSrc = options.getSrc || null; // Function to resolve resource paths to blob URLs
 
     // Gallery configuration
@@ -26,6 +27,8 @@ class VRGallery {
     this.visibleRows = 3;
     this.scrollPosition = 0;
     this.maxScroll = 0;
+    // A position set before there were items to scroll, for setMediaItems
+    this.pendingScrollPosition = null;
 
     // Clipping region for thumbnail overflow
     this.clipMinY = 0;
@@ -716,6 +719,11 @@ class VRGallery {
       this.createThumbnail(item, index);
     });
 
+    if (this.pendingScrollPosition !== null && items.length > 0) {
+      this.scrollPosition = Math.min(this.maxScroll, this.pendingScrollPosition);
+      this.pendingScrollPosition = null;
+    }
+
     this.updateScrollPosition();
   }
 
@@ -809,6 +817,7 @@ class VRGallery {
       this.scrollPosition = Math.max(0, Math.min(this.maxScroll,
         this.scrollStartPosition + deltaY));
       this.updateScrollPosition();
+      this.onScroll(this.scrollPosition);
     }
 
     // Hover effect
@@ -899,6 +908,7 @@ class VRGallery {
     this.scrollPosition = Math.max(0, Math.min(this.maxScroll,
       this.scrollPosition + delta));
     this.updateScrollPosition();
+    this.onScroll(this.scrollPosition);
 
     // Debounce retry of visible thumbnails after scrolling stops
     if (this.scrollDebounceTimer) {
@@ -923,6 +933,18 @@ class VRGallery {
     this.handleScroll(amount);
   }
 
+  // Jump to a scroll position, e.g. one restored from preferences. Before
+  // there are items it is kept until setMediaItems lays them out.
+  setScrollPosition(position) {
+    if (this.mediaItems.length === 0) {
+      this.pendingScrollPosition = Math.max(0, position);
+      return;
+    }
+
+    this.scrollPosition = Math.max(0, Math.min(this.maxScroll, position));
+    this.updateScrollPosition();
+  }
+
   updateScrollPosition() {
     // Move thumbnail container
     this.thumbnailContainer.position.y = this.scrollPosition;
@@ -940,6 +962,10 @@ class VRGallery {
     this.isVisible = true;
     this.galleryGroup.visible = true;
 
+    // Thumbnails set their own layers as they are created; this catches
+    // anything added to the gallery since it was last shown
+    this.refreshLayers();
+
     // Enable local clipping on the renderer for thumbnail overflow
     if (this.renderer) {
       this.renderer.localClippingEnabled = true;
@@ -1054,9 +1080,6 @@ class VRGallery {
   update() {
     if (!this.isVisible) return;
 
-    // Refresh layers every frame to prevent double vision
-    this.refreshLayers();
-
     // Position gallery relative to VR HUD if available (stays fixed in scene)
     if (this.vrHUD && this.vrHUD.hudGroup) {
       // Position gallery above the HUD controls
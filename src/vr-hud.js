@@ -1,6 +1,7 @@
 /* global document */
 /* eslint-disable no-inline-comments, newline-after-var, curly, no-console, function-paren-newline, no-multi-spaces */
 import * as THREE from 'three';
+import {getProjectionMenuModes} from './projection-registry';
 
 /**
  * VR HUD - In-VR User Interface with modern controls
@@ -23,31 +24,21 @@ class VRHUD {
     this.onProjectionChange = options.onProjectionChange || (() => {});
     this.onFavorite = options.onFavorite || null; // Optional favorite callback
     this.onForceMonoToggle = options.onForceMonoToggle || null; // Callback for force mono toggle
+    this.onSwapEyesToggle = options.onSwapEyesToggle || null; // Callback for swap eyes toggle
+    this.onHeatmapToggle = options.onHeatmapToggle || null; // Callback for heatmap overlay toggle
+    this.onHotspotSelect = options.onHotspotSelect || (() => {});
 
     // Force mono state (persists for VR session duration)
     this.forceMonoEnabled = false;
 
-    // Projection modes available
-    this.projectionModes = [
-      { id: '180', label: '180°' },
-      { id: '180_LR', label: '180° LR' },
-      { id: '180_MONO', label: '180° Mono' },
-      { id: '360', label: '360°' },
-      { id: '360_LR', label: '360° LR' },
-      { id: '360_TB', label: '360° TB' },
-      { id: 'EAC', label: 'EAC' },
-      { id: 'EAC_LR', label: 'EAC LR' },
-      { id: 'Sphere', label: 'Sphere' },
-      { id: 'SBS_MONO', label: 'Side by Side' },
-      { id: 'FISHEYE_180', label: 'Fisheye 180°' },
-      { id: 'FISHEYE_180_LR', label: 'Fisheye 180° LR' },
-      { id: 'FISHEYE_200', label: 'Fisheye 200°' },
-      { id: 'FISHEYE_200_LR', label: 'Fisheye 200° LR' },
-      { id: 'FISHEYE_220', label: 'Fisheye 220°' },
-      { id: 'FISHEYE_220_LR', label: 'Fisheye 220° LR' },
-      { id: 'FISHEYE_360', label: 'Fisheye 360°' },
-      { id: 'FISHEYE_360_LR', label: 'Fisheye 360° LR' }
-    ];
+    // Swap eyes state, mirrors the plugin's swapEyes option
+    this.swapEyesEnabled = !!options.swapEyes;
+
+    // Heatmap overlay state, mirrors the plugin's showHeatmap / hideHeatmap
+    this.heatmapEnabled = !!options.heatmap;
+
+    // Projection modes available, as registered with VR.registerProjection
+    this.projectionModes = getProjectionMenuModes();
     this.currentProjection = '180';
     this.projectionMenuVisible = false;
     // Scrollable menu: keep the panel a fixed height regardless of how
@@ -78,6 +69,10 @@ class VRHUD {
     // VR Gallery reference (set by plugin)
     this.vrGallery = null;
 
+    // Hotspots on the video sphere, raycast with the HUD's own elements for
+    // controllers (set by plugin)
+    this.hotspots = null;
+
     // Orientation offset (for lying down viewing)
     // Use YXZ order: yaw (Y) first, then pitch (X), to prevent horizon roll
     this.orientationOffset = new THREE.Euler(0, 0, 0, 'YXZ');
@@ -348,11 +343,11 @@ class VRHUD {
     buttonGroup.name = 'navigation-buttons';
 
     // Calculate button positions to fit within panel (width 2.6)
-    // With favorite button: 10 buttons (including force mono), spacing ~0.22
-    // Without favorite: 9 buttons, spacing ~0.24
+    // With favorite button: 12 buttons (including force mono, swap eyes and heatmap), spacing 0.18
+    // Without favorite: 11 buttons, spacing 0.2
     const hasOnFavorite = !!this.onFavorite;
-    const buttonSpacing = hasOnFavorite ? 0.22 : 0.24;
-    const startX = hasOnFavorite ? -0.99 : -0.96;
+    const buttonSpacing = hasOnFavorite ? 0.18 : 0.2;
+    const startX = -1.0;
 
     // Exit VR button (leftmost) - neutral base, red on hover
     this.exitBtn = this.createButton('✕', startX, -0.15, 'exit-vr', 0x2a2a2a, 0xff3366);
@@ -378,21 +373,31 @@ class VRHUD {
     this.forceMonoBtn = this.createButton('○', startX + buttonSpacing * 5, -0.15, 'force-mono', 0x2a3a5a);
     buttonGroup.add(this.forceMonoBtn);
 
+    // Swap eyes toggle button - for RL / BT stereo sources
+    this.swapEyesBtn = this.createButton('⇄', startX + buttonSpacing * 6, -0.15, 'swap-eyes', 0x2a3a5a);
+    buttonGroup.add(this.swapEyesBtn);
+    this.updateSwapEyesButton();
+
     // Orientation reset button
-    this.orientResetBtn = this.createButton('⟲', startX + buttonSpacing * 6, -0.15, 'reset-orientation');
+    this.orientResetBtn = this.createButton('⟲', startX + buttonSpacing * 7, -0.15, 'reset-orientation');
     buttonGroup.add(this.orientResetBtn);
 
     // Orientation drag handle
-    this.orientDragBtn = this.createButton('✋', startX + buttonSpacing * 7, -0.15, 'orientation-handle');
+    this.orientDragBtn = this.createButton('✋', startX + buttonSpacing * 8, -0.15, 'orientation-handle');
     buttonGroup.add(this.orientDragBtn);
 
     // Projection menu button
-    this.projectionBtn = this.createButton('🎬', startX + buttonSpacing * 8, -0.15, 'projection-menu');
+    this.projectionBtn = this.createButton('🎬', startX + buttonSpacing * 9, -0.15, 'projection-menu');
     buttonGroup.add(this.projectionBtn);
 
+    // Heatmap overlay toggle button
+    this.heatmapBtn = this.createButton('🔥', startX + buttonSpacing * 10, -0.15, 'heatmap', 0x2a3a5a);
+    buttonGroup.add(this.heatmapBtn);
+    this.updateHeatmapButton();
+
     // Favorite button (only if callback is provided) - rightmost
     if (hasOnFavorite) {
-      this.favoriteBtn = this.createButton('☆', startX + buttonSpacing * 9, -0.15, 'favorite');
+      this.favoriteBtn = this.createButton('☆', startX + buttonSpacing * 11, -0.15, 'favorite');
       this.favoriteBtnMesh = this.favoriteBtn.children.find(c => c.userData && c.userData.type === 'favorite');
       buttonGroup.add(this.favoriteBtn);
     }
@@ -877,13 +882,49 @@ class VRHUD {
     this.pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
 
     this.raycaster.setFromCamera(this.pointer, this.camera);
-    const intersects = this.raycaster.intersectObjects(this.interactiveElements);
+    // the plugin selects hotspots under the mouse itself
+    const intersects = this.intersectInteractive(false);
 
     if (intersects.length > 0) {
       this.handleInteraction(intersects[0].object, intersects[0].point);
     }
   }
 
+  // Whether a mouse or touch event is over a HUD element that handles
+  // clicks, so the canvas doesn't also toggle playback
+  hitTest(event) {
+    const point = event.changedTouches ? event.changedTouches[0] : event;
+    const rect = this.renderer.domElement.getBoundingClientRect();
+
+    if (!point) {
+      return false;
+    }
+
+    this.pointer.x = ((point.clientX - rect.left) / rect.width) * 2 - 1;
+    this.pointer.y = -((point.clientY - rect.top) / rect.height) * 2 + 1;
+
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+    return this.intersectInteractive(false).length > 0;
+  }
+
+  // Raycast the interactive elements and, for controllers and the gaze
+  // cursor, the hotspots, skipping hidden ones (the HUD outside of XR, a
+  // closed menu, hotspots outside of their time range)
+  intersectInteractive(withHotspots = true) {
+    const targets = withHotspots && this.hotspots ?
+      this.interactiveElements.concat(this.hotspots.getMeshes()) :
+      this.interactiveElements;
+
+    return this.raycaster.intersectObjects(targets).filter((intersect) => {
+      let visible = intersect.object.visible;
+
+      intersect.object.traverseAncestors((parent) => {
+        visible = visible && parent.visible;
+      });
+      return visible;
+    });
+  }
+
   handleMouseDown(event) {
     const rect = this.renderer.domElement.getBoundingClientRect();
 
@@ -891,7 +932,7 @@ class VRHUD {
     this.pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
 
     this.raycaster.setFromCamera(this.pointer, this.camera);
-    const intersects = this.raycaster.intersectObjects(this.interactiveElements);
+    const intersects = this.intersectInteractive(false);
 
     if (intersects.length > 0) {
       const obj = intersects[0].object;
@@ -961,7 +1002,7 @@ class VRHUD {
     this.raycaster.ray.origin.setFromMatrixPosition(controller.matrixWorld);
     this.raycaster.ray.direction.set(0, 0, -1).applyMatrix4(this.tempMatrix);
 
-    const intersects = this.raycaster.intersectObjects(this.interactiveElements);
+    const intersects = this.intersectInteractive();
 
     if (intersects.length > 0) {
       const obj = intersects[0].object;
@@ -1029,8 +1070,8 @@ class VRHUD {
       return;
     }
 
-    // Regular button clicks
-    const intersects = this.raycaster.intersectObjects(this.interactiveElements);
+    // Regular button clicks, and hotspots
+    const intersects = this.intersectInteractive();
 
     if (intersects.length > 0) {
       this.handleInteraction(intersects[0].object, intersects[0].point);
@@ -1142,6 +1183,26 @@ class VRHUD {
         this.onForceMonoToggle(this.forceMonoEnabled);
       }
       break;
+
+    case 'swap-eyes':
+      this.swapEyesEnabled = !this.swapEyesEnabled;
+      this.updateSwapEyesButton();
+      if (this.onSwapEyesToggle) {
+        this.onSwapEyesToggle(this.swapEyesEnabled);
+      }
+      break;
+
+    case 'hotspot':
+      this.onHotspotSelect(object.userData.hotspotId);
+      break;
+
+    case 'heatmap':
+      this.heatmapEnabled = !this.heatmapEnabled;
+      this.updateHeatmapButton();
+      if (this.onHeatmapToggle) {
+        this.onHeatmapToggle(this.heatmapEnabled);
+      }
+      break;
     }
   }
 
@@ -1196,6 +1257,53 @@ class VRHUD {
     this.updateForceMonoButton();
   }
 
+  // Update swap eyes button visual state
+  updateSwapEyesButton() {
+    if (!this.swapEyesBtn) return;
+
+    const btnMesh = this.swapEyesBtn.children.find(c => c.userData && c.userData.type === 'swap-eyes');
+
+    if (btnMesh) {
+      // Same colors as the force mono toggle
+      const color = this.swapEyesEnabled ? 0x00aa66 : 0x2a3a5a;
+
+      btnMesh.material.color.setHex(color);
+      btnMesh.userData.baseColor = color;
+    }
+  }
+
+  // Get swap eyes state
+  getSwapEyesEnabled() {
+    return this.swapEyesEnabled;
+  }
+
+  // Set swap eyes state (for external control)
+  setSwapEyesEnabled(enabled) {
+    this.swapEyesEnabled = enabled;
+    this.updateSwapEyesButton();
+  }
+
+  // Update heatmap button visual state
+  updateHeatmapButton() {
+    if (!this.heatmapBtn) return;
+
+    const btnMesh = this.heatmapBtn.children.find(c => c.userData && c.userData.type === 'heatmap');
+
+    if (btnMesh) {
+      // Same colors as the force mono toggle
+      const color = this.heatmapEnabled ? 0x00aa66 : 0x2a3a5a;
+
+      btnMesh.material.color.setHex(color);
+      btnMesh.userData.baseColor = color;
+    }
+  }
+
+  // Set heatmap overlay state (for external control)
+  setHeatmapEnabled(enabled) {
+    this.heatmapEnabled = enabled;
+    this.updateHeatmapButton();
+  }
+
   resetAutoHideTimer() {
     // Clear existing timer
     if (this.hideTimeout) {
@@ -1259,7 +1367,7 @@ class VRHUD {
   updateCursor() {
     // Raycast from camera center (gaze-based)
     this.raycaster.setFromCamera(new THREE.Vector2(0, 0), this.camera);
-    const intersects = this.raycaster.intersectObjects(this.interactiveElements);
+    const intersects = this.intersectInteractive();
 
     // Reset all interactive elements to base color first
     // (Controller highlighting is done separately in updateControllerRays)
@@ -1344,10 +1452,8 @@ class VRHUD {
       return;
     }
 
-    // Refresh layers every frame to prevent double vision
-    // This ensures HUD is always visible to both eyes identically
-    // The overhead is minimal compared to the rendering cost
-    this.refreshLayers();
+    // Layers are set when the HUD is shown and by the plugin whenever the
+    // eye meshes change, so there is no need to walk the HUD every frame
 
     this.updateScrubBar();
     this.updateTimeDisplay();
@@ -1,9 +1,35 @@
 import document from 'global/document';
+import window from 'global/window';
 
 import QUnit from 'qunit';
+import sinon from 'sinon';
+import * as THREE from 'three';
 import videojs from 'video.js';
 
 import plugin from '../src/plugin';
+import CameraPath from '../src/camera-path';
+import GazeRegions from '../src/gaze-regions';
+import ViewHeatmap from '../src/view-heatmap';
+import Hotspots from '../src/hotspots';
+import FadeVeil from '../src/fade-veil';
+import HeatmapOverlay from '../src/heatmap-overlay';
+import Tour from '../src/tour';
+import Annotations from '../src/annotations';
+import Authoring from '../src/authoring';
+import {parseShareHash, formatShareHash} from '../src/share-state';
+import Preferences from '../src/preferences';
+import Reframe from '../src/reframe';
+import VRGallery from '../src/vr-gallery';
+import OrbitOrientationControls from '../src/orbit-orientation-controls';
+import {getInternalProjectionName, validProjections} from '../src/utils';
+import {getCaptureCells, getCellDirection} from '../src/frame-capture';
+import {getProjection, getProjectionMenuModes, getProjectionNames} from '../src/projection-registry';
+import {
+  getGPanoCoverage,
+  getProjectionFromMetadata,
+  parseGPano,
+  parseSpatialMetadata
+} from '../src/spatial-metadata';
 
 const Player = videojs.getComponent('Player');
 
@@ -75,3 +101,1215 @@ QUnit.test('playback', function(assert) {
 
   this.player.on('timeupdate', onTimeupdate);
 });
+
+QUnit.test('swaps eyes through the option and setSwapEyes', function(assert) {
+  const vr = this.player.vr({projection: '360_LR', swapEyes: true});
+  const events = [];
+
+  vr.on('vr-swap-eyes', (e, data) => events.push(data.enabled));
+
+  assert.strictEqual(vr.getSwapEyes(), true, 'option sets the initial state');
+
+  vr.setSwapEyes(true);
+  vr.setSwapEyes(false);
+
+  assert.strictEqual(vr.getSwapEyes(), false, 'state updated');
+  assert.deepEqual(events, [false], 'only changes trigger vr-swap-eyes');
+});
+
+QUnit.test('switches view modes through the option and setViewMode', function(assert) {
+  const vr = this.player.vr({projection: '360', viewMode: 'littlePlanet'});
+  const events = [];
+
+  vr.on('vr-view-mode', (e, data) => events.push({mode: data.mode, fov: data.fov, distance: data.distance}));
+
+  assert.strictEqual(vr.getViewMode(), 'littlePlanet', 'option sets the initial mode');
+
+  vr.setViewMode('stereographic', {fov: 120, duration: 0});
+  vr.setViewMode('fisheye');
+
+  assert.strictEqual(vr.getViewMode(), 'stereographic', 'unknown modes are ignored');
+  assert.deepEqual(events, [{mode: 'stereographic', fov: 120, distance: 1}], 'triggers vr-view-mode');
+});
+
+QUnit.test('view modes wider than maxFov raise the zoom limit', function(assert) {
+  const vr = this.player.vr({projection: '360', viewMode: 'littlePlanet'});
+
+  assert.strictEqual(vr.getMaxFov_(), 130, 'zooms out to the little planet fov');
+
+  vr.setViewMode('perspective', {duration: 0});
+  assert.strictEqual(vr.getMaxFov_(), 120, 'back to maxFov');
+});
+
+QUnit.test('rejects setFov without a number', function(assert) {
+  const vr = this.player.vr({projection: '360'});
+  const fov = vr.getFov();
+
+  vr.setFov('wide');
+
+  assert.strictEqual(vr.getFov(), fov, 'fov unchanged');
+});
+
+QUnit.test('animateViewTo resolves false until the view can move', function(assert) {
+  const done = assert.async();
+  const vr = this.player.vr({projection: '360'});
+
+  vr.animateViewTo({yaw: 90}, {duration: 0}).then((arrived) => {
+    assert.strictEqual(arrived, false, 'no orbit controls before initialization');
+    done();
+  });
+});
+
+QUnit.test('only fetches spatial metadata for spatial frame shapes by default', function(assert) {
+  const vr = this.player.vr({projection: 'AUTO'});
+  const frame = {videoWidth: 3840, videoHeight: 1920};
+
+  this.player.currentSrc = () => '/samples/eagle-360.mp4';
+  this.player.currentType = () => 'video/mp4';
+  vr.getVideoEl_ = () => frame;
+
+  assert.ok(vr.shouldLoadSpatialMetadata_(), 'fetched for a 2:1 AUTO source');
+
+  frame.videoHeight = 2160;
+  assert.notOk(vr.shouldLoadSpatialMetadata_(), 'not for a 16:9 one');
+
+  vr.options_.spatialMetadata = true;
+  assert.ok(vr.shouldLoadSpatialMetadata_(), 'unless the option is true');
+
+  vr.options_.spatialMetadata = false;
+  frame.videoHeight = 1920;
+  assert.notOk(vr.shouldLoadSpatialMetadata_(), 'never when the option is false');
+
+  vr.options_.spatialMetadata = 'auto';
+  vr.currentProjection_ = '360';
+  assert.notOk(vr.shouldLoadSpatialMetadata_(), 'never for an explicit projection');
+});
+
+QUnit.test('initializes without the spatial metadata when using it throws', function(assert) {
+  const done = assert.async();
+  const vr = this.player.vr({projection: 'AUTO', spatialMetadata: true});
+  const fetch = window.fetch;
+  let inits = 0;
+
+  this.player.currentSrc = () => '/samples/eagle-360.mp4';
+  this.player.currentType = () => 'video/mp4';
+  window.fetch = () => Promise.reject(new Error('offline'));
+  vr.init = () => {
+    inits++;
+
+    if (inits === 1) {
+      throw new Error('init failed');
+    }
+
+    window.fetch = fetch;
+    assert.strictEqual(vr.getSpatialMetadata(), null, 'no metadata');
+    done();
+  };
+
+  vr.loadSpatialMetadata_();
+});
+
+QUnit.test('captures resolve null before initialization', function(assert) {
+  const done = assert.async();
+  const vr = this.player.vr({projection: '360'});
+
+  Promise.all([vr.captureViewport(), vr.captureFrame({format: 'equirect'})]).then((images) => {
+    assert.deepEqual(images, [null, null], 'nothing to render yet');
+    done();
+  });
+});
+
+QUnit.test('stopping a reframe recording that never started resolves null', function(assert) {
+  const done = assert.async();
+  const vr = this.player.vr({projection: '360'});
+
+  assert.strictEqual(vr.isReframeRecording(), false, 'not recording');
+
+  vr.stopReframeRecording().then((video) => {
+    assert.strictEqual(video, null, 'no video');
+    done();
+  });
+});
+
+QUnit.test('view directions are the source\'s under orientation offsets', function(assert) {
+  const vr = this.player.vr({projection: '360'});
+  const hotspot = {id: 'door', yaw: -50, pitch: 5};
+  const near = (direction, expected) => Math.abs(direction.yaw - expected.yaw) < 1e-6 &&
+    Math.abs(direction.pitch - expected.pitch) < 1e-6;
+  const sourceDirection = () => {
+    const direction = vr.camera.getWorldDirection(new THREE.Vector3())
+      .applyQuaternion(vr.movieScreen.quaternion.clone().invert());
+
+    return {
+      yaw: THREE.MathUtils.radToDeg(Math.atan2(direction.x, -direction.z)),
+      pitch: THREE.MathUtils.radToDeg(Math.asin(direction.y))
+    };
+  };
+
+  // the HUD has turned the source 40 degrees and the controls tilt the view
+  vr.camera = new THREE.PerspectiveCamera();
+  vr.movieScreen = new THREE.Mesh();
+  vr.movieScreen.userData.baseQuaternion = new THREE.Quaternion();
+  vr.movieScreen.quaternion.setFromEuler(new THREE.Euler(0, THREE.MathUtils.degToRad(-40), 0));
+  vr.controls3d = new OrbitOrientationControls({
+    camera: vr.camera,
+    canvas: document.createElement('canvas'),
+    minFov: 30,
+    maxFov: 120
+  });
+  vr.controls3d.setOrientationOffset({x: THREE.MathUtils.degToRad(10)});
+
+  vr.setViewDirection({yaw: 30, pitch: 20});
+  assert.ok(near(vr.getViewDirection(), {yaw: 30, pitch: 20}), 'getViewDirection reports what setViewDirection took');
+
+  vr.controls3d.update();
+  assert.ok(near(sourceDirection(), {yaw: 30, pitch: 20}), 'the camera faces that direction of the source');
+
+  vr.setViewDirection({pitch: -15});
+  vr.controls3d.update();
+  assert.ok(near(sourceDirection(), {yaw: 30, pitch: -15}), 'a left out yaw stays as it is');
+
+  vr.addHotspot(hotspot);
+  vr.setViewDirection(hotspot);
+  vr.controls3d.update();
+  assert.ok(near(sourceDirection(), hotspot), 'setViewDirection faces a hotspot');
+  assert.ok(near(vr.getShareState(), hotspot), 'and shares its direction');
+
+  vr.controls3d.dispose();
+  vr.controls3d = null;
+  vr.camera = null;
+  vr.movieScreen = null;
+});
+
+QUnit.test('restored preferences wait for the gallery and are removed on reset', function(assert) {
+  const vr = this.player.vr({projection: '360'});
+  const xr = new THREE.EventDispatcher();
+  const items = Array.from({length: 20}, (item, index) => ({title: `Item ${index}`}));
+
+  xr.getController = () => new THREE.Group();
+  vr.getPreferences = () => ({forceMono: true, galleryScroll: 0.5});
+  vr.renderer = {xr, domElement: document.createElement('canvas')};
+  vr.vrHUD = {setForceMonoEnabled() {}, dispose() {}};
+  vr.vrGallery = new VRGallery({scene: new THREE.Scene(), camera: new THREE.PerspectiveCamera(), renderer: vr.renderer});
+  vr.applyForceMonoProjection_ = () => {};
+
+  vr.restorePreferences_();
+  assert.strictEqual(vr.vrGallery.scrollPosition, 0, 'nothing to scroll yet');
+
+  vr.vrGallery.setMediaItems(items);
+  assert.strictEqual(vr.vrGallery.scrollPosition, 0.5, 'scrolled once the items are laid out');
+
+  vr.vrGallery.setMediaItems(items);
+  assert.strictEqual(vr.vrGallery.scrollPosition, 0, 'only the first time');
+
+  assert.ok(xr.hasEventListener('sessionstart', vr.onForceMonoSessionStart_), 'force mono waits for an XR session');
+
+  vr.initialized_ = true;
+  vr.reset();
+  assert.notOk(xr.hasEventListener('sessionstart', vr.onForceMonoSessionStart_), 'reset stops waiting');
+
+  vr.renderer = null;
+});
+
+QUnit.test('regions follow the source under an orientation offset', function(assert) {
+  const vr = this.player.vr({projection: '360'});
+  const entered = [];
+  const offset = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, THREE.MathUtils.degToRad(-40), 0));
+
+  // the HUD has turned the source 40 degrees to the right and the viewer
+  // has turned with it
+  vr.camera = new THREE.PerspectiveCamera();
+  vr.camera.quaternion.copy(offset);
+  vr.movieScreen = new THREE.Mesh();
+  vr.movieScreen.userData.baseQuaternion = new THREE.Quaternion();
+  vr.movieScreen.quaternion.copy(offset);
+
+  vr.on('vr-region-enter', (e, data) => entered.push(data.region.id));
+  vr.addRegion({id: 'source', yaw: 0, pitch: 0, radius: 10});
+  vr.addRegion({id: 'scene', yaw: 40, pitch: 0, radius: 10});
+  vr.updateGaze_(0);
+
+  assert.strictEqual(Math.round(vr.getViewDirection().yaw), 0, 'looking at the source\'s centre');
+  assert.deepEqual(entered, ['source'], 'entered the region at the source\'s centre');
+  assert.strictEqual(Math.round(vr.getShareState().yaw), 0, 'shares the same direction');
+
+  vr.camera = null;
+  vr.movieScreen = null;
+});
+
+QUnit.test('clicks and taps select hotspots without the HUD', function(assert) {
+  const vr = this.player.vr({projection: '360', enableVRHUD: false});
+  const canvas = document.createElement('canvas');
+  const selected = [];
+
+  // a 100px square canvas at the top left of the page
+  canvas.getBoundingClientRect = () => ({left: 0, top: 0, width: 100, height: 100});
+
+  const centre = {clientX: 50, clientY: 50};
+  const corner = {clientX: 1, clientY: 1};
+
+  vr.renderedCanvas = canvas;
+  vr.camera = new THREE.PerspectiveCamera(60, 1);
+  vr.addHotspot({id: 'ahead', yaw: 0, pitch: 0});
+  vr.hotspots_.update(vr.camera, new THREE.Quaternion(), 0);
+  vr.hotspots_.group.updateMatrixWorld(true);
+  vr.on('vr-hotspot-select', (e, data) => selected.push(data.hotspot.id));
+
+  assert.strictEqual(vr.hitHotspot_({changedTouches: [centre]}), 'ahead', 'a touch is read from its changed touch');
+  assert.strictEqual(vr.hitHotspot_({changedTouches: [corner]}), null, 'nothing under the corner');
+
+  vr.onHotspotPointerDown_(Object.assign({type: 'pointerdown', button: 0}, centre));
+  vr.onHotspotPointerUp_(Object.assign({type: 'pointerup', button: 0}, centre));
+  assert.deepEqual(selected, ['ahead'], 'a press and release on the marker selects it');
+
+  vr.onHotspotPointerDown_(Object.assign({type: 'pointerdown', button: 0}, centre));
+  vr.onHotspotPointerUp_({type: 'pointerup', button: 0, clientX: centre.clientX + 20, clientY: centre.clientY});
+  assert.deepEqual(selected, ['ahead'], 'dragging the view off the marker does not');
+
+  vr.camera = null;
+  vr.renderedCanvas = null;
+});
+
+QUnit.test('points an AUTO tour scene once init has built its screen', function(assert) {
+  const done = assert.async();
+  const vr = this.player.vr({projection: '360', spatialMetadata: true});
+  const headings = [];
+  let shown = false;
+
+  this.player.src = () => {};
+  // init itself is stood in for below
+  vr.off(this.player, 'loadedmetadata', vr.init);
+  vr.applySceneHeading_ = (scene, heading) => headings.push(heading);
+
+  vr.loadTour({scenes: {lobby: {src: '/samples/eagle-360.mp4', projection: 'AUTO', view: {yaw: 90}}}}).then((loaded) => {
+    shown = true;
+    assert.strictEqual(loaded, true, 'the scene shows');
+    assert.deepEqual(headings, ['view'], 'pointed at the scene\'s view');
+    done();
+  });
+
+  window.setTimeout(() => {
+    // the source loads while init is still reading its metadata
+    this.player.trigger('loadedmetadata');
+
+    window.setTimeout(() => {
+      assert.deepEqual(headings, [], 'not pointed before init finishes');
+      assert.notOk(shown, 'the veil stays up');
+
+      // what the first frame after init does
+      vr.settleSceneHeading_(true);
+    }, 0);
+  }, 0);
+});
+
+QUnit.test('shows a tour scene whose source does not load', function(assert) {
+  const done = assert.async();
+  const vr = this.player.vr({projection: '360'});
+  const clock = sinon.useFakeTimers();
+
+  // like a preload="none" source, nothing loads until it plays
+  this.player.src = () => clock.tick(5000);
+
+  vr.loadTour({scenes: {lobby: {src: '/samples/eagle-360.mp4', view: {yaw: 90}}}}).then((loaded) => {
+    clock.restore();
+    assert.strictEqual(loaded, true, 'the scene shows');
+    assert.strictEqual(vr.getTourScene(), 'lobby', 'is the current scene');
+    assert.ok(vr.pendingSceneHeading_, 'the heading waits for init');
+    done();
+  });
+});
+
+QUnit.test('ending a tour cancels its transition', function(assert) {
+  const done = assert.async();
+  const vr = this.player.vr({projection: '360'});
+
+  this.player.src = () => {};
+
+  vr.loadTour({scenes: {lobby: {src: '/samples/eagle-360.mp4'}}}).then((loaded) => {
+    assert.strictEqual(loaded, false, 'the transition resolves false');
+    assert.strictEqual(vr.sceneTransition_, null, 'no transition is running');
+    assert.strictEqual(vr.fadeVeil_.mesh.material.opacity, 0, 'the veil is lifted');
+    done();
+  });
+
+  window.setTimeout(() => vr.endTour(), 0);
+});
+
+QUnit.module('projection registry', {
+  afterEach() {
+    plugin.unregisterProjection('TEST_DOME');
+    plugin.unregisterProjection('CYLINDER_100_TB');
+  }
+});
+
+QUnit.test('registers custom projections and resolves their aliases', function(assert) {
+  const build = () => ({});
+
+  assert.ok(plugin.registerProjection('TEST_DOME', {
+    build,
+    fov: 180,
+    aliases: ['dome', /^planetarium$/i],
+    label: 'Test Dome'
+  }), 'registration succeeds');
+
+  assert.strictEqual(getInternalProjectionName('test_dome'), 'TEST_DOME', 'name matches case-insensitively');
+  assert.strictEqual(getInternalProjectionName('Dome'), 'TEST_DOME', 'string alias resolves');
+  assert.strictEqual(getInternalProjectionName('PLANETARIUM'), 'TEST_DOME', 'RegExp alias resolves');
+  assert.ok(getProjectionMenuModes().some((mode) => mode.id === 'TEST_DOME' && mode.label === 'Test Dome'), 'listed in the HUD menu');
+});
+
+QUnit.test('unregisters projections', function(assert) {
+  plugin.registerProjection('TEST_DOME', {build: () => ({}), aliases: ['dome'], label: 'Test Dome'});
+
+  assert.ok(plugin.unregisterProjection('TEST_DOME'), 'unregistration succeeds');
+  assert.notOk(plugin.unregisterProjection('TEST_DOME'), 'only once');
+  assert.strictEqual(getInternalProjectionName('dome'), undefined, 'aliases no longer resolve');
+  assert.strictEqual(getProjectionNames().indexOf('TEST_DOME'), -1, 'not listed');
+  assert.notOk(getProjectionMenuModes().some((mode) => mode.id === 'TEST_DOME'), 'not in the HUD menu');
+});
+
+QUnit.test('built-in projections resolve through the registry', function(assert) {
+  assert.strictEqual(getInternalProjectionName('Sphere'), '360', 'sphere alias');
+  assert.strictEqual(getInternalProjectionName('equirectangular'), '360', 'equirectangular alias');
+  assert.strictEqual(getInternalProjectionName('cube'), '360_CUBE', 'cube alias');
+  assert.strictEqual(getInternalProjectionName('SBS_LRF'), 'SBS_MONO', 'SBS alias');
+  assert.strictEqual(getInternalProjectionName('fisheye_220_lr'), 'FISHEYE_220_LR', 'exact name');
+  assert.strictEqual(getInternalProjectionName('auto'), 'AUTO', 'AUTO is reserved');
+  assert.strictEqual(getInternalProjectionName('nope'), undefined, 'unknown projection');
+});
+
+QUnit.test('validProjections follows the registry', function(assert) {
+  ['360', '360_CUBE', 'SBS_MONO', 'FISHEYE_220_LR', 'AUTO'].forEach((name) => {
+    assert.notStrictEqual(validProjections.indexOf(name), -1, `lists ${name}`);
+  });
+
+  plugin.registerProjection('TEST_DOME', {build: () => ({}), aliases: ['dome', /^planetarium$/i]});
+  assert.notStrictEqual(validProjections.indexOf('TEST_DOME'), -1, 'lists a registered projection');
+  assert.notStrictEqual(validProjections.indexOf('dome'), -1, 'and its string aliases');
+
+  plugin.unregisterProjection('TEST_DOME');
+  assert.strictEqual(validProjections.indexOf('dome'), -1, 'drops them when it is unregistered');
+});
+
+QUnit.test('rejects invalid projection definitions', function(assert) {
+  assert.notOk(plugin.registerProjection('NO_BUILD', {}), 'build function is required');
+  assert.notOk(plugin.registerProjection('auto', {build: () => ({})}), 'AUTO is reserved');
+  assert.strictEqual(getInternalProjectionName('NO_BUILD'), undefined, 'nothing was registered');
+});
+
+QUnit.test('cylinder projections build an open cylinder of the given vertical fov', function(assert) {
+  const meshes = getProjection('CYLINDER_90_LR').build({
+    videoTexture: new THREE.Texture(),
+    options: {sphereDetail: 8},
+    projection: 'CYLINDER_90_LR'
+  });
+  const params = meshes.left.geometry.parameters;
+
+  assert.strictEqual(getProjection('CYLINDER_90').verticalFov, 90, 'verticalFov is registered');
+  assert.ok(params.openEnded, 'no caps');
+  assert.ok(Math.abs(params.height - 2 * params.radiusTop) < 1e-9, '45 degrees above and below the horizon');
+  assert.ok(meshes.right.layers.isEnabled(2) && !meshes.right.layers.isEnabled(1), 'right eye mesh on layer 2');
+});
+
+QUnit.test('cylinder projections take any vertical fov below 180', function(assert) {
+  assert.strictEqual(getInternalProjectionName('cylinder_100_tb'), 'CYLINDER_100_TB', 'resolves a non-preset fov');
+
+  const definition = getProjection('CYLINDER_100_TB');
+  const meshes = definition.build({
+    videoTexture: new THREE.Texture(),
+    options: {sphereDetail: 8},
+    projection: 'CYLINDER_100_TB'
+  });
+  const params = meshes.left.geometry.parameters;
+
+  assert.strictEqual(definition.verticalFov, 100, 'verticalFov is registered');
+  assert.strictEqual(definition.stereo, 'TB', 'stereo layout is registered');
+  assert.ok(Math.abs(params.height - 2 * params.radiusTop * Math.tan(THREE.MathUtils.degToRad(50))) < 1e-9, '50 degrees above and below the horizon');
+  assert.notOk(getProjectionMenuModes().some((mode) => mode.id === 'CYLINDER_100_TB'), 'not added to the HUD menu');
+  assert.strictEqual(getInternalProjectionName('CYLINDER_180'), undefined, 'a flat cylinder would be infinitely tall');
+});
+
+QUnit.test('singleMeshStereo builds one mesh that picks its eye per draw', function(assert) {
+  const vr = {forceMonoEnabled: false, getSwapEyes: () => false};
+  const renderer = {xr: {isPresenting: false}};
+  const meshes = getProjection('180_TB').build({
+    vr,
+    videoTexture: new THREE.Texture(),
+    options: {singleMeshStereo: true, sphereDetail: 8},
+    projection: '180_TB'
+  });
+  const uniforms = meshes.screen.material.uniforms;
+  const leftCamera = new THREE.PerspectiveCamera();
+  const rightCamera = new THREE.PerspectiveCamera();
+
+  leftCamera.layers.set(1);
+  rightCamera.layers.set(2);
+
+  assert.notOk(meshes.left || meshes.right, 'no per-eye meshes');
+  assert.ok([0, 1, 2].every((layer) => meshes.screen.layers.isEnabled(layer)), 'shown on every layer');
+
+  meshes.screen.onBeforeRender(renderer, null, rightCamera);
+  assert.strictEqual(uniforms.uvOffset.value.y, 0, 'right eye samples the bottom half');
+
+  meshes.screen.onBeforeRender(renderer, null, leftCamera);
+  assert.strictEqual(uniforms.uvOffset.value.y, 0.5, 'left eye samples the top half');
+
+  vr.forceMonoEnabled = true;
+  meshes.screen.onBeforeRender(renderer, null, rightCamera);
+  assert.strictEqual(uniforms.uvOffset.value.y, 0.5, 'force mono shows the left eye to both');
+});
+
+const buildFisheyeLenses = (projection, fisheyeOptions, video, mediainfo) => {
+  const meshes = getProjection(projection).build({
+    player: {mediainfo},
+    video,
+    videoTexture: new THREE.Texture(),
+    options: {fisheyeOptions, sphereDetail: 8},
+    projection
+  });
+
+  return {meshes, uniforms: (meshes.screen || meshes.left).material.uniforms};
+};
+
+const closeTo = (actual, expected) => Math.abs(actual - expected) < 1e-6;
+
+QUnit.test('fisheye discs fill their part of the frame without calibration', function(assert) {
+  const video = {videoWidth: 1920, videoHeight: 1080};
+  const mono = buildFisheyeLenses('FISHEYE_180', {}, video).uniforms.lenses.value[0];
+  const dual = buildFisheyeLenses('FISHEYE_360', {}, video).uniforms;
+  const [front, back] = dual.lenses.value;
+
+  assert.deepEqual(mono.center.toArray(), [0.5, 0.5], 'centred');
+  assert.deepEqual(mono.radius.toArray(), [0.5, 0.5], 'stretched over a 16:9 frame');
+  assert.ok(closeTo(mono.halfFov, Math.PI / 2), 'the disc edge is 90 degrees off axis');
+  assert.strictEqual(mono.model, 0, 'equidistant');
+
+  assert.deepEqual(front.center.toArray(), [0.25, 0.5], 'front disc in the left half');
+  assert.deepEqual(back.center.toArray(), [0.75, 0.5], 'back disc in the right half');
+  assert.deepEqual(front.radius.toArray(), [0.25, 0.5], 'each fills its half');
+  assert.ok(closeTo(back.halfFov, Math.PI / 2), 'each lens covers a hemisphere');
+  assert.ok(new THREE.Vector3(0, 0, 1).applyMatrix3(back.rotation).distanceTo(new THREE.Vector3(0, 0, -1)) < 1e-6, 'the back lens faces +Z');
+  assert.strictEqual(dual.blendWidth.value, 0, 'hard seam');
+});
+
+QUnit.test('fisheye calibration places, sizes and turns each disc', function(assert) {
+  const video = {videoWidth: 3840, videoHeight: 1080};
+  const lenses = buildFisheyeLenses('FISHEYE_200_LR', {
+    centerX: 0.6,
+    centerY: 0.25,
+    radius: 0.45,
+    yaw: 90,
+    lenses: [{}, {centerX: 0.4, pitch: 30}]
+  }, video).meshes;
+  const [left] = lenses.left.material.uniforms.lenses.value;
+  const [right] = lenses.right.material.uniforms.lenses.value;
+  const axis = (lens) => new THREE.Vector3(0, 0, -1).applyMatrix3(lens.rotation.clone().invert());
+
+  assert.ok(closeTo(left.center.x, 0.3) && closeTo(left.center.y, 0.75), 'centre within the left half, from the top');
+  assert.ok(closeTo(right.center.x, 0.7), 'per-lens centre within the right half');
+  assert.ok(closeTo(left.radius.y, 0.45), 'radius of the image height');
+  assert.ok(closeTo(left.radius.x, 0.45 * 0.5 * 1080 / 1920), 'kept round in a 16:9 eye');
+  assert.ok(closeTo(left.halfFov, THREE.MathUtils.degToRad(100)), 'the projection angle');
+  assert.ok(axis(left).distanceTo(new THREE.Vector3(-1, 0, 0)) < 1e-6, 'yawed 90 degrees');
+  assert.ok(axis(right).y > 0.49, 'per-lens pitch on top of the shared yaw');
+
+  const fromMediainfo = buildFisheyeLenses('FISHEYE_180', {lens: 'equisolid'}, video, {
+    fisheyeOptions: {lens: 'stereographic', fov: 190}
+  }).uniforms.lenses.value[0];
+
+  assert.strictEqual(fromMediainfo.model, 3, 'mediainfo calibration wins');
+  assert.ok(closeTo(fromMediainfo.halfFov, THREE.MathUtils.degToRad(95)), 'fov overrides the projection angle');
+});
+
+QUnit.test('fisheye lens models', function(assert) {
+  const error = sinon.stub(videojs.log, 'error');
+  const model = (lens, projection = 'FISHEYE_180') =>
+    buildFisheyeLenses(projection, {lens}).uniforms.lenses.value[0];
+
+  ['equidistant', 'equisolid', 'orthographic', 'stereographic', 'polynomial'].forEach((lens, index) => {
+    assert.strictEqual(model(lens).model, index, `${lens} is model ${index}`);
+  });
+  assert.strictEqual(error.callCount, 0, 'known models log nothing');
+
+  assert.strictEqual(model('pinhole').model, 0, 'unknown models fall back to equidistant');
+  assert.strictEqual(error.callCount, 1, 'and log an error');
+
+  const orthographic = model('orthographic', 'FISHEYE_220');
+
+  assert.ok(closeTo(orthographic.halfFov, Math.PI / 2), 'orthographic lenses are clamped to 180 degrees');
+  assert.strictEqual(error.callCount, 2, 'and log an error');
+
+  assert.deepEqual(
+    buildFisheyeLenses('FISHEYE_180', {lens: 'polynomial', k: [0.1, -0.02]}).uniforms.lenses.value[0].k.toArray(),
+    [0.1, -0.02, 0, 0],
+    'missing polynomial coefficients are zero'
+  );
+
+  error.restore();
+});
+
+QUnit.test('dual fisheye seams blend within the shared field of view', function(assert) {
+  const blendWidth = (fisheyeOptions) => buildFisheyeLenses('FISHEYE_360', fisheyeOptions).uniforms.blendWidth.value;
+  const degrees = THREE.MathUtils.radToDeg;
+
+  assert.strictEqual(blendWidth({overlap: 12}), 0, '180 degree lenses share nothing');
+  assert.ok(closeTo(degrees(blendWidth({fov: 204, overlap: 12})), 12), 'the requested band');
+  assert.ok(closeTo(degrees(blendWidth({fov: 204, overlap: 40})), 24), 'at most what both lenses see');
+  assert.ok(closeTo(degrees(blendWidth({overlap: 40, lenses: [{fov: 200}, {fov: 190}]})), 10), 'limited by the narrower lens');
+  assert.strictEqual(blendWidth({fov: 204}), 0, 'no band without an overlap');
+});
+
+// The UVs of each cube face, keyed by the direction it is seen in: its
+// cell in the frame, and the corner of that cell the face's top left is in.
+const getCubeFaces = (mesh) => {
+  const position = mesh.geometry.getAttribute('position');
+  const uv = mesh.geometry.getAttribute('uv');
+  const faces = {};
+
+  mesh.updateMatrixWorld();
+
+  for (let face = 0; face < 6; face++) {
+    const center = new THREE.Vector3();
+    const us = [];
+    const vs = [];
+
+    for (let vertex = face * 4; vertex < face * 4 + 4; vertex++) {
+      center.add(new THREE.Vector3().fromBufferAttribute(position, vertex).applyMatrix4(mesh.matrixWorld));
+      us.push(uv.getX(vertex));
+      vs.push(uv.getY(vertex));
+    }
+
+    const axis = ['x', 'y', 'z'].reduce((a, b) => (Math.abs(center[a]) > Math.abs(center[b]) ? a : b));
+    const name = {x: ['l', 'r'], y: ['d', 'u'], z: ['f', 'b']}[axis][center[axis] > 0 ? 1 : 0];
+    const rect = [Math.min(...us), Math.min(...vs), Math.max(...us), Math.max(...vs)];
+    const topLeft = [uv.getX(face * 4), uv.getY(face * 4)];
+
+    faces[name] = {
+      rect,
+      topLeft: `${topLeft[1] === rect[3] ? 'top' : 'bottom'} ${topLeft[0] === rect[0] ? 'left' : 'right'}`
+    };
+  }
+
+  return faces;
+};
+
+QUnit.test('cube layouts map each face to its cell and rotation', function(assert) {
+  const error = sinon.stub(videojs.log, 'error');
+  const buildFaces = (cubeLayout, projection = '360_CUBE') => {
+    const meshes = getProjection(projection).build({
+      videoTexture: new THREE.Texture(),
+      options: {cubeLayout},
+      projection
+    });
+
+    return meshes.screen ? getCubeFaces(meshes.screen) : {left: getCubeFaces(meshes.left), right: getCubeFaces(meshes.right)};
+  };
+  // [col, row] from the top left, and clockwise turns in degrees, per face
+  const layouts = {
+    '3x2': {cols: 3, rows: 2, r: [0, 0], l: [1, 0], u: [2, 0], d: [0, 1], f: [1, 1], b: [2, 1]},
+    '2x3': {cols: 2, rows: 3, r: [0, 0], l: [1, 0], u: [0, 1], d: [1, 1], f: [0, 2], b: [1, 2]},
+    '6x1': {cols: 6, rows: 1, r: [0, 0], l: [1, 0], u: [2, 0], d: [3, 0], f: [4, 0], b: [5, 0]},
+    '1x6': {cols: 1, rows: 6, r: [0, 0], l: [0, 1], u: [0, 2], d: [0, 3], f: [0, 4], b: [0, 5]},
+    'facebook': {cols: 3, rows: 2, l: [0, 0], f: [1, 0], r: [2, 0], d: [0, 1, 270], b: [1, 1, 90], u: [2, 1, 270]}
+  };
+  const corners = {0: 'top left', 90: 'top right', 180: 'bottom right', 270: 'bottom left'};
+
+  Object.keys(layouts).forEach((name) => {
+    const layout = layouts[name];
+    const faces = buildFaces(name);
+
+    'rludfb'.split('').forEach((face) => {
+      const [col, row, turn = 0] = layout[face];
+      const rect = [col / layout.cols, 1 - (row + 1) / layout.rows, (col + 1) / layout.cols, 1 - row / layout.rows];
+
+      assert.ok(faces[face].rect.every((value, i) => closeTo(value, rect[i])), `${name}: ${face} samples cell ${col}, ${row}`);
+      assert.strictEqual(faces[face].topLeft, corners[turn], `${name}: ${face} is turned ${turn} degrees`);
+    });
+  });
+
+  const stereo = buildFaces('facebook', '360_CUBE_LR');
+
+  assert.ok(closeTo(stereo.left.f.rect[0], 1 / 6) && closeTo(stereo.right.f.rect[0], 4 / 6), 'LR layouts are packed into each eye\'s half');
+  assert.strictEqual(stereo.right.u.topLeft, 'bottom left', 'and keep their rotations');
+
+  const custom = buildFaces({cols: 6, rows: 1, order: 'fbrlud', rotation: [0, 180]}).b;
+
+  assert.ok(custom.rect.every((value, i) => closeTo(value, [1 / 6, 0, 2 / 6, 1][i])), 'custom layouts give their own order');
+  assert.strictEqual(custom.topLeft, 'bottom right', 'and rotation');
+  assert.strictEqual(error.callCount, 0, 'valid layouts log nothing');
+
+  assert.deepEqual(buildFaces('4x4'), buildFaces('3x2'), 'unknown layouts fall back to 3x2');
+  assert.deepEqual(buildFaces({cols: 3, rows: 2, order: 'rludfx'}), buildFaces('3x2'), 'as do invalid custom ones');
+  assert.strictEqual(error.callCount, 2, 'with an error each');
+
+  error.restore();
+});
+
+QUnit.test('EAC_TB gives each eye its half of the frame', function(assert) {
+  const video = {videoWidth: 3072, videoHeight: 4096};
+  const build = (options) => getProjection('EAC_TB').build({
+    vr: {forceMonoEnabled: false, getSwapEyes: () => false},
+    videoTexture: new THREE.Texture(video),
+    options,
+    projection: 'EAC_TB'
+  });
+  const meshes = build({});
+  const mapUv = (mesh, u, v) => new THREE.Vector2(u, v).applyMatrix3(mesh.material.uniforms.mapMatrix.value).toArray();
+  const uniforms = meshes.left.material.uniforms;
+
+  assert.ok(meshes.left.layers.isEnabled(1) && !meshes.left.layers.isEnabled(2), 'left eye mesh on layer 1');
+  assert.ok(meshes.right.layers.isEnabled(2) && !meshes.right.layers.isEnabled(1), 'right eye mesh on layer 2');
+  assert.deepEqual([mapUv(meshes.left, 0, 0), mapUv(meshes.left, 1, 1)], [[0, 0.5], [1, 1]], 'left eye samples the top half');
+  assert.deepEqual([mapUv(meshes.right, 0, 0), mapUv(meshes.right, 1, 1)], [[0, 0], [1, 0.5]], 'right eye samples the bottom half');
+  assert.ok(closeTo(uniforms.faceWH.value.x, 1 / 3) && closeTo(uniforms.faceWH.value.y, 1 / 4), 'a face is a third wide and a quarter high');
+  assert.deepEqual(uniforms.vidWH.value.toArray(), [3072, 4096], 'the whole frame in pixels');
+
+  const screen = build({singleMeshStereo: true}).screen;
+  const rightCamera = new THREE.PerspectiveCamera();
+
+  rightCamera.layers.set(2);
+  screen.onBeforeRender({xr: {isPresenting: false}}, null, rightCamera);
+  assert.deepEqual(mapUv(screen, 1, 1), [1, 0.5], 'a single mesh switches to the bottom half for the right eye');
+});
+
+QUnit.test('equirectShader samples each eye through its uniforms', function(assert) {
+  const texture = new THREE.Texture();
+  const build = (projection, options = {}) => getProjection(projection).build({
+    vr: {forceMonoEnabled: false, getSwapEyes: () => false},
+    videoTexture: texture,
+    options: Object.assign({equirectShader: true, sphereDetail: 128}, options),
+    projection
+  });
+  const eyeUVs = (mesh) => [mesh.material.uniforms.uvScale.value.toArray(), mesh.material.uniforms.uvOffset.value.toArray()];
+  const mono = build('360').screen;
+  const lr = build('360_LR');
+  const tb = build('360_TB');
+
+  assert.ok(mono.material.isShaderMaterial, 'a shader material');
+  assert.strictEqual(mono.material.uniforms.map.value, texture, 'samples the video texture');
+  assert.strictEqual(mono.geometry.parameters.widthSegments, 32, 'on a coarse sphere whatever the sphereDetail');
+  assert.deepEqual(eyeUVs(mono), [[1, 1], [0, 0]], 'mono samples the whole frame');
+
+  assert.deepEqual(eyeUVs(lr.left), [[0.5, 1], [0, 0]], 'LR left eye samples the left half');
+  assert.deepEqual(eyeUVs(lr.right), [[0.5, 1], [0.5, 0]], 'LR right eye samples the right half');
+  assert.deepEqual(eyeUVs(tb.left), [[1, 0.5], [0, 0.5]], 'TB left eye samples the top half');
+  assert.deepEqual(eyeUVs(tb.right), [[1, 0.5], [0, 0]], 'TB right eye samples the bottom half');
+  assert.ok(tb.left.layers.isEnabled(1) && !tb.left.layers.isEnabled(2), 'one eye per mesh');
+
+  const screen = build('360_LR', {singleMeshStereo: true}).screen;
+  const material = screen.material;
+  const rightCamera = new THREE.PerspectiveCamera();
+
+  rightCamera.layers.set(2);
+  screen.onBeforeRender({xr: {isPresenting: false}}, null, rightCamera);
+  assert.strictEqual(screen.material, material, 'a single mesh keeps the equirect shader');
+  assert.deepEqual(eyeUVs(screen), [[0.5, 1], [0.5, 0]], 'and switches its uniforms to the right eye');
+});
+
+QUnit.module('orbit controls');
+
+QUnit.test('disposing settles a running animation', function(assert) {
+  const done = assert.async();
+  const controls = new OrbitOrientationControls({
+    camera: new THREE.PerspectiveCamera(),
+    canvas: document.createElement('canvas'),
+    minFov: 30,
+    maxFov: 120
+  });
+
+  controls.animateTo({yaw: 90}, 1000).then((arrived) => {
+    assert.strictEqual(arrived, false, 'resolves with false');
+    assert.notOk(controls.isAnimating(), 'no longer animating');
+    done();
+  });
+  controls.dispose();
+});
+
+QUnit.module('camera path');
+
+QUnit.test('interpolates keyframes and turns the shorter way', function(assert) {
+  const path = new CameraPath([
+    {time: 10, yaw: -170, pitch: 0},
+    {time: 0, yaw: 170, pitch: 10}
+  ]);
+
+  assert.deepEqual(path.sample(-1), {yaw: 170, pitch: 10, fov: undefined}, 'holds the first keyframe');
+  assert.deepEqual(path.sample(5), {yaw: 180, pitch: 5, fov: undefined}, 'crosses the back, not the front');
+  assert.strictEqual(path.sample(20).yaw, 190, 'holds the last keyframe');
+  assert.strictEqual(new CameraPath([]).sample(0), null, 'empty path');
+});
+
+QUnit.test('reads keyframes from metadata cues', function(assert) {
+  const path = CameraPath.fromCues([
+    {startTime: 1, text: '{"yaw": 10, "pitch": 5, "fov": 60}'},
+    {startTime: 2, text: '{"yaw": 20, "fov": 70}'}
+  ]);
+
+  assert.deepEqual(path.sample(1.5), {yaw: 15, pitch: 5, fov: 65}, 'cue start times are the keyframe times');
+});
+
+QUnit.module('gaze regions');
+
+QUnit.test('enters and leaves regions within their time range', function(assert) {
+  const regions = new GazeRegions();
+
+  regions.add({id: 'a', yaw: 90, pitch: 0, radius: 10, startTime: 5, endTime: 10});
+
+  assert.deepEqual(regions.update({yaw: 85, pitch: 5}, 0).entered, [], 'not active before startTime');
+
+  const entered = regions.update({yaw: 85, pitch: 5}, 5).entered;
+
+  assert.deepEqual(entered.map((region) => region.id), ['a'], 'entered inside the radius');
+  assert.deepEqual(regions.update({yaw: 80, pitch: 5}, 6).left.map((region) => region.id), ['a'], 'left outside the radius');
+  regions.update({yaw: 90, pitch: 0}, 7);
+  assert.strictEqual(regions.update({yaw: 90, pitch: 0}, 10).left.length, 1, 'left at endTime');
+  regions.update({yaw: 90, pitch: 0}, 7);
+  assert.strictEqual(regions.remove('a').id, 'a', 'removing an entered region returns it');
+});
+
+QUnit.module('view heatmap');
+
+QUnit.test('buckets samples and peaks where they were looked at', function(assert) {
+  const heatmap = new ViewHeatmap({bucketSize: 2, src: 'a.mp4'});
+
+  heatmap.record(0.5, {yaw: 90.04, pitch: 0, fov: 60});
+  heatmap.record(3, {yaw: -90, pitch: 0, fov: 60});
+
+  assert.deepEqual(heatmap.getSamples(0, 1), [[90, 0, 60]], 'only the buckets in the range');
+
+  const grid = heatmap.getGrid(8, 4, 0, 1);
+
+  // yaw 90 and pitch just above 0 fall in column 6, row 2
+  assert.strictEqual(grid[2 * 8 + 6], 1, 'peak at the sample');
+  assert.strictEqual(grid[2 * 8 + 2], 0, 'nothing behind it');
+
+  const copy = ViewHeatmap.fromJSON(JSON.stringify(heatmap));
+
+  assert.deepEqual(copy.toJSON(), heatmap.toJSON(), 'round trips through JSON');
+  assert.strictEqual(ViewHeatmap.fromJSON('{}'), null, 'rejects data without buckets');
+});
+
+QUnit.module('hotspots');
+
+QUnit.test('places markers and shows them within their time range', function(assert) {
+  const hotspots = new Hotspots();
+  const camera = new THREE.PerspectiveCamera();
+
+  hotspots.add({id: 'a', yaw: 90, pitch: 0, startTime: 5});
+  hotspots.add({id: 'a', yaw: 0, pitch: 90, startTime: 5, label: 'Up'});
+
+  const mesh = hotspots.getMeshes()[0];
+
+  assert.strictEqual(hotspots.getMeshes().length, 1, 'same id replaces the hotspot');
+  assert.ok(mesh.position.y > 199 && Math.abs(mesh.position.x) < 1e-6, 'pitch 90 is straight up');
+
+  hotspots.update(camera, new THREE.Quaternion(), 0);
+  assert.notOk(mesh.visible, 'hidden before startTime');
+  hotspots.update(camera, new THREE.Quaternion(), 5);
+  assert.ok(mesh.visible, 'shown from startTime');
+  assert.strictEqual(hotspots.get('a').endTime, Infinity, 'shown to the end by default');
+
+  hotspots.dispose();
+  assert.deepEqual(hotspots.getAll(), [], 'dispose removes every hotspot');
+});
+
+QUnit.test('markers draw under the fade veil and over the heatmap', function(assert) {
+  const hotspots = new Hotspots();
+  const veil = new FadeVeil();
+  const heatmap = new HeatmapOverlay(new THREE.Scene(), {width: 8, height: 4, radius: 256});
+
+  hotspots.add({id: 'a', yaw: 0, pitch: 0});
+
+  const marker = hotspots.getMeshes()[0].renderOrder;
+
+  assert.ok(marker < veil.mesh.renderOrder, 'a tour\'s fade covers the markers');
+  assert.ok(veil.mesh.renderOrder < 0, 'and not the HUD');
+  assert.ok(heatmap.mesh.renderOrder < marker, 'the heatmap stays under the markers');
+
+  hotspots.dispose();
+  veil.dispose();
+  heatmap.dispose();
+});
+
+QUnit.module('tour');
+
+QUnit.test('turns scene links into hotspots', function(assert) {
+  const links = [];
+  const tour = new Tour({
+    scenes: {
+      lobby: {
+        src: 'lobby.mp4',
+        hotspots: [{id: 'desk', yaw: 30, pitch: 0}],
+        links: [{scene: 'hall', yaw: 90, pitch: 0, heading: 45}, {scene: 'nowhere', yaw: 0, pitch: 0}]
+      },
+      hall: {src: 'hall.mp4'},
+      broken: {}
+    }
+  });
+
+  assert.strictEqual(tour.firstScene, 'lobby', 'starts at the first scene');
+  assert.notOk(tour.getScene('broken'), 'scenes without a src are left out');
+
+  const hotspots = tour.getHotspots('lobby', (link) => links.push(link));
+
+  assert.deepEqual(hotspots.map((hotspot) => hotspot.id), ['desk', 'lobby->hall'], 'links to unknown scenes are left out');
+  hotspots[1].onSelect(hotspots[1]);
+  assert.strictEqual(links[0].heading, 45, 'selecting a link passes it on');
+  assert.notOk(Tour.isValid({scenes: {}}), 'needs a scene');
+});
+
+QUnit.module('annotations');
+
+QUnit.test('shows a card for each active cue', function(assert) {
+  const annotations = new Annotations();
+  const camera = new THREE.PerspectiveCamera();
+  const rotation = new THREE.Quaternion();
+  const cues = [
+    {startTime: 5, endTime: 10, text: '{"yaw": 90, "pitch": 0, "text": "East"}'},
+    {startTime: 5, endTime: 10, text: 'not json'}
+  ];
+
+  annotations.update(cues, 0, camera, rotation);
+  assert.strictEqual(annotations.group.children.length, 0, 'cards are built once their cue is active');
+
+  annotations.update(cues, 6, camera, rotation);
+
+  const card = annotations.group.children[0];
+
+  assert.strictEqual(annotations.group.children.length, 1, 'invalid cues are skipped');
+  assert.ok(card.visible && card.position.x > 179, 'yaw 90 is to the right');
+
+  annotations.update(cues, 10, camera, rotation);
+  assert.notOk(card.visible, 'hidden once the cue ends');
+
+  annotations.update([], 6, camera, rotation);
+  assert.strictEqual(annotations.group.children.length, 0, 'cards of removed cues are dropped');
+  annotations.dispose();
+});
+
+QUnit.module('authoring');
+
+QUnit.test('exports markers as hotspots and annotation cues', function(assert) {
+  const authoring = new Authoring({});
+
+  authoring.add({yaw: 10, pitch: -5, startTime: 65.5, endTime: 70, label: 'Stage'});
+  authoring.add({id: 'door', yaw: -90, pitch: 0});
+  authoring.add({yaw: 0, pitch: 0, startTime: 1, endTime: 2, scale: 2});
+  authoring.edit('door', {label: 'Door -->'});
+
+  assert.deepEqual(authoring.getAll().map((marker) => marker.id), ['marker-1', 'door', 'marker-2'], 'ids are generated');
+
+  const hotspots = JSON.parse(authoring.toHotspotJSON());
+
+  assert.strictEqual(hotspots[0].label, 'Stage', 'JSON keeps the fields');
+  assert.notOk('endTime' in hotspots[1], 'markers without an end leave it out');
+
+  assert.strictEqual(authoring.toVTT(100), [
+    'WEBVTT',
+    '00:00:00.000 --> 00:01:40.000\n{"yaw":-90,"pitch":0,"text":"Door --\\u003e"}',
+    '00:00:01.000 --> 00:00:02.000\n{"yaw":0,"pitch":0,"text":"marker-2","scale":2}',
+    '00:01:05.500 --> 00:01:10.000\n{"yaw":10,"pitch":-5,"text":"Stage"}'
+  ].join('\n\n') + '\n', 'cues are sorted and escaped');
+
+  assert.ok(authoring.remove('door'), 'removes a marker');
+  authoring.dispose();
+});
+
+QUnit.module('share state');
+
+QUnit.test('reads and writes URL hashes', function(assert) {
+  assert.deepEqual(
+    parseShareHash('#t=1:30.5&yaw=-42.3&pitch=abc&projection=EAC&section=2'),
+    {time: 90.5, yaw: -42.3, projection: 'EAC'},
+    'reads times, angles and projections, skipping bad values'
+  );
+  assert.deepEqual(parseShareHash(''), {}, 'empty hash');
+
+  assert.strictEqual(
+    formatShareHash({time: 95.54, yaw: -42.31, pitch: 8, fov: 75, projection: undefined}, '#yaw=1&section=2'),
+    '#t=95.5&yaw=-42.3&pitch=8&fov=75&section=2',
+    'rounds values and keeps other parameters'
+  );
+});
+
+QUnit.module('preferences');
+
+QUnit.test('stores preferences globally and per source', function(assert) {
+  const items = {};
+  const storage = {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = value;
+    },
+    removeItem: (key) => {
+      delete items[key];
+    }
+  };
+  const preferences = new Preferences(storage);
+
+  preferences.set('forceMono', true);
+  preferences.set('projection', 'EAC', 'a.mp4');
+  preferences.save();
+
+  const reloaded = new Preferences(storage);
+
+  assert.deepEqual(reloaded.get('a.mp4'), {forceMono: true, projection: 'EAC'}, 'source preferences add to global ones');
+  assert.deepEqual(reloaded.get('b.mp4'), {forceMono: true}, 'other sources only get global ones');
+
+  reloaded.clear();
+  assert.deepEqual(new Preferences(storage).get('a.mp4'), {}, 'clear forgets everything');
+  assert.deepEqual(new Preferences({getItem: () => '{not json'}).get(), {}, 'ignores broken data');
+
+  preferences.dispose();
+});
+
+QUnit.module('spatial metadata');
+
+const box = (type, ...payloads) => {
+  const size = payloads.reduce((total, payload) => total + payload.length, 8);
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  let offset = 8;
+
+  view.setUint32(0, size);
+  for (let i = 0; i < 4; i++) {
+    bytes[4 + i] = type.charCodeAt(i);
+  }
+  payloads.forEach((payload) => {
+    bytes.set(payload, offset);
+    offset += payload.length;
+  });
+
+  return bytes;
+};
+
+const uint32s = (...values) => {
+  const bytes = new Uint8Array(values.length * 4);
+  const view = new DataView(bytes.buffer);
+
+  values.forEach((value, i) => view.setUint32(i * 4, value));
+  return bytes;
+};
+
+const handler = (type) => box(
+  'hdlr',
+  uint32s(0, 0),
+  new Uint8Array(type.split('').map((c) => c.charCodeAt(0))),
+  new Uint8Array(12)
+);
+
+QUnit.test('parses st3d, sv3d and SA3D boxes', function(assert) {
+  const quarter = 0x40000000;
+  const videoEntry = box(
+    'avc1',
+    new Uint8Array(78),
+    box('st3d', new Uint8Array([0, 0, 0, 0, 2])),
+    box('sv3d', box(
+      'proj',
+      box('prhd', uint32s(0, 90 * 0x10000, 0, 0)),
+      box('equi', uint32s(0, 0, 0, quarter, quarter))
+    ))
+  );
+  const audioEntry = box(
+    'mp4a',
+    new Uint8Array(28),
+    box('SA3D', new Uint8Array([0, 0, 0, 0, 0, 1, 0, 0]), uint32s(4, 0, 2, 1, 3))
+  );
+  const track = (type, entry) => box('trak', box(
+    'mdia',
+    handler(type),
+    box('minf', box('stbl', box('stsd', uint32s(0, 1), entry)))
+  ));
+
+  const videoTrack = track('vide', videoEntry);
+  const audioTrack = track('soun', audioEntry);
+
+  const metadata = parseSpatialMetadata(box('moov', videoTrack, audioTrack));
+
+  assert.strictEqual(metadata.stereoMode, 'left-right', 'stereo mode');
+  assert.strictEqual(metadata.projectionType, 'equirectangular', 'projection type');
+  assert.strictEqual(metadata.bounds.left, 0.25, 'left bound');
+  assert.strictEqual(metadata.pose.yaw, 90, 'pose yaw');
+  assert.strictEqual(metadata.projection, '180_LR', 'picks the matching projection');
+  assert.strictEqual(metadata.audio.ambisonicOrder, 1, 'ambisonic order');
+  assert.deepEqual(metadata.audio.channelMap, [0, 2, 1, 3], 'channel map');
+});
+
+QUnit.test('maps top/bottom stereo metadata to TB projections', function(assert) {
+  assert.strictEqual(
+    getProjectionFromMetadata({projectionType: 'mesh', stereoMode: 'top-bottom'}),
+    '180_TB',
+    'VR180 top/bottom'
+  );
+  assert.strictEqual(
+    getProjectionFromMetadata({
+      projectionType: 'equirectangular',
+      stereoMode: 'top-bottom',
+      bounds: {top: 0, bottom: 0, left: 0.25, right: 0.25}
+    }),
+    '180_TB',
+    '180 degree equirect top/bottom'
+  );
+});
+
+QUnit.test('returns null without spatial metadata', function(assert) {
+  assert.strictEqual(parseSpatialMetadata(box('moov', box('mvhd', new Uint8Array(100)))), null, 'no metadata');
+  assert.strictEqual(parseSpatialMetadata(new Uint8Array(3)), null, 'truncated input');
+});
+
+const jpegWithXmp = (xmp) => {
+  const text = 'http://ns.adobe.com/xap/1.0/\0' + xmp;
+  const bytes = new Uint8Array(text.length + 8);
+
+  bytes.set([0xFF, 0xD8, 0xFF, 0xE1, (text.length + 2) >> 8, (text.length + 2) & 0xFF]);
+  for (let i = 0; i < text.length; i++) {
+    bytes[6 + i] = text.charCodeAt(i);
+  }
+  bytes.set([0xFF, 0xDA], text.length + 6);
+
+  return bytes;
+};
+
+QUnit.test('parses GPano XMP of cropped panoramas', function(assert) {
+  const xmp = '<rdf:Description GPano:ProjectionType="equirectangular" ' +
+    'GPano:FullPanoWidthPixels="8000" GPano:CroppedAreaImageWidthPixels="4000" ' +
+    'GPano:CroppedAreaLeftPixels="1000">' +
+    '<GPano:CroppedAreaImageHeightPixels>2000</GPano:CroppedAreaImageHeightPixels>' +
+    '<GPano:CroppedAreaTopPixels>1000</GPano:CroppedAreaTopPixels>' +
+    '</rdf:Description>';
+  const gpano = parseGPano(jpegWithXmp(xmp));
+
+  assert.strictEqual(gpano.ProjectionType, 'equirectangular', 'attribute form');
+  assert.strictEqual(gpano.CroppedAreaTopPixels, 1000, 'element form');
+  assert.deepEqual(getGPanoCoverage(gpano), {
+    top: 0.25,
+    bottom: 0.25,
+    left: 0.125,
+    right: 0.375
+  }, 'coverage defaults the full height to half the width');
+
+  assert.strictEqual(getProjectionFromMetadata({gpano}), 'EQUIRECT_PARTIAL', 'picks the partial projection');
+  assert.strictEqual(parseGPano(new Uint8Array([0x89, 0x50, 0x4E, 0x47])), null, 'not a JPEG');
+});
+
+QUnit.module('frame capture');
+
+QUnit.test('each format plays back in its projection', function(assert) {
+  // the texture coordinate a projection's screen shows in a direction
+  const uvAt = (mesh, direction) => {
+    const raycaster = new THREE.Raycaster(new THREE.Vector3(), direction.normalize());
+
+    raycaster.layers.enableAll();
+    mesh.updateMatrixWorld(true);
+
+    const hit = raycaster.intersectObject(mesh, false)[0];
+
+    return hit ? hit.uv : new THREE.Vector2(NaN, NaN);
+  };
+
+  [['cubemap', '360_CUBE'], ['equirect', '360'], ['sbs', '360_LR']].forEach(([format, projection]) => {
+    const meshes = getProjection(projection).build({options: {sphereDetail: 128}, projection, videoTexture: null});
+    const cells = getCaptureCells(format, 10);
+    const width = Math.max.apply(null, cells.map((cell) => cell.x + cell.width));
+    const height = Math.max.apply(null, cells.map((cell) => cell.y + cell.height));
+
+    cells.forEach((cell, i) => {
+      [[0.5, 0.5], [0.2, 0.3], [0.8, 0.9]].forEach(([u, v]) => {
+        const uv = uvAt(meshes.screen || meshes[cell.eye], getCellDirection(cell, u, v));
+        const expected = new THREE.Vector2((cell.x + u * cell.width) / width, (cell.y + v * cell.height) / height);
+
+        assert.ok(uv.distanceTo(expected) < 0.001, `${format} cell ${i} at ${u}, ${v} shows as ${projection}`);
+      });
+    });
+  });
+});
+
+QUnit.module('reframe', {
+  beforeEach() {
+    const recorders = this.recorders = [];
+
+    this.MediaRecorder = window.MediaRecorder;
+    this.MediaStream = window.MediaStream;
+
+    window.MediaStream = function(tracks) {
+      this.tracks = tracks;
+    };
+    window.MediaRecorder = function(stream, options) {
+      this.stream = stream;
+      this.options = options;
+      this.state = 'inactive';
+      this.start = () => {
+        this.state = 'recording';
+      };
+      this.stop = () => {
+        this.state = 'inactive';
+        this.onstop();
+      };
+      recorders.push(this);
+    };
+    window.MediaRecorder.isTypeSupported = (type) => type === 'video/webm';
+
+    this.track = {stopped: false, stop() {
+      this.stopped = true;
+    }};
+    this.reframe = new Reframe({getVideoEl_: () => null});
+    // a running output, so recording doesn't need WebGL
+    this.reframe.renderer = {dispose() {}};
+    this.reframe.canvas = {captureStream: () => ({getVideoTracks: () => [this.track]})};
+  },
+
+  afterEach() {
+    window.MediaRecorder = this.MediaRecorder;
+    window.MediaStream = this.MediaStream;
+  }
+});
+
+QUnit.test('records the output to WebM', function(assert) {
+  const done = assert.async();
+  const reframe = this.reframe;
+
+  assert.ok(reframe.startRecording(), 'started');
+  assert.notOk(reframe.startRecording(), 'only one recording at a time');
+
+  const recorder = this.recorders[0];
+
+  assert.strictEqual(recorder.options.mimeType, 'video/webm', 'picked a supported type');
+  assert.deepEqual(recorder.stream.tracks, [this.track], 'records the canvas');
+  recorder.ondataavailable({data: new window.Blob(['abc'])});
+
+  reframe.stopRecording().then((video) => {
+    assert.strictEqual(video.size, 3, 'resolves with the recorded data');
+    assert.strictEqual(video.type, 'video/webm', 'as WebM');
+    assert.ok(this.track.stopped, 'stopped the capture');
+    assert.notOk(reframe.isRecording(), 'not recording');
+    done();
+  });
+});
+
+QUnit.test('stopping a failed recording resolves with what it recorded', function(assert) {
+  const done = assert.async();
+  const reframe = this.reframe;
+
+  reframe.startRecording();
+  // stopped by itself, without any data
+  this.recorders[0].state = 'inactive';
+
+  reframe.stopRecording().then((video) => {
+    assert.strictEqual(video, null, 'nothing recorded');
+
+    reframe.startRecording();
+
+    const recorder = this.recorders[1];
+
+    recorder.ondataavailable({data: new window.Blob(['ab'])});
+    recorder.stop = function() {
+      this.state = 'inactive';
+      this.onerror({error: new Error('encoder failed')});
+    };
+
+    return reframe.stopRecording();
+  }).then((video) => {
+    assert.strictEqual(video.size, 2, 'the data before the error');
+    done();
+  });
+});